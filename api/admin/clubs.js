@@ -0,0 +1,45 @@
+// api/admin/clubs.js - Club list and flag edits for the admin dashboard
+//
+// GET  /api/admin/clubs                                   every row, inactive included
+// POST /api/admin/clubs  { club_code, changes: { active?, verified?, ranking_category?, confidence_override? } }
+//
+// Reads and writes the sheet directly (lib/club-admin.js), bypassing the
+// public cache, which is cleared after each write.
+const { requireAdmin } = require('../../lib/admin-auth');
+const { readSheet, clubSummary, setClubFlags, FLAG_FIELDS } = require('../../lib/club-admin');
+const { parseBody } = require('../../lib/http');
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+
+    if (!(await requireAdmin(req, res))) return;
+
+    if (req.method === 'GET') {
+      const sheet = await readSheet();
+      const clubs = sheet.clubs.map(clubSummary);
+      const columns = Object.fromEntries(FLAG_FIELDS.map(k => [k, !!sheet.sources[k] && sheet.sources[k].index >= 0]));
+      return res.status(200).json({ total: clubs.length, columns, clubs });
+    }
+
+    const body = parseBody(req);
+    if (!body) return res.status(400).json({ error: 'Request body must be JSON' });
+    const code = String(body.club_code || '').trim();
+    if (!code) return res.status(400).json({ error: 'club_code is required' });
+
+    const club = await setClubFlags(code, body.changes);
+    return res.status(200).json({ club });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, ...err.details });
+
+    console.error('Error in admin clubs API:', err);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
@@ -0,0 +1,68 @@
+// api/admin/login.js - Dashboard sign-in
+//
+// GET    /api/admin/login                      { configured, authenticated, name }
+// POST   /api/admin/login  { token, name? }    sets the session cookie
+// DELETE /api/admin/login                      clears it
+//
+// Same-origin only: no CORS headers, the cookie is SameSite=Strict. Wrong
+// tokens count towards the per-IP lockout in lib/admin-auth.js.
+const {
+  isConfigured,
+  checkToken,
+  createSession,
+  checkLockout,
+  noteFailedLogin,
+  authenticate,
+  sessionCookie,
+} = require('../../lib/admin-auth');
+const { parseBody } = require('../../lib/http');
+
+module.exports = async (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method === 'GET') {
+      const auth = await authenticate(req, res);
+      if (!auth) return;
+      const { admin } = auth;
+      return res.status(200).json({
+        configured: isConfigured(),
+        authenticated: !!admin,
+        name: admin ? admin.name : null,
+      });
+    }
+
+    if (req.method === 'POST') {
+      if (!isConfigured()) {
+        return res.status(503).json({ error: 'Admin access is not configured (set ADMIN_TOKEN)' });
+      }
+      const body = parseBody(req);
+      if (!body) return res.status(400).json({ error: 'Request body must be JSON' });
+      if (!(await checkLockout(req, res))) return;
+      if (!checkToken(body.token)) {
+        await noteFailedLogin(req);
+        return res.status(401).json({ error: 'Wrong admin token' });
+      }
+
+      const name = String(body.name || '').trim() || 'admin';
+      const { value, maxAge } = createSession(name);
+      res.setHeader('Set-Cookie', sessionCookie(value, maxAge));
+      return res.status(200).json({ authenticated: true, name, expires_in: maxAge });
+    }
+
+    if (req.method === 'DELETE') {
+      res.setHeader('Set-Cookie', sessionCookie('', 0));
+      return res.status(200).json({ authenticated: false });
+    }
+
+    res.setHeader('Allow', 'GET, POST, DELETE');
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  } catch (err) {
+    console.error('Error in admin login API:', err);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
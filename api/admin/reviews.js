@@ -0,0 +1,73 @@
+// api/admin/reviews.js - Review moderation for the admin dashboard
+//
+// GET  /api/admin/reviews?status=pending|approved|rejected|all   newest first
+// POST /api/admin/reviews  { review_id, action: 'approve' | 'reject', note? }
+//
+// Approved reviews show on the club page and count towards review_count /
+// average_rating once the review cache refreshes (cleared here on every change).
+const { requireAdmin } = require('../../lib/admin-auth');
+const { getReviewStore } = require('../../lib/submission-store');
+const { STATUSES, clearReviewCache } = require('../../lib/reviews');
+const { parseBody } = require('../../lib/http');
+
+const ACTIONS = { approve: 'approved', reject: 'rejected' };
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    const store = getReviewStore();
+    const problems = store.checkConfig();
+    if (problems.length) return res.status(503).json({ error: 'Review store is not configured', problems });
+
+    const all = await store.list();
+
+    if (req.method === 'GET') {
+      const status = String((req.query && req.query.status) || 'pending').toLowerCase();
+      if (status !== 'all' && !STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}, all` });
+      }
+      const reviews = all
+        .filter(r => status === 'all' || (r.status || 'pending') === status)
+        .sort((a, b) => String(b.received_at).localeCompare(String(a.received_at)));
+
+      const counts = Object.fromEntries(STATUSES.map(st => [st, 0]));
+      for (const r of all) counts[r.status || 'pending'] = (counts[r.status || 'pending'] || 0) + 1;
+
+      return res.status(200).json({ status, counts, total: reviews.length, reviews, store: store.describe() });
+    }
+
+    const body = parseBody(req);
+    if (!body) return res.status(400).json({ error: 'Request body must be JSON' });
+
+    const id = String(body.review_id || '').trim();
+    const status = ACTIONS[String(body.action || '').toLowerCase()];
+    if (!id) return res.status(400).json({ error: 'review_id is required' });
+    if (!status) return res.status(400).json({ error: `action must be one of: ${Object.keys(ACTIONS).join(', ')}` });
+    if (!all.some(r => r.review_id === id)) return res.status(404).json({ error: `Review "${id}" not found` });
+
+    // Unlike submissions, a decision can be reversed (e.g. unpublish an approved review)
+    const review = await store.update(id, {
+      status,
+      reviewed_at: new Date().toISOString(),
+      reviewed_by: admin.name,
+      review_note: String(body.note || '').trim().slice(0, 1000),
+    });
+    clearReviewCache();
+
+    return res.status(200).json({ review });
+  } catch (err) {
+    console.error('Error in admin reviews API:', err);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
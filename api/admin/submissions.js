@@ -0,0 +1,100 @@
+// api/admin/submissions.js - Moderation queue for the admin dashboard
+//
+// GET  /api/admin/submissions?status=pending|approved|rejected|all
+//        queued submissions, newest first, each with a field-by-field diff
+//        against the current sheet row
+// POST /api/admin/submissions  { submission_id, action: 'approve' | 'reject', note? }
+//        approve writes the proposed fields to the live sheet, then marks
+//        the record; reject only marks it
+const { requireAdmin } = require('../../lib/admin-auth');
+const { getSubmissionStore } = require('../../lib/submission-store');
+const { readSheet, diffSubmission, applySubmission } = require('../../lib/club-admin');
+const { parseBody } = require('../../lib/http');
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+const ACTIONS = { approve: 'approved', reject: 'rejected' };
+
+function getStore(res) {
+  const store = getSubmissionStore();
+  const problems = store.checkConfig();
+  if (problems.length) {
+    res.status(503).json({ error: 'Submission store is not configured', problems });
+    return null;
+  }
+  return store;
+}
+
+async function listSubmissions(req, res, store) {
+  const status = String((req.query && req.query.status) || 'pending').toLowerCase();
+  if (status !== 'all' && !STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}, all` });
+  }
+
+  const all = await store.list();
+  const sheet = await readSheet();
+  const submissions = all
+    .filter(s => status === 'all' || (s.status || 'pending') === status)
+    .sort((a, b) => String(b.received_at).localeCompare(String(a.received_at)))
+    .map(s => ({ ...s, diff: diffSubmission(s, sheet) }));
+
+  const counts = Object.fromEntries(STATUSES.map(st => [st, 0]));
+  for (const s of all) counts[s.status || 'pending'] = (counts[s.status || 'pending'] || 0) + 1;
+
+  return res.status(200).json({ status, counts, total: submissions.length, submissions, store: store.describe() });
+}
+
+async function reviewSubmission(req, res, store, admin) {
+  const body = parseBody(req);
+  if (!body) return res.status(400).json({ error: 'Request body must be JSON' });
+
+  const id = String(body.submission_id || '').trim();
+  const status = ACTIONS[String(body.action || '').toLowerCase()];
+  if (!id) return res.status(400).json({ error: 'submission_id is required' });
+  if (!status) return res.status(400).json({ error: `action must be one of: ${Object.keys(ACTIONS).join(', ')}` });
+
+  const submission = (await store.list()).find(s => s.submission_id === id);
+  if (!submission) return res.status(404).json({ error: `Submission "${id}" not found` });
+  if ((submission.status || 'pending') !== 'pending') {
+    return res.status(409).json({ error: `Submission was already ${submission.status}` });
+  }
+
+  // Write to the sheet first so a failed write leaves the record pending
+  const result = status === 'approved' ? await applySubmission(submission) : null;
+
+  const updated = await store.update(id, {
+    status,
+    reviewed_at: new Date().toISOString(),
+    reviewed_by: admin.name,
+    review_note: String(body.note || '').trim().slice(0, 1000),
+  });
+
+  return res.status(200).json({ submission: updated, result });
+}
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    const store = getStore(res);
+    if (!store) return;
+
+    if (req.method === 'GET') return await listSubmissions(req, res, store);
+    return await reviewSubmission(req, res, store, admin);
+  } catch (err) {
+    // Expected failures from lib/club-admin.js (missing columns, club gone, ...)
+    if (err.status) return res.status(err.status).json({ error: err.message, ...err.details });
+
+    console.error('Error in admin submissions API:', err);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
@@ -0,0 +1,48 @@
+// api/admin/usage.js - Public API usage for the admin dashboard
+//
+// GET /api/admin/usage?days=7   requests and rate-limited requests per client,
+//                               endpoint and day (1–90 days, today included)
+//
+// Clients are API key names and salted IP hashes for anonymous callers
+// (the site's own pages included) — see lib/api-access.js. With the memory store
+// the numbers only cover the instance that answers.
+const { requireAdmin } = require('../../lib/admin-auth');
+const { getUsageStore } = require('../../lib/usage-store');
+const { usageReport, sinceDay, describeLimits } = require('../../lib/api-access');
+
+const MAX_DAYS = 90;
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+
+    if (!(await requireAdmin(req, res))) return;
+
+    const days = parseInt((req.query && req.query.days) || '7', 10);
+    if (!(days >= 1 && days <= MAX_DAYS)) {
+      return res.status(400).json({ error: `days must be 1 to ${MAX_DAYS}` });
+    }
+
+    const store = getUsageStore();
+    const problems = store.checkConfig();
+    if (problems.length) return res.status(503).json({ error: 'Usage store is not configured', problems });
+
+    const now = Date.now();
+    const rows = await store.usage(sinceDay(days, now));
+    return res.status(200).json({
+      ...usageReport(rows, { days, now }),
+      limits: describeLimits(),
+      store: store.describe(),
+    });
+  } catch (err) {
+    console.error('Error in admin usage API:', err);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
@@ -0,0 +1,49 @@
+// api/club-calendar.js — iCalendar (.ics) feed of a club's sessions
+//
+// GET /api/club-calendar?code=<club_code>
+// Subscribable from Google Calendar, Apple Calendar and Outlook; recurring
+// sessions are published as RRULEs rather than individual dates.
+const { getClubs } = require('../lib/club-cache');
+const { resolveClubCode } = require('../lib/club-codes');
+const { buildClubCalendar } = require('../lib/ical');
+const { checkApiAccess, RATE_LIMIT_HEADERS } = require('../lib/api-access');
+const { sendCached, siteOrigin } = require('../lib/http');
+
+module.exports = async (req, res) => {
+  try {
+    // CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match, X-API-Key');
+    res.setHeader('Access-Control-Expose-Headers', `ETag, Warning, Location, ${RATE_LIMIT_HEADERS}`);
+    // Calendar apps poll rarely; the edge can hold the feed a little longer
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=60');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+
+    // API key, rate limit and usage — see lib/api-access.js
+    if (!(await checkApiAccess(req, res, 'calendar'))) return;
+
+    const code = (req.query.code || '').toString().trim().toLowerCase().replace(/\.ics$/, '');
+    if (!code) return res.status(400).json({ error: 'Club code is required' });
+
+    const data = await getClubs();
+    const { club, redirect } = resolveClubCode(data.clubs, code);
+
+    if (club && redirect) {
+      res.setHeader('Location', `/api/club-calendar?code=${encodeURIComponent(club.club_code)}`);
+      return res.status(301).end();
+    }
+    if (!club) return res.status(404).json({ error: 'Club not found', searched_code: code });
+
+    const ics = buildClubCalendar(club, { origin: siteOrigin(req), fetchedAt: data.fetchedAt });
+    res.setHeader('Content-Disposition', `inline; filename="${club.club_code}.ics"`);
+    return sendCached(req, res, ics, 'text/calendar; charset=utf-8', data);
+  } catch (err) {
+    console.error('Error in club-calendar API:', err);
+    return res.status(500).json({ error: 'Failed to build calendar', message: err.message });
+  }
+};
@@ -0,0 +1,100 @@
+// api/club-page.js - Server-rendered /club/:code page (title, OG tags, canonical, JSON-LD, content)
+//
+// vercel.json rewrites /club/:code here. The HTML is club.html with the head
+// and #content filled in, plus the club JSON inlined so the browser only hydrates.
+const { getClubs } = require('../lib/club-cache');
+const { getApprovedReviews, withFirstReviewPage } = require('../lib/reviews');
+const { resolveClubCode } = require('../lib/club-codes');
+const { generateSEOData, generateStructuredData } = require('../lib/club-seo');
+const { toV1Club } = require('../lib/club-v1');
+const { sendCached, siteOrigin } = require('../lib/http');
+const { loadPage, escapeHtml, scriptJson, setAttr, setInner, insertBefore } = require('../lib/html-template');
+const { renderContent } = require('../js/club-render');
+
+module.exports = async (req, res) => {
+  res.setHeader('Cache-Control', 's-maxage=15, stale-while-revalidate=5');
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const template = loadPage('club.html');
+  const code = ((req.query && req.query.code) || '').toString().trim().toLowerCase();
+
+  let data;
+  try {
+    data = await getClubs();
+  } catch (err) {
+    // No data at all — fall back to the static shell, which fetches client-side
+    console.error('Error in club-page (serving static shell):', err);
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(200).end(template);
+  }
+
+  try {
+    const { club: found, redirect } = resolveClubCode(data.clubs, code);
+
+    if (found && redirect) {
+      res.setHeader('Location', `/club/${encodeURIComponent(found.club_code)}`);
+      return res.status(301).end();
+    }
+
+    if (!found) {
+      return sendCached(req, res, renderNotFound(template), 'text/html; charset=utf-8', { ...data, status: 404 });
+    }
+
+    // Same record as /api/club-data (sw.js keeps the inlined copy as one)
+    const club = toV1Club(withFirstReviewPage(found, await getApprovedReviews()));
+    club.seo = generateSEOData(club, { origin: siteOrigin(req) });
+    club.structured_data = generateStructuredData(club);
+
+    return sendCached(req, res, renderClubPage(template, club), 'text/html; charset=utf-8', data);
+  } catch (err) {
+    console.error('Error in club-page API:', err);
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(200).end(template);
+  }
+};
+
+// ---------- Rendering ----------
+function renderClubPage(template, club) {
+  const seo = club.seo;
+  const pageTitle = `${club.club_name || 'Club'} | The NBRH`;
+  let html = template;
+
+  // Head
+  html = setInner(html, 'pageTitle', escapeHtml(pageTitle));
+  html = setAttr(html, 'pageDescription', 'content', seo.description);
+  html = setAttr(html, 'ogTitle', 'content', pageTitle);
+  html = setAttr(html, 'ogDescription', 'content', seo.description);
+  if (seo.image) {
+    html = setAttr(html, 'ogImage', 'content', seo.image);
+    html = setAttr(html, 'twitterImage', 'content', seo.image);
+  }
+  html = setAttr(html, 'ogUrl', 'content', seo.url);
+  html = setAttr(html, 'canonicalUrl', 'href', seo.url);
+  html = setInner(html, 'structuredData', `\n  ${scriptJson(club.structured_data)}\n  `);
+
+  // Body
+  html = setAttr(html, 'loading', 'style', 'display:none;');
+  html = setAttr(html, 'content', 'style', 'display:grid;');
+  html = setInner(html, 'content', renderContent(club));
+  html = insertBefore(html, 'stickyCta',
+    `<script id="clubData" type="application/json">${scriptJson(club)}</script>\n\n  `);
+
+  return html;
+}
+
+function renderNotFound(template) {
+  let html = template;
+  html = setInner(html, 'pageTitle', 'Club Not Found | The NBRH');
+  html = setAttr(html, 'pageDescription', 'content', 'This club does not exist or is no longer listed.');
+  html = insertBefore(html, 'pageDescription', '<meta name="robots" content="noindex" />\n  ');
+  html = setAttr(html, 'loading', 'style', 'display:none;');
+  html = setAttr(html, 'error', 'style', '');
+  html = setAttr(html, 'error', 'data-ssr', '404');
+  return html;
+}
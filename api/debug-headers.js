@@ -1,4 +1,8 @@
 // api/debug-headers.js - Debug endpoint to check actual column headers
+const { SHEET_NAME, columnLetter } = require('../lib/club-schema');
+const { getDataSource } = require('../lib/data-source');
+const { requireAdmin } = require('../lib/admin-auth');
+
 module.exports = async (req, res) => {
     try {
         // Set CORS headers
@@ -14,41 +18,20 @@ module.exports = async (req, res) => {
             return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
         }
 
-        console.log('Debugging column headers...');
-
-        // Import googleapis
-        const { google } = require('googleapis');
-
-        // Parse credentials
-        const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT);
+        // Exposes sheet contents and setup details — admins only
+        if (!(await requireAdmin(req, res))) return;
 
-        // Create auth and sheets client
-        const auth = new google.auth.GoogleAuth({
-            credentials: credentials,
-            scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-        });
-
-        const sheets = google.sheets({ version: 'v4', auth });
-        const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+        console.log('Debugging column headers...');
 
-        console.log('Reading headers from Dynamic Club Page Hub sheet...');
+        const source = getDataSource();
+        console.log(`Reading headers from ${SHEET_NAME} via ${source.type} source...`);
 
         // Read just the header row to see the structure
-        const headerResponse = await sheets.spreadsheets.values.get({
-            spreadsheetId: spreadsheetId,
-            range: 'Dynamic Club Page Hub!1:1', // Just the first row (headers)
-        });
-
-        const headers = headerResponse.data.values ? headerResponse.data.values[0] : [];
+        const headers = (await source.getRows(`${SHEET_NAME}!1:1`))[0] || [];
         console.log('Raw headers found:', headers.length);
 
         // Also read a sample data row to see actual data
-        const sampleResponse = await sheets.spreadsheets.values.get({
-            spreadsheetId: spreadsheetId,
-            range: 'Dynamic Club Page Hub!2:2', // Second row (first data row)
-        });
-
-        const sampleData = sampleResponse.data.values ? sampleResponse.data.values[0] : [];
+        const sampleData = (await source.getRows(`${SHEET_NAME}!2:2`))[0] || [];
         console.log('Sample data row length:', sampleData.length);
 
         // Create a mapping of column index to header name
@@ -56,7 +39,7 @@ module.exports = async (req, res) => {
         headers.forEach((header, index) => {
             if (header && header.trim()) {
                 columnMapping[index] = {
-                    letter: getColumnLetter(index),
+                    letter: columnLetter(index),
                     header: header.trim(),
                     sampleValue: sampleData[index] || ''
                 };
@@ -65,8 +48,8 @@ module.exports = async (req, res) => {
 
         // Return detailed debug information
         const debugInfo = {
-            spreadsheet_id: spreadsheetId,
-            sheet_name: 'Dynamic Club Page Hub',
+            data_source: source.describe(),
+            sheet_name: SHEET_NAME,
             total_columns: headers.length,
             total_data_columns: sampleData.length,
             headers_raw: headers,
@@ -112,13 +95,3 @@ module.exports = async (req, res) => {
         });
     }
 };
-
-// Helper function to convert column index to letter (A, B, C, etc.)
-function getColumnLetter(index) {
-    let letter = '';
-    while (index >= 0) {
-        letter = String.fromCharCode(65 + (index % 26)) + letter;
-        index = Math.floor(index / 26) - 1;
-    }
-    return letter;
-}
@@ -1,6 +1,11 @@
 // api/debug.js - Minimal test to check what's wrong
+const { requireAdmin } = require('../lib/admin-auth');
+
 module.exports = async (req, res) => {
     try {
+        // Exposes the service account email — admins only
+        if (!(await requireAdmin(req, res))) return;
+
         // Check environment variables first
         const hasServiceAccount = !!process.env.GOOGLE_SERVICE_ACCOUNT;
         const hasSheetId = !!process.env.GOOGLE_SHEET_ID;
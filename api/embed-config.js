@@ -0,0 +1,82 @@
+// api/embed-config.js - Options for partner embeds, plus ready-to-paste snippets
+//
+// GET /api/embed-config                       themes, fields and defaults
+// GET /api/embed-config?code=…&theme=light…   the same, with the validated config
+//                                             and its iframe / script snippets
+//
+// Accepts the same parameters as /api/embed (and the data-* attributes of
+// js/embed.js). Unknown values are a 422 here, so partners find typos before
+// publishing; the embed itself quietly uses the defaults instead.
+const {
+  VIEWS,
+  EMBED_FIELDS,
+  DEFAULT_FIELDS,
+  THEMES,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseEmbedConfig,
+  configQuery,
+  embedPath,
+} = require('../lib/embed');
+const { escapeHtml } = require('../lib/html-template');
+const { sendCachedJson, siteOrigin } = require('../lib/http');
+
+// data-* attribute for each config key js/embed.js reads
+function scriptSnippet(config, origin) {
+  const attrs = [['src', `${origin}/js/embed.js`]];
+  if (config.view === 'club') attrs.push(['data-club', config.code]);
+  for (const [key, value] of new URLSearchParams(configQuery(config))) attrs.push([`data-${key}`, value]);
+  return `<script ${attrs.map(([k, v]) => `${k}="${escapeHtml(v)}"`).join(' ')} async></script>`;
+}
+
+function iframeSnippet(url, config) {
+  const height = config.view === 'club' ? 320 : 120 + config.limit * 64;
+  return `<iframe src="${escapeHtml(url)}" title="${config.view === 'club' ? 'Club' : 'Clubs'} on The NBRH" width="100%" height="${height}" style="border:0;max-width:480px" loading="lazy"></iframe>`;
+}
+
+module.exports = async (req, res) => {
+  try {
+    // CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
+    res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate=600');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+
+    const { config, errors } = parseEmbedConfig(req.query || {});
+    if (errors.length) return res.status(422).json({ error: 'Invalid embed options', errors });
+
+    const origin = siteOrigin(req);
+    const iframeUrl = origin + embedPath(config);
+
+    return sendCachedJson(req, res, {
+      config,
+      defaults: { theme: 'dark', fields: DEFAULT_FIELDS, limit: DEFAULT_LIMIT },
+      options: {
+        views: VIEWS,
+        themes: THEMES,
+        fields: EMBED_FIELDS,
+        max_limit: MAX_LIMIT,
+        colours: 'accent, bg and text accept hex colours, e.g. #ff1b6e',
+      },
+      iframe_url: iframeUrl,
+      script_url: `${origin}/js/embed.js`,
+      snippets: {
+        script: scriptSnippet(config, origin),
+        iframe: iframeSnippet(iframeUrl, config),
+      },
+    });
+  } catch (err) {
+    console.error('Error in embed-config API:', err);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
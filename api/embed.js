@@ -0,0 +1,71 @@
+// api/embed.js - Embeddable club card / club list, served as a self-contained page for an iframe
+//
+// GET /embed/club/:code                       (rewritten to /api/embed?view=club&code=:code)
+// GET /embed/clubs?activity=&location=&limit= (rewritten to /api/embed?view=list)
+//
+// Theme and fields come from the query string — see lib/embed.js and
+// /api/embed-config for the options. Partners usually paste js/embed.js,
+// which builds the iframe URL from data-* attributes.
+const { getClubs } = require('../lib/club-cache');
+const { resolveClubCode } = require('../lib/club-codes');
+const { getApprovedReviews, withReviewStats } = require('../lib/reviews');
+const { queryClubs } = require('../lib/club-query');
+const {
+  CONTENT_SECURITY_POLICY,
+  parseEmbedConfig,
+  configQuery,
+  renderClubCard,
+  renderClubList,
+  renderNotFound,
+  renderDocument,
+} = require('../lib/embed');
+const { sendCached, siteOrigin } = require('../lib/http');
+
+module.exports = async (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=30');
+    res.setHeader('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+
+    // Bad options fall back to defaults so a typo never blanks a partner's page
+    const { config } = parseEmbedConfig(req.query || {});
+    const origin = siteOrigin(req);
+    const html = 'text/html; charset=utf-8';
+
+    const data = await getClubs();
+    const approved = await getApprovedReviews();
+
+    if (config.view === 'club') {
+      const { club, redirect } = resolveClubCode(data.clubs, config.code);
+      if (club && redirect) {
+        // Keep the embed options on the new URL
+        const qs = configQuery(config);
+        res.setHeader('Location', `/embed/club/${encodeURIComponent(club.club_code)}${qs ? `?${qs}` : ''}`);
+        return res.status(301).end();
+      }
+      if (!club) {
+        return sendCached(req, res, renderDocument(renderNotFound(), config, { title: 'Club not found' }), html, { ...data, status: 404 });
+      }
+      const body = renderClubCard(withReviewStats(club, approved), config, { origin });
+      return sendCached(req, res, renderDocument(body, config, { title: club.club_name || 'Club' }), html, data);
+    }
+
+    const clubs = data.clubs.map(c => withReviewStats(c, approved));
+    const result = queryClubs(clubs, { activity: config.activity, location: config.location, limit: config.limit });
+    const body = renderClubList(result.clubs, config, { origin, total: result.total });
+    return sendCached(req, res, renderDocument(body, config, { title: 'Clubs on The NBRH' }), html, data);
+  } catch (err) {
+    console.error('Error in embed API:', err);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
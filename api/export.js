@@ -0,0 +1,74 @@
+// api/export.js - Directory data export for partners, as CSV or JSON
+//
+// GET /api/export.csv   (rewritten to /api/export?format=csv)
+// GET /api/export.json  (rewritten to /api/export?format=json)
+//
+// Takes the same filter and sort parameters as /api/clubs (lib/club-query.js)
+// but returns every match, no pages. Columns are EXPORT_FIELDS in
+// lib/club-export.js; the JSON version lists them with descriptions.
+const { getClubs } = require('../lib/club-cache');
+const { getApprovedReviews, withReviewStats } = require('../lib/reviews');
+const { parseClubQuery, searchHits, filterClubs, sortClubs, withDistances } = require('../lib/club-query');
+const { searchIndex } = require('../lib/search');
+const { EXPORT_FIELDS, exportRecord, toCsv } = require('../lib/club-export');
+const { checkApiAccess, RATE_LIMIT_HEADERS } = require('../lib/api-access');
+const { sendCached, sendCachedJson, siteOrigin } = require('../lib/http');
+
+const FORMATS = ['csv', 'json'];
+
+module.exports = async (req, res) => {
+  try {
+    // CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match, X-API-Key');
+    res.setHeader('Access-Control-Expose-Headers', `ETag, Warning, Content-Disposition, ${RATE_LIMIT_HEADERS}`);
+    res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=30');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+
+    // API key, rate limit and usage — see lib/api-access.js
+    if (!(await checkApiAccess(req, res, 'export'))) return;
+
+    const query = req.query || {};
+    const format = String(query.format || 'json').toLowerCase();
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}` });
+    }
+
+    const data = await getClubs();
+    if (data.empty) return res.status(404).json({ error: 'No club data found' });
+
+    const approved = await getApprovedReviews();
+    const params = parseClubQuery(query);
+    const all = data.clubs.map(c => withReviewStats(c, approved));
+    const hits = searchHits(all, params, searchIndex(data.clubs));
+    const clubs = sortClubs(filterClubs(params.near ? withDistances(all, params.near) : all, params, hits), params.sort, hits);
+
+    const origin = siteOrigin(req);
+    const records = clubs.map(c => exportRecord(c, { origin }));
+
+    if (format === 'csv') {
+      res.setHeader('Content-Disposition', 'attachment; filename="nbrh-clubs.csv"');
+      return sendCached(req, res, toCsv(records), 'text/csv; charset=utf-8', data);
+    }
+
+    res.setHeader('Content-Disposition', 'inline; filename="nbrh-clubs.json"');
+    return sendCachedJson(req, res, {
+      generated_at: new Date(data.fetchedAt).toISOString(),
+      total: records.length,
+      fields: EXPORT_FIELDS,
+      clubs: records,
+    }, data);
+  } catch (err) {
+    console.error('Error in export API:', err);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
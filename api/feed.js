@@ -0,0 +1,29 @@
+// api/feed.js - /feed.xml: Atom feed of newly listed and newly verified clubs
+//
+// vercel.json rewrites /feed.xml here. Entries come from the sheet's
+// date_added and last_verified columns (lib/club-export.js), newest first.
+const { getClubs } = require('../lib/club-cache');
+const { feedXml } = require('../lib/club-export');
+const { sendCached, siteOrigin } = require('../lib/http');
+
+module.exports = async (req, res) => {
+  try {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, Warning');
+    // Feed readers poll often; the edge absorbs it
+    res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=300');
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      return res.status(405).end(`Method ${req.method} Not Allowed`);
+    }
+
+    const data = await getClubs();
+    const xml = feedXml(data.clubs, { origin: siteOrigin(req), fetchedAt: data.fetchedAt });
+    return sendCached(req, res, xml, 'application/atom+xml; charset=utf-8', data);
+  } catch (err) {
+    console.error('Error in feed API:', err);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(500).end('Internal server error');
+  }
+};
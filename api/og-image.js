@@ -0,0 +1,51 @@
+// api/og-image.js - Share card image for a club (og:image / twitter:image fallback)
+//
+// GET /og/:code               (rewritten to /api/og-image?code=:code)
+// GET /og/:code?format=svg    always the SVG
+//
+// PNG when @resvg/resvg-js is installed, otherwise SVG; see lib/og-image.js.
+// Cards change only when the sheet does, so the edge keeps them for a day.
+const { getClubs } = require('../lib/club-cache');
+const { resolveClubCode } = require('../lib/club-codes');
+const { renderSvg, renderPng } = require('../lib/og-image');
+const { sendCached, siteOrigin } = require('../lib/http');
+
+module.exports = async (req, res) => {
+  try {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Cache-Control', 's-maxage=86400, stale-while-revalidate=3600');
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+
+    const query = req.query || {};
+    const code = (query.code || '').toString().trim().toLowerCase().replace(/\.(png|svg)$/, '');
+    if (!code) return res.status(400).json({ error: 'Club code is required' });
+
+    const data = await getClubs();
+    const { club, redirect } = resolveClubCode(data.clubs, code);
+
+    if (club && redirect) {
+      const format = query.format ? `?format=${encodeURIComponent(query.format)}` : '';
+      res.setHeader('Location', `/og/${encodeURIComponent(club.club_code)}${format}`);
+      return res.status(301).end();
+    }
+    if (!club) return res.status(404).json({ error: 'Club not found', searched_code: code });
+
+    const svg = renderSvg(club, { origin: siteOrigin(req) });
+    const png = String(query.format || '').toLowerCase() === 'svg' ? null : renderPng(svg);
+
+    if (png) return sendCached(req, res, png, 'image/png', data);
+    return sendCached(req, res, svg, 'image/svg+xml; charset=utf-8', data);
+  } catch (err) {
+    console.error('Error in og-image API:', err);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
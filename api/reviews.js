@@ -0,0 +1,107 @@
+// api/reviews.js - Club reviews: approved reviews per club, and new reviews from visitors
+//
+// GET  /api/reviews?club=<code>&page=&limit=      approved reviews, newest first, paginated
+// POST /api/reviews  { club_code, rating: 1-5, text, author }
+//
+// New reviews are queued as `pending` (lib/submission-store, REVIEWS_*) and
+// appear once approved from the admin dashboard. Spam protection: honeypot
+// field, per-IP rate limit (REVIEWS_RATE_LIMIT per hour, default 5, counted in
+// the shared usage store so every instance draws on the same allowance) and
+// length limits in lib/reviews.js.
+const { getClubs } = require('../lib/club-cache');
+const { resolveClubCode } = require('../lib/club-codes');
+const { getReviewStore } = require('../lib/submission-store');
+const { validateReview, getApprovedReviews, reviewsFor, reviewStats, pageReviews } = require('../lib/reviews');
+const { isSpam } = require('../lib/submissions');
+const { clientIp, hashIp } = require('../lib/rate-limit');
+const { checkApiAccess, RATE_LIMIT_HEADERS } = require('../lib/api-access');
+const { getUsageStore } = require('../lib/usage-store');
+const { sendCachedJson, parseBody } = require('../lib/http');
+
+const REVIEW_WINDOW_MS = 60 * 60 * 1000;
+
+async function listReviews(req, res) {
+  // API key, rate limit and usage — see lib/api-access.js. New reviews have
+  // their own, much tighter limit below.
+  if (!(await checkApiAccess(req, res, 'reviews'))) return;
+
+  const code = ((req.query && req.query.club) || '').toString().trim().toLowerCase();
+  if (!code) return res.status(400).json({ error: 'club is required' });
+
+  const data = await getClubs();
+  const { club } = resolveClubCode(data.clubs, code);
+  if (!club) return res.status(404).json({ error: 'Club not found' });
+
+  res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=30');
+  const list = reviewsFor(club, await getApprovedReviews());
+  return sendCachedJson(req, res, {
+    club_code: club.club_code,
+    ...reviewStats(list),
+    ...pageReviews(list, req.query || {}),
+  }, data);
+}
+
+async function createReview(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  const body = parseBody(req);
+  if (!body) return res.status(400).json({ error: 'Request body must be JSON' });
+
+  // Bots get the same answer as people, but nothing is stored
+  if (isSpam(body)) return res.status(202).json({ status: 'pending' });
+
+  const store = getReviewStore();
+  const problems = store.checkConfig();
+  if (problems.length) {
+    console.error('Review store not configured:', problems);
+    return res.status(503).json({ error: 'Reviews are not available right now' });
+  }
+
+  const data = await getClubs();
+  const salt = process.env.REVIEWS_IP_SALT || process.env.ADMIN_SESSION_SECRET || '';
+  const ipHash = hashIp(clientIp(req), salt);
+  const { errors, review } = validateReview(body, data.clubs, { ipHash });
+  if (errors.length) return res.status(422).json({ error: 'Review is not valid', errors });
+
+  // Only well-formed reviews count towards the limit, so typos don't lock
+  // people out. A failing usage store lets the review through.
+  const now = Date.now();
+  const window = await getUsageStore().hit(`review:${ipHash || 'unknown'}`, REVIEW_WINDOW_MS, now)
+    .catch(err => console.error('Usage store failed, not limiting reviews:', err));
+  if (window && window.count > (Number(process.env.REVIEWS_RATE_LIMIT) || 5)) {
+    res.setHeader('Retry-After', String(Math.max(1, Math.ceil((window.start + REVIEW_WINDOW_MS - now) / 1000))));
+    return res.status(429).json({ error: 'Too many reviews from this address — try again later' });
+  }
+
+  await store.add(review);
+
+  return res.status(201).json({
+    review_id: review.review_id,
+    status: review.status,
+    club_code: review.club_code,
+  });
+}
+
+module.exports = async (req, res) => {
+  try {
+    // CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match, X-API-Key');
+    res.setHeader('Access-Control-Expose-Headers', `ETag, Warning, ${RATE_LIMIT_HEADERS}`);
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method === 'GET') return await listReviews(req, res);
+    if (req.method === 'POST') return await createReview(req, res);
+
+    res.setHeader('Allow', 'GET, POST, OPTIONS');
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  } catch (err) {
+    console.error('Error in reviews API:', err);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
@@ -0,0 +1,21 @@
+// api/robots.js - /robots.txt, pointing crawlers at /sitemap.xml
+//
+// vercel.json rewrites /robots.txt here so the Sitemap line carries the
+// deployment's own origin (SITE_URL when set).
+const { robotsTxt } = require('../lib/club-export');
+const { sendCached, siteOrigin } = require('../lib/http');
+
+// Not for search results: the admin dashboard, JSON APIs and the
+// per-browser compare page (club pages are /club/:code, not /api/…)
+const DISALLOW = ['/admin', '/api/', '/compare'];
+
+module.exports = (req, res) => {
+  res.setHeader('Cache-Control', 's-maxage=86400');
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  return sendCached(req, res, robotsTxt({ origin: siteOrigin(req), disallow: DISALLOW }), 'text/plain; charset=utf-8');
+};
@@ -0,0 +1,38 @@
+// api/sessions.js - "What's on": upcoming sessions across every active club
+const { querySessions } = require('../lib/session-query');
+const { getClubs } = require('../lib/club-cache');
+const { checkApiAccess, RATE_LIMIT_HEADERS } = require('../lib/api-access');
+const { sendCachedJson } = require('../lib/http');
+
+module.exports = async (req, res) => {
+  try {
+    // CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match, X-API-Key');
+    res.setHeader('Access-Control-Expose-Headers', `ETag, Warning, ${RATE_LIMIT_HEADERS}`);
+    res.setHeader('Cache-Control', 's-maxage=15, stale-while-revalidate=5');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+
+    // API key, rate limit and usage — see lib/api-access.js
+    if (!(await checkApiAccess(req, res, 'sessions'))) return;
+
+    // Shared in-memory copy; stale data is served if the source errors
+    const data = await getClubs();
+    if (data.empty) return res.status(404).json({ error: 'No club data found' });
+
+    // Day / time window / activity / location come from the query string — see lib/session-query.js
+    return sendCachedJson(req, res, querySessions(data.clubs, req.query || {}), data);
+  } catch (err) {
+    console.error('Error in sessions API:', err);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
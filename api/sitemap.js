@@ -0,0 +1,33 @@
+// api/sitemap.js - /sitemap.xml: the directory's public pages and every active club page
+//
+// vercel.json rewrites /sitemap.xml here. Each club's <lastmod> is its most
+// recent sheet date (verified, timetable updated, listed); see lib/club-export.js.
+const { getClubs } = require('../lib/club-cache');
+const { sitemapXml } = require('../lib/club-export');
+const { sendCached, siteOrigin } = require('../lib/http');
+
+// Static pages worth indexing; 'newest' takes the latest club date
+const PAGES = [
+  { path: '/', lastmod: 'newest' },
+  { path: '/whats-on', lastmod: 'newest' },
+  { path: '/submit' },
+];
+
+module.exports = async (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate=600');
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      return res.status(405).end(`Method ${req.method} Not Allowed`);
+    }
+
+    const data = await getClubs();
+    const xml = sitemapXml(data.clubs, { origin: siteOrigin(req), pages: PAGES, fetchedAt: data.fetchedAt });
+    return sendCached(req, res, xml, 'application/xml; charset=utf-8', data);
+  } catch (err) {
+    console.error('Error in sitemap API:', err);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(500).end('Internal server error');
+  }
+};
@@ -0,0 +1,82 @@
+// api/submissions.js - New club submissions and "claim this club" requests
+//
+// POST /api/submissions  { kind: 'new' | 'claim', club_code?, contact_name, contact_email,
+//                          contact_role?, message?, fields?: { <club field>: value }, sessions?: [...] }
+//
+// Valid submissions are queued for moderation (lib/submission-store); the live
+// club rows are never touched from here. Spam protection: honeypot field and
+// a per-IP rate limit counted in the shared usage store.
+//
+//   SUBMISSIONS_RATE_LIMIT   valid submissions per IP per hour, default 5
+const { getClubs } = require('../lib/club-cache');
+const { getSubmissionStore } = require('../lib/submission-store');
+const { validateSubmission, isSpam } = require('../lib/submissions');
+const { clientIp, hashIp } = require('../lib/rate-limit');
+const { getUsageStore } = require('../lib/usage-store');
+const { parseBody } = require('../lib/http');
+
+const SUBMISSION_WINDOW_MS = 60 * 60 * 1000;
+
+module.exports = async (req, res) => {
+  try {
+    // CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST, OPTIONS');
+      return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+
+    const body = parseBody(req);
+    if (!body) return res.status(400).json({ error: 'Request body must be JSON' });
+
+    // Bots get the same answer as people, but nothing is stored
+    if (isSpam(body)) return res.status(202).json({ status: 'pending' });
+
+    const store = getSubmissionStore();
+    const problems = store.checkConfig();
+    if (problems.length) {
+      console.error('Submission store not configured:', problems);
+      return res.status(503).json({ error: 'Submissions are not available right now' });
+    }
+
+    // Claims are checked against the same club list the directory serves
+    const data = await getClubs();
+    const { errors, warnings, submission } = validateSubmission(body, data.clubs);
+    if (errors.length) {
+      return res.status(422).json({ error: 'Submission is not valid', errors, warnings });
+    }
+
+    // Only valid submissions count towards the limit, as with reviews. A
+    // failing usage store lets the submission through.
+    const now = Date.now();
+    const ipHash = hashIp(clientIp(req), process.env.USAGE_IP_SALT || process.env.ADMIN_SESSION_SECRET || '');
+    const window = await getUsageStore().hit(`submission:${ipHash || 'unknown'}`, SUBMISSION_WINDOW_MS, now)
+      .catch(err => console.error('Usage store failed, not limiting submissions:', err));
+    if (window && window.count > (Number(process.env.SUBMISSIONS_RATE_LIMIT) || 5)) {
+      res.setHeader('Retry-After', String(Math.max(1, Math.ceil((window.start + SUBMISSION_WINDOW_MS - now) / 1000))));
+      return res.status(429).json({ error: 'Too many submissions from this address — try again later' });
+    }
+
+    await store.add(submission);
+
+    return res.status(201).json({
+      submission_id: submission.submission_id,
+      status: submission.status,
+      kind: submission.kind,
+      club_code: submission.club_code,
+      warnings,
+    });
+  } catch (err) {
+    console.error('Error in submissions API:', err);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
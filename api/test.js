@@ -1,4 +1,8 @@
-// api/test.js - Test endpoint to verify Google Sheets connection
+// api/test.js - Test endpoint to verify the data source connection (Google Sheets or local file)
+const { SHEET_NAME } = require('../lib/club-schema');
+const { getDataSource } = require('../lib/data-source');
+const { requireAdmin } = require('../lib/admin-auth');
+
 module.exports = async (req, res) => {
     try {
         // Set CORS headers
@@ -14,69 +18,41 @@ module.exports = async (req, res) => {
             return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
         }
 
-        console.log('Testing Google Sheets connection...');
+        // Exposes sheet contents and setup details — admins only
+        if (!(await requireAdmin(req, res))) return;
 
-        // Check environment variables
-        if (!process.env.GOOGLE_SERVICE_ACCOUNT) {
-            return res.status(500).json({ 
-                error: 'Missing GOOGLE_SERVICE_ACCOUNT environment variable',
-                setup_required: true 
-            });
-        }
+        const source = getDataSource();
+        console.log(`Testing ${source.type} data source...`);
 
-        if (!process.env.GOOGLE_SHEET_ID) {
+        // Check configuration (env vars, credentials, local file)
+        const problems = source.checkConfig();
+        if (problems.length) {
             return res.status(500).json({ 
-                error: 'Missing GOOGLE_SHEET_ID environment variable',
+                error: problems[0],
+                problems: problems,
+                data_source: source.describe(),
                 setup_required: true 
             });
         }
 
-        // Import googleapis
-        const { google } = require('googleapis');
-
-        let credentials;
-        try {
-            credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT);
-        } catch (parseError) {
-            return res.status(500).json({ 
-                error: 'Invalid GOOGLE_SERVICE_ACCOUNT JSON format',
-                details: parseError.message 
-            });
-        }
-
-        // Create auth and sheets client
-        const auth = new google.auth.GoogleAuth({
-            credentials: credentials,
-            scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-        });
-
-        const sheets = google.sheets({ version: 'v4', auth });
-        const spreadsheetId = process.env.GOOGLE_SHEET_ID;
-
         console.log('Attempting to read spreadsheet metadata...');
 
         // Test basic connection by getting spreadsheet metadata
-        const metadataResponse = await sheets.spreadsheets.get({
-            spreadsheetId: spreadsheetId,
-        });
-
-        const sheetNames = metadataResponse.data.sheets.map(sheet => sheet.properties.title);
+        const metadata = await source.getMetadata();
+        const sheetNames = metadata.sheets;
         console.log('Available sheets:', sheetNames);
 
         // Test reading the specific sheet
-        const sheetName = 'Dynamic Club Page Hub';
+        const sheetName = SHEET_NAME;
         let testReadResult;
         
         try {
-            const testResponse = await sheets.spreadsheets.values.get({
-                spreadsheetId: spreadsheetId,
-                range: `${sheetName}!A1:C10`, // Test first few rows and columns
-            });
+            const testRows = await source.getRows(`${sheetName}!A1:C10`); // Test first few rows and columns
             
             testReadResult = {
                 success: true,
-                rows_found: testResponse.data.values ? testResponse.data.values.length : 0,
-                sample_data: testResponse.data.values ? testResponse.data.values.slice(0, 3) : []
+                rows_found: testRows.length,
+                sample_data: testRows.slice(0, 3)
             };
         } catch (readError) {
             testReadResult = {
@@ -87,10 +63,11 @@ module.exports = async (req, res) => {
 
         return res.status(200).json({
             status: 'success',
-            message: 'Google Sheets connection working',
+            message: `${source.type} data source working`,
+            data_source: source.describe(),
             spreadsheet: {
-                id: spreadsheetId,
-                title: metadataResponse.data.properties.title,
+                id: metadata.id,
+                title: metadata.title,
                 available_sheets: sheetNames
             },
             target_sheet: sheetName,
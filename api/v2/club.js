@@ -0,0 +1,60 @@
+// api/v2/club.js - One club as a v2 record (/api/v2/clubs/:code)
+const { getClubs } = require('../../lib/club-cache');
+const { getApprovedReviews, withReviewStats } = require('../../lib/reviews');
+const { resolveClubCode } = require('../../lib/club-codes');
+const { toV2Club } = require('../../lib/club-v2');
+const { buildSpec } = require('../../lib/openapi');
+const { validateRequest, checkResponse } = require('../../lib/openapi-validate');
+const { checkApiAccess, RATE_LIMIT_HEADERS } = require('../../lib/api-access');
+const { sendCachedJson, siteOrigin } = require('../../lib/http');
+
+const SPEC = buildSpec();
+const PATH = '/api/v2/clubs/{code}';
+
+module.exports = async (req, res) => {
+  try {
+    // CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match, X-API-Key');
+    res.setHeader('Access-Control-Expose-Headers', `ETag, Warning, Location, ${RATE_LIMIT_HEADERS}`);
+    res.setHeader('Cache-Control', 's-maxage=15, stale-while-revalidate=5');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+
+    // API key, rate limit and usage — see lib/api-access.js
+    if (!(await checkApiAccess(req, res, 'v2/club'))) return;
+
+    const code = (req.query.code || '').toString().trim().toLowerCase();
+    const { errors } = validateRequest(SPEC, PATH, { code });
+    if (errors.length) return res.status(400).json({ error: 'Invalid club code', errors });
+
+    const data = await getClubs();
+    if (data.empty) return res.status(404).json({ error: 'No club data found' });
+
+    const { club: found, redirect } = resolveClubCode(data.clubs, code);
+    if (!found) return res.status(404).json({ error: 'Club not found' });
+
+    if (redirect) {
+      // Old code (renamed club) — point at the canonical one
+      res.setHeader('Location', `/api/v2/clubs/${encodeURIComponent(found.club_code)}`);
+      return res.status(301).json({ error: 'Club code has moved' });
+    }
+
+    const club = withReviewStats(found, await getApprovedReviews());
+    const body = { data: toV2Club(club, { origin: siteOrigin(req) }) };
+
+    checkResponse(SPEC, PATH, 200, body);
+    return sendCachedJson(req, res, body, data);
+  } catch (err) {
+    console.error('Error in v2 club API:', err);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
@@ -0,0 +1,69 @@
+// api/v2/clubs.js - v2 club search: nested club records, validated parameters (see lib/openapi.js)
+const { queryClubs } = require('../../lib/club-query');
+const { searchIndex } = require('../../lib/search');
+const { getClubs } = require('../../lib/club-cache');
+const { getApprovedReviews, withReviewStats } = require('../../lib/reviews');
+const { toV2Result } = require('../../lib/club-v2');
+const { buildSpec } = require('../../lib/openapi');
+const { validateRequest, checkResponse } = require('../../lib/openapi-validate');
+const { checkApiAccess, RATE_LIMIT_HEADERS } = require('../../lib/api-access');
+const { sendCachedJson, siteOrigin } = require('../../lib/http');
+
+const SPEC = buildSpec();
+const PATH = '/api/v2/clubs';
+
+module.exports = async (req, res) => {
+  try {
+    // CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match, X-API-Key');
+    res.setHeader('Access-Control-Expose-Headers', `ETag, Warning, ${RATE_LIMIT_HEADERS}`);
+    res.setHeader('Cache-Control', 's-maxage=15, stale-while-revalidate=5');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+
+    // API key, rate limit and usage — see lib/api-access.js
+    if (!(await checkApiAccess(req, res, 'v2/clubs'))) return;
+
+    // Unlike v1, bad values are rejected rather than quietly ignored
+    const { params, errors } = validateRequest(SPEC, PATH, req.query || {});
+    if (errors.length) return res.status(400).json({ error: 'Invalid query parameters', errors });
+
+    const data = await getClubs();
+    if (data.empty) return res.status(404).json({ error: 'No club data found' });
+
+    const approved = await getApprovedReviews();
+    const clubs = data.clubs.map(c => withReviewStats(c, approved));
+    const result = queryClubs(clubs, params, { index: searchIndex(data.clubs) });
+
+    const origin = siteOrigin(req);
+    const { activity, location, confidence, age_group } = result.facets;
+    const body = {
+      data: result.clubs.map(c => toV2Result(c, { origin })),
+      meta: {
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages,
+        sort: result.sort,
+        near: result.near || null,
+        radius: result.radius,
+      },
+      facets: { activity, location, confidence, age_group },
+    };
+
+    checkResponse(SPEC, PATH, 200, body);
+    return sendCachedJson(req, res, body, data);
+  } catch (err) {
+    console.error('Error in v2 clubs API:', err);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
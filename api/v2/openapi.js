@@ -0,0 +1,28 @@
+// api/v2/openapi.js - The OpenAPI document for /api/v2 (/api/v2/openapi.json)
+const { buildSpec } = require('../../lib/openapi');
+const { sendCachedJson, siteOrigin } = require('../../lib/http');
+
+module.exports = async (req, res) => {
+  try {
+    // CORS — so API explorers on other origins can load it
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
+    res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate=86400');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+
+    return sendCachedJson(req, res, buildSpec({ origin: siteOrigin(req) }));
+  } catch (err) {
+    console.error('Error in OpenAPI endpoint:', err);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
@@ -0,0 +1,50 @@
+// api/validate-sheet.js - Data-quality report for every row of the club sheet
+//
+// GET /api/validate-sheet            rows with findings only
+// GET /api/validate-sheet?all=1      every row
+// GET /api/validate-sheet?active=1   active clubs only
+//
+// Admin only (lib/admin-auth.js): the report quotes raw cells of inactive rows too.
+const { getClubs } = require('../lib/club-cache');
+const { isTruthy } = require('../lib/club-schema');
+const { validateSheet } = require('../lib/sheet-validation');
+const { requireAdmin } = require('../lib/admin-auth');
+
+module.exports = async (req, res) => {
+  try {
+    // CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    // Editors re-run this straight after fixing the sheet
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+    if (!(await requireAdmin(req, res))) return;
+
+    const query = req.query || {};
+    const data = await getClubs({ fresh: true });
+    if (data.empty) return res.status(404).json({ error: 'No club data found' });
+
+    const report = validateSheet(data.rows, { includeClean: isTruthy(query.all) });
+    if (isTruthy(query.active)) {
+      report.clubs = report.clubs.filter(c => c.active);
+    }
+
+    return res.status(200).json({
+      generated_at: new Date().toISOString(),
+      stale: data.stale,
+      ...report,
+    });
+  } catch (err) {
+    console.error('Error in validate-sheet API:', err);
+    return res.status(500).json({
+      error: 'Validation failed',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    });
+  }
+};
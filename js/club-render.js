@@ -0,0 +1,454 @@
+/* js/club-render.js — Club page markup, shared by the browser (club.html)
+   and the server-rendered /club/:code function (api/club-page.js).
+   Everything here returns HTML strings; all sheet values go through esc().
+   The exceptions are built on the server by lib/sanitise.js: hero_background
+   (validated CSS) and the markdown fields club_bio_html / faqs[].answer_html. */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ClubRender = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  /* ══════════════════════════════════════════
+     CONFIDENCE HELPERS
+     The 5 labels match exactly what is stored in the sheet column.
+  ══════════════════════════════════════════ */
+  const CONFIDENCE_ORDER = ['Verified','Likely Active','Probably Active','Uncertain','Unconfirmed'];
+
+  function confidenceClass(label) {
+    switch (label) {
+      case 'Verified':        return 'conf-verified';
+      case 'Likely Active':   return 'conf-likely';
+      case 'Probably Active': return 'conf-probably';
+      case 'Uncertain':       return 'conf-uncertain';
+      case 'Unconfirmed':     return 'conf-unconfirmed';
+      default:                return 'conf-unconfirmed';
+    }
+  }
+
+  function renderConfidenceBadge(label) {
+    if (!label || !CONFIDENCE_ORDER.includes(label)) return '';
+    return `<span class="confidence-badge ${confidenceClass(label)}"><span class="conf-dot"></span>${esc(label)}</span>`;
+  }
+
+  // "Why this label?" — the signal breakdown from lib/confidence.js
+  function renderConfidenceReasons(conf) {
+    if (!conf || !Array.isArray(conf.signals)) return '';
+    const note = conf.override
+      ? `Set to ${esc(conf.override)} by the directory team. Our checks alone would say ${esc(conf.computed)}.`
+      : `Worked out from what we know about this club (${esc(conf.score)}/${esc(conf.max)} points). It drops as details go out of date.`;
+    const rows = conf.signals.map(s => `
+                  <li class="${s.points ? 'has-points' : ''}">
+                    <span>${esc(s.label)}: ${esc(s.detail)}</span>
+                    <span class="confidence-points">${esc(s.points)}/${esc(s.max)}</span>
+                  </li>`).join('');
+    return `
+              <details class="confidence-why" id="confidenceWhy">
+                <summary>Why ${esc(conf.label)}?</summary>
+                <p>${note}</p>
+                <ul>${rows}
+                </ul>
+              </details>`;
+  }
+
+  /* ══════════════════════════════════════════
+     HELPERS
+  ══════════════════════════════════════════ */
+  function esc(v) {
+    return String(v == null ? '' : v)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+  function isUrl(v) { return /^https?:\/\//i.test(v || ''); }
+  function makeStars(outOf5) {
+    const n = Math.max(0, Math.min(5, Number(outOf5) || 0));
+    const full = Math.floor(n);
+    const half = n - full >= 0.5 ? 1 : 0;
+    const empty = 5 - full - half;
+    return '★'.repeat(full) + (half ? '½' : '') + '☆'.repeat(empty);
+  }
+  function formatMoney(amount) {
+    const n = Number(amount);
+    if (!isFinite(n) || n <= 0) return '';
+    return '£' + (Math.round(n * 100) / 100).toFixed(n % 1 ? 2 : 0);
+  }
+  function sanitiseHandle(v) {
+    if (!v) return '';
+    const t = v.trim();
+    if (isUrl(t)) return t;
+    return 'https://instagram.com/' + t.replace(/^@/, '');
+  }
+  function splitList(v) {
+    return String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+  }
+  function hidden(cond) { return cond ? '' : ' style="display:none;"'; }
+
+  // Inline style for the hero background — validated on the server, never
+  // rebuilt from the raw image / gradient cells here
+  function heroBackground(d) {
+    return d.hero_background || '';
+  }
+
+  function collapsible(id, eyebrow, title, inner) {
+    return `
+      <div class="card" id="${id}Card">
+        <div class="collapsible-header" data-target="#${id}Content">
+          <div class="collapsible-title-row">
+            <span class="eyebrow" style="margin-bottom:0;">${eyebrow}</span>
+            <span class="collapsible-title">${title}</span>
+          </div>
+          <span class="collapsible-icon"><i class="fa-solid fa-chevron-down"></i></span>
+        </div>
+        <div class="collapsible-content" id="${id}Content">
+          <div class="collapsible-inner">${inner}</div>
+        </div>
+      </div>`;
+  }
+
+  /* ══════════════════════════════════════════
+     SECTIONS
+  ══════════════════════════════════════════ */
+  function renderHero(d) {
+    let logo = '<i class="fas fa-dumbbell"></i>';
+    if (d.club_logo_emoji) {
+      logo = isUrl(d.club_logo_emoji)
+        ? `<img src="${esc(d.club_logo_emoji)}" alt="${esc(d.club_name ? `${d.club_name} logo` : 'Club logo')}">`
+        : esc(d.club_logo_emoji);
+    }
+    const bg = heroBackground(d);
+
+    return `
+      <div class="hero-card" id="heroCard">
+        <div class="hero-bg" id="heroBg"${bg ? ` style="${esc(bg)}"` : ''}></div>
+        <div class="hero-fade"></div>
+        <div class="hero-content">
+          <div class="club-logo" id="clubLogo">${logo}</div>
+          <div class="hero-badge" id="heroBadge"${d.verified ? ' style="display:inline-flex;"' : ' style="display:none;"'}>
+            <div class="hero-badge-dot"></div>
+            <span id="heroBadgeText">Verified Club</span>
+          </div>
+          <div class="hero-title-row">
+            <h1 class="hero-title" id="clubName">${esc(d.club_name || 'Club')}</h1>
+            <span class="verified-dot" id="verifiedBadge"${d.verified ? ' style="display:inline-flex;"' : ' style="display:none;"'}>
+              <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41L9 16.17z"/></svg>
+            </span>
+          </div>
+          ${d.activity_type ? `<span class="hero-activity" id="clubActivity" style="display:block;">${esc(d.activity_type)}</span>` : ''}
+          ${d.club_snippet ? `<p class="hero-subtitle" id="clubSnippet" style="display:block;">${esc(d.club_snippet)}</p>` : ''}
+          <div class="hero-actions">
+            ${isUrl(d.booking_url) ? `<a href="${esc(d.booking_url)}" class="hero-btn hero-btn-primary" id="bookButton" style="display:inline-flex;">Book a Session →</a>` : ''}
+            ${isUrl(d.review_link) ? `<a href="${esc(d.review_link)}" class="hero-btn hero-btn-outline" id="reviewButton" style="display:inline-flex;"><i class="fas fa-star" style="margin-right:6px;"></i>Leave a Review</a>` : ''}
+            ${isUrl(d.shop_link) ? `<a href="${esc(d.shop_link)}" class="hero-btn hero-btn-outline" id="shopButton" style="display:inline-flex;"><i class="fas fa-shopping-bag" style="margin-right:6px;"></i>Donate</a>` : ''}
+            ${d.club_code ? `<button type="button" class="hero-btn hero-btn-outline save-club" id="saveButton" aria-pressed="false"><i class="far fa-star" style="margin-right:6px;"></i><span>Save</span></button>` : ''}
+          </div>
+        </div>
+      </div>`;
+  }
+
+  function renderInfo(d) {
+    // The club's own wording first, else the summary of its tiers (lib/pricing.js)
+    const feeText = d.monthly_fee_text || (d.pricing && d.pricing.summary) || '';
+    const stars = Number(d.star_rating) || 0;
+    const badge = renderConfidenceBadge(d.confidence_score);
+    const tags = [
+      ...splitList(d.tags_who).map(t => `<span class="tag">${esc(t)}</span>`),
+      ...splitList(d.tags_vibe).map(t => `<span class="tag vibe">${esc(t)}</span>`),
+      ...splitList(d.tags_accessibility).map(t => `<span class="tag accessibility">${esc(t)}</span>`),
+    ];
+
+    return `
+      <div class="card">
+        <div class="card-inner">
+          <div class="info-grid" id="infoGrid">
+            <div class="info-item">
+              <span class="info-icon"><i class="fas fa-map-marker-alt"></i></span>
+              <span class="info-label">Location</span>
+              <div class="info-value" id="clubLocation">${esc(d.location || '—')}</div>
+            </div>
+            <div class="info-item" id="audienceBlock"${hidden(d.audience)}>
+              <span class="info-icon"><i class="fas fa-user-group"></i></span>
+              <span class="info-label">Audience</span>
+              <div class="info-value" id="clubAudience">${esc(d.audience || '—')}</div>
+            </div>
+            <div class="info-item" id="feeBlock"${hidden(feeText)}>
+              <span class="info-icon"><i class="fas fa-pound-sign"></i></span>
+              <span class="info-label">Price</span>
+              <div class="info-value" id="clubFee">${esc(feeText || '—')}</div>
+            </div>
+            <div class="info-item" id="starBlock"${hidden(d.star_rating)}>
+              <span class="info-icon"><i class="fas fa-star"></i></span>
+              <span class="info-label">Star Rating</span>
+              <div class="info-value">
+                <span class="stars" id="clubStars">${makeStars(stars)}</span>
+                <span class="rating-sub" id="starRatingText">${stars}/5</span>
+              </div>
+            </div>
+            <!-- Confidence replaces numeric User Rating -->
+            <div class="info-item" id="confidenceBlock"${hidden(badge)}>
+              <span class="info-icon"><i class="fas fa-shield-check"></i></span>
+              <span class="info-label">Confidence</span>
+              <div class="info-value" id="confidenceDisplay">${badge || '—'}</div>${renderConfidenceReasons(d.confidence)}
+            </div>
+            <div class="info-item" id="membersBlock"${hidden(Number(d.member_count) > 0)}>
+              <span class="info-icon"><i class="fas fa-users"></i></span>
+              <span class="info-label">Members</span>
+              <div class="info-value" id="clubMembers">${esc(d.member_count || '—')}</div>
+            </div>
+          </div>
+          <div class="tags-row" id="clubTags">${tags.join('')}</div>
+        </div>
+      </div>`;
+  }
+
+  function renderPerformance(d) {
+    const stat = (id, show, valueId, value, label) => `
+            <div class="stat-box" id="${id}"${hidden(show)}>
+              <span class="stat-val" id="${valueId}">${esc(value)}</span>
+              <span class="stat-lbl">${label}</span>
+            </div>`;
+
+    return `
+      <div class="card" id="membership">
+        <div class="card-inner">
+          <span class="eyebrow">Club Metrics</span>
+          <h2 class="section-title">Club Performance</h2>
+          <div class="stats-grid">
+            ${stat('rankPosBlock', Number(d.ranking_position) > 0, 'rankingPosition', `#${d.ranking_position || 0}`, 'Ranking Position')}
+            ${stat('rankCatBlock', d.ranking_category, 'rankingCategory', d.ranking_category || '—', 'Category')}
+            ${stat('spwBlock', Number(d.sessions_per_week) > 0, 'sessionsPerWeek', d.sessions_per_week || 0, 'Sessions / Week')}
+            ${stat('totalTeamsBlock', Number(d.total_teams) > 0, 'totalTeamsStat', d.total_teams || 0, 'Total Teams')}
+            ${stat('growthBlock', d.member_growth, 'memberGrowth', d.member_growth || '+0%', 'Member Growth')}
+          </div>
+        </div>
+      </div>`;
+  }
+
+  function renderSessions(d) {
+    const items = (Array.isArray(d.sessions) ? d.sessions : [])
+      .filter(s => s.date || s.time || s.type)
+      .map(s => {
+        // day_label / time_label come from lib/sessions.js; raw text is the fallback
+        const inner = `
+            <div class="session-day">${esc(s.day_label || s.date || 'Date TBC')}</div>
+            <div class="session-time">${esc(s.time_label || s.time || 'Time TBC')}</div>
+            <div class="session-type">${esc(s.type || '')}</div>`;
+        return isUrl(s.url)
+          ? `<a class="session-item" href="${esc(s.url)}">${inner}</a>`
+          : `<div class="session-item">${inner}</div>`;
+      });
+    if (!items.length) return '';
+    const scheduled = d.sessions.some(s => s.recurrence);
+    const calendar = scheduled && d.club_code
+      ? `<a class="calendar-link" id="calendarLink" href="/api/club-calendar?code=${encodeURIComponent(d.club_code)}"><i class="fas fa-calendar-plus"></i> Add to calendar</a>`
+      : '';
+
+    return `
+      <div class="card" id="sessionsCard">
+        <div class="card-inner">
+          <span class="eyebrow">Schedule</span>
+          <h2 class="section-title">Weekly Sessions</h2>
+          <div class="sessions-grid" id="sessionsGrid">${items.join('')}</div>
+          ${calendar}
+        </div>
+      </div>`;
+  }
+
+  /* Every tier when there's a choice; a single price is already in the info grid */
+  function renderPricing(d) {
+    const tiers = d.pricing && Array.isArray(d.pricing.tiers) ? d.pricing.tiers : [];
+    if (tiers.length < 2) return '';
+    const items = tiers.map(t => `
+            <div class="price-tier${t.kind === 'trial' ? ' trial' : ''}">
+              <div class="price-tier-amount">${esc(t.label)}</div>
+              <div class="price-tier-name">${esc(t.name)}</div>
+              ${t.description ? `<div class="price-tier-desc">${esc(t.description)}</div>` : ''}
+            </div>`).join('');
+    return collapsible('pricing', 'Membership', 'Prices', `<div class="price-grid" id="priceGrid">${items}</div>`);
+  }
+
+  function renderTeams(d) {
+    const teams = Array.isArray(d.teams) ? d.teams.filter(Boolean) : [];
+    if (!teams.length) return '';
+    const items = teams.map(name => `<div class="team-item">${esc(name)}</div>`).join('');
+    return collapsible('teams', 'Squads', 'Teams', `<div class="teams-grid" id="teamsGrid">${items}</div>`);
+  }
+
+  /* Reviews: approved visitor reviews plus the sheet's testimonials. The
+     server sends the first page (d.reviews); club.html pages through the
+     rest from /api/reviews and posts new ones there. */
+  function reviewList(d) {
+    if (Array.isArray(d.reviews)) return d.reviews;
+    return (Array.isArray(d.testimonials) ? d.testimonials : []).map(t => ({ author: t.author, rating: t.rating, text: t.text }));
+  }
+
+  function renderReviewItems(list) {
+    if (!list.length) return '<p class="reviews-empty">No reviews yet — be the first to write one.</p>';
+    return list.map(r => `
+            <div class="testimonial-item">
+              <div class="testimonial-meta">
+                <span class="stars">${r.rating ? makeStars(Math.min(5, Number(r.rating))) : ''}</span>
+                <span class="testimonial-author">${esc(r.author)}</span>
+              </div>
+              <div class="testimonial-text">${esc(r.text)}</div>
+            </div>`).join('');
+  }
+
+  function renderReviewSummary(d, count) {
+    const avg = Number(d.average_rating);
+    if (!count) return '';
+    return `<span class="stars">${avg ? makeStars(avg) : ''}</span>
+            ${avg ? `<strong>${avg.toFixed(1)}</strong> · ` : ''}${count} review${count === 1 ? '' : 's'}`;
+  }
+
+  function renderReviewForm(d) {
+    if (!d.club_code) return '';
+    const ratings = [5, 4, 3, 2, 1].map(n =>
+      `<option value="${n}">${makeStars(n)} (${n})</option>`).join('');
+    return `
+            <details class="review-form-wrap" id="reviewFormWrap">
+              <summary>Write a review</summary>
+              <form class="review-form" id="reviewForm" novalidate>
+                <input type="hidden" name="club_code" value="${esc(d.club_code)}">
+                <label class="review-field">Rating
+                  <select name="rating" required><option value="">Choose…</option>${ratings}</select>
+                </label>
+                <label class="review-field">Your name
+                  <input name="author" maxlength="60" autocomplete="name" required>
+                </label>
+                <label class="review-field wide">Your review
+                  <textarea name="text" minlength="20" maxlength="2000" rows="4" required></textarea>
+                </label>
+                <div class="honeypot" aria-hidden="true"><input name="url_confirm" tabindex="-1" autocomplete="off"></div>
+                <div class="review-actions wide">
+                  <button type="submit" class="review-submit">Send review</button>
+                  <span class="review-status" id="reviewStatus" role="status"></span>
+                </div>
+              </form>
+            </details>`;
+  }
+
+  function renderReviews(d) {
+    const list = reviewList(d);
+    const count = Number(d.review_count) || list.length;
+    const pages = Number(d.review_pages) || 1;
+    const pager = pages > 1 ? `
+            <div class="reviews-pager" id="reviewsPager" data-page="1" data-pages="${pages}">
+              <button type="button" data-step="-1" disabled>← Newer</button>
+              <span id="reviewsPageLabel">Page 1 of ${pages}</span>
+              <button type="button" data-step="1">Older →</button>
+            </div>` : '';
+    return collapsible('reviews', 'Community Voice', 'Reviews', `
+            <div class="reviews-summary" id="reviewsSummary">${renderReviewSummary(d, count)}</div>
+            <div class="testimonials-grid" id="reviewsList">${renderReviewItems(list)}</div>${pager}${renderReviewForm(d)}`);
+  }
+
+  function renderBenefits(d) {
+    const list = (Array.isArray(d.benefits) ? d.benefits : []).filter(b => b.title && b.description);
+    if (!list.length) return '';
+    const items = list.map(b => `
+            <div class="benefit-item">
+              <div class="benefit-icon">${esc(b.icon || '✨')}</div>
+              <div class="benefit-content"><h4>${esc(b.title)}</h4><p>${esc(b.description)}</p></div>
+            </div>`).join('');
+    return collapsible('benefits', 'Membership', 'Why Join', `<div class="benefits-grid" id="benefitsGrid">${items}</div>`);
+  }
+
+  function renderFaqs(d) {
+    const list = (Array.isArray(d.faqs) ? d.faqs : []).filter(f => f.question && f.answer);
+    if (!list.length) return '';
+    const items = list.map(f =>
+      `<div class="faq-item"><div class="faq-question">${esc(f.question)}</div><div class="faq-answer">${f.answer_html || esc(f.answer)}</div></div>`
+    ).join('');
+    return collapsible('faq', 'Got Questions?', 'FAQs', `<div class="faq-grid" id="faqGrid">${items}</div>`);
+  }
+
+  function renderAbout(d) {
+    const aboutText = d.club_bio || '';
+    if (!(aboutText || d.coach_name || d.coach_role)) return '';
+    const initials = (d.coach_name || '?').split(' ').map(x => x[0] || '').join('').slice(0, 2).toUpperCase();
+    const coach = (d.coach_name || d.coach_role) ? `
+              <div id="coachInfo">
+                <div class="coach-card">
+                  <div class="coach-avatar" id="coachAvatar">${esc(initials)}</div>
+                  <div>
+                    <div class="coach-name" id="coachName">${esc(d.coach_name)}</div>
+                    <div class="coach-role" id="coachRole">${esc(d.coach_role)}</div>
+                  </div>
+                </div>
+              </div>` : '';
+    return collapsible('about', 'Background', 'About the Club', `
+            <div class="about-layout">
+              <div class="about-text" id="aboutText">${d.club_bio_html || esc(aboutText)}</div>${coach}
+            </div>`);
+  }
+
+  function renderContact(d) {
+    const item = (iconHtml, label, subtext, href) => `
+            <a class="contact-item"${href ? ` href="${esc(href)}"` : ''}>
+              <div class="contact-icon-wrap">${iconHtml}</div>
+              <div class="contact-info">
+                <span class="contact-label">${label}</span>
+                <span class="contact-value">${esc(subtext)}</span>
+              </div>
+            </a>`;
+
+    const items = [];
+    if (d.email)     items.push(item('<i class="fa-solid fa-envelope"></i>',  'Email',    d.email,    'mailto:' + d.email));
+    if (d.phone)     items.push(item('<i class="fa-solid fa-phone"></i>',     'Phone',    d.phone,    'tel:' + String(d.phone).replace(/\s+/g, '')));
+    if (d.whatsapp)  items.push(item('<i class="fa-brands fa-whatsapp"></i>', 'WhatsApp', d.whatsapp, 'https://wa.me/' + String(d.whatsapp).replace(/\D+/g, '')));
+    if (d.instagram) {
+      const ig = sanitiseHandle(d.instagram);
+      items.push(item('<i class="fa-brands fa-instagram"></i>', 'Instagram', ig.replace(/^https?:\/\/(www\.)?instagram\.com\//i, '@'), ig));
+    }
+    if (d.website && isUrl(d.website))
+      items.push(item('<i class="fa-solid fa-globe"></i>', 'Website', d.website, d.website));
+    if (d.address)
+      items.push(item('<i class="fa-solid fa-location-dot"></i>', 'Address', d.address, 'https://www.google.com/maps/search/?api=1&query=' + encodeURIComponent(d.address)));
+    if (!items.length) return '';
+
+    return collapsible('contact', 'Get in Touch', 'Contact', `<div class="contact-grid" id="contactGrid">${items.join('')}</div>`);
+  }
+
+  function renderClaim(d) {
+    if (!d.club_code) return '';
+    return `
+      <div class="claim-note" id="claimNote">
+        Run ${esc(d.club_name || 'this club')}? <a href="/submit?claim=${encodeURIComponent(d.club_code)}">Claim this page</a> to update its details.
+      </div>`;
+  }
+
+  // Everything that goes inside #content
+  function renderContent(d) {
+    return [
+      renderHero(d),
+      renderInfo(d),
+      renderPerformance(d),
+      renderSessions(d),
+      renderPricing(d),
+      renderTeams(d),
+      renderReviews(d),
+      renderBenefits(d),
+      renderFaqs(d),
+      renderAbout(d),
+      renderContact(d),
+      renderClaim(d),
+    ].join('');
+  }
+
+  return {
+    CONFIDENCE_ORDER,
+    confidenceClass,
+    renderConfidenceBadge,
+    renderConfidenceReasons,
+    esc,
+    isUrl,
+    makeStars,
+    formatMoney,
+    heroBackground,
+    renderContent,
+    renderReviewItems,
+    renderReviewSummary,
+  };
+});
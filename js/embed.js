@@ -0,0 +1,52 @@
+/* js/embed.js — Partner embed loader.
+   Paste where the widget should appear:
+
+     <script src="https://…/js/embed.js" data-club="hackney-runners" async></script>
+     <script src="https://…/js/embed.js" data-activity="Running" data-location="Hackney" async></script>
+
+   Optional: data-theme (dark | light), data-accent / data-bg / data-text (hex),
+   data-fields (comma list), data-limit. The options are listed by
+   /api/embed-config. The script swaps itself for an iframe of /embed/…,
+   so nothing on the partner's page styles the widget or reads its data,
+   and sizes the iframe to its content. */
+(function () {
+
+  const OPTIONS = ['activity', 'location', 'limit', 'theme', 'accent', 'bg', 'text', 'fields'];
+  const MESSAGE = 'nbrh-embed:resize';
+
+  const script = document.currentScript;
+  if (!script) return;
+
+  const origin = new URL(script.src).origin;
+
+  /* ══════════════════════════════════════════
+     IFRAME
+  ══════════════════════════════════════════ */
+  const data = script.dataset;
+  const params = new URLSearchParams();
+  for (const key of OPTIONS) if (data[key]) params.set(key, data[key]);
+
+  const path = data.club ? '/embed/club/' + encodeURIComponent(data.club.trim().toLowerCase()) : '/embed/clubs';
+
+  const frame = document.createElement('iframe');
+  frame.src = origin + path + '?' + params;
+  frame.title = data.club ? 'Club on The NBRH' : 'Clubs on The NBRH';
+  frame.loading = 'lazy';
+  frame.setAttribute('scrolling', 'no');
+  frame.style.cssText = 'display:block;width:100%;max-width:480px;height:' + (data.club ? 320 : 420) + 'px;border:0;background:transparent;';
+  script.parentNode.insertBefore(frame, script);
+
+  /* ══════════════════════════════════════════
+     RESIZE
+     Messages are matched to this iframe by e.source, so several
+     widgets on one page never need ids in their (cached) URLs.
+  ══════════════════════════════════════════ */
+  window.addEventListener('message', e => {
+    if (e.origin !== origin || e.source !== frame.contentWindow) return;
+    const msg = e.data;
+    if (!msg || msg.type !== MESSAGE) return;
+    const height = Number(msg.height);
+    if (height > 0 && height < 5000) frame.style.height = Math.ceil(height) + 'px';
+  });
+
+})();
@@ -0,0 +1,171 @@
+/* js/favourites.js — Saved clubs, kept in this browser's localStorage.
+   Shared by the directory (index.html), club pages (club.html) and the
+   compare page (compare.html). Nothing is sent to the server: the export
+   code is how a list moves to another device.
+   Changes fire a `favourites:change` event on window, including ones made
+   in another tab. */
+(function (root) {
+
+  const STORAGE_KEY = 'nbrh:favourites';
+  const MAX_SAVED = 50;
+  const CODE_PREFIX = 'nbrh1.';
+  const CLUB_CODE = /^[a-z0-9][a-z0-9-]{0,79}$/;
+
+  /* ══════════════════════════════════════════
+     STORAGE
+     [{ code, name, saved_at }], oldest first
+  ══════════════════════════════════════════ */
+  function read() {
+    try {
+      const list = JSON.parse(root.localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(list) ? list.filter(f => f && typeof f.code === 'string' && CLUB_CODE.test(f.code)) : [];
+    } catch (err) {
+      return [];   // storage blocked or corrupted — behave as an empty list
+    }
+  }
+
+  function write(list) {
+    try {
+      root.localStorage.setItem(STORAGE_KEY, JSON.stringify(list.slice(-MAX_SAVED)));
+    } catch (err) {
+      console.warn('Could not save favourites:', err);
+    }
+    root.dispatchEvent(new CustomEvent('favourites:change', { detail: { codes: codes() } }));
+  }
+
+  function normalise(code) {
+    return String(code || '').trim().toLowerCase();
+  }
+
+  /* ══════════════════════════════════════════
+     LIST
+  ══════════════════════════════════════════ */
+  function list()  { return read(); }
+  function codes() { return read().map(f => f.code); }
+  function has(code) { return codes().includes(normalise(code)); }
+
+  // club: { club_code, club_name } (or { code, name }); returns false when full or invalid
+  function add(club) {
+    const code = normalise(club.club_code || club.code);
+    if (!CLUB_CODE.test(code)) return false;
+    const saved = read();
+    if (saved.some(f => f.code === code)) return true;
+    if (saved.length >= MAX_SAVED) return false;
+    saved.push({ code, name: String(club.club_name || club.name || '').slice(0, 120), saved_at: new Date().toISOString() });
+    write(saved);
+    return true;
+  }
+
+  function remove(code) {
+    const saved = read();
+    const next = saved.filter(f => f.code !== normalise(code));
+    if (next.length !== saved.length) write(next);
+  }
+
+  // Returns whether the club is saved afterwards
+  function toggle(club) {
+    const code = normalise(club.club_code || club.code);
+    if (has(code)) { remove(code); return false; }
+    return add(club);
+  }
+
+  // Keeps a saved entry current when a club is renamed (old code → canonical code)
+  function update(oldCode, club) {
+    const from = normalise(oldCode);
+    const to = normalise(club.club_code) || from;
+    const saved = read();
+    const entry = saved.find(f => f.code === from);
+    if (!entry) return;
+    const name = club.club_name || entry.name;
+    if (entry.code === to && entry.name === name) return;
+    // Both codes saved: keep the canonical one
+    if (from !== to && saved.some(f => f.code === to)) return write(saved.filter(f => f !== entry));
+    entry.name = name;
+    entry.code = to;
+    write(saved);
+  }
+
+  /* ══════════════════════════════════════════
+     EXPORT / IMPORT
+     The code is the saved club codes, base64url-encoded behind a version
+     prefix. Import also takes a plain comma-separated list of codes or a
+     /compare?clubs= link.
+  ══════════════════════════════════════════ */
+  function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let bin = '';
+    bytes.forEach(b => { bin += String.fromCharCode(b); });
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(text) {
+    const b64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const bin = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+    return new TextDecoder().decode(Uint8Array.from(bin, ch => ch.charCodeAt(0)));
+  }
+
+  function exportCode() {
+    const list = codes();
+    return list.length ? CODE_PREFIX + toBase64Url(list.join(',')) : '';
+  }
+
+  // Club codes in an export code, link or list; throws on anything unreadable
+  function decode(input) {
+    let text = String(input || '').trim();
+    if (!text) return [];
+    if (text.startsWith(CODE_PREFIX)) {
+      try {
+        text = fromBase64Url(text.slice(CODE_PREFIX.length));
+      } catch (err) {
+        throw new Error('That code is not a valid favourites code');
+      }
+    } else if (/^https?:\/\/|^\//.test(text)) {
+      const url = new URL(text, root.location.href);
+      text = url.searchParams.get('clubs') || '';
+    }
+    const found = text.split(/[\s,]+/).map(normalise).filter(Boolean);
+    const bad = found.filter(c => !CLUB_CODE.test(c));
+    if (bad.length || !found.length) throw new Error('That code is not a valid favourites code');
+    return Array.from(new Set(found));
+  }
+
+  // Merges into the current list; returns the number of clubs added
+  function importCode(input) {
+    const incoming = decode(input);
+    const saved = read();
+    const known = new Set(saved.map(f => f.code));
+    const now = new Date().toISOString();
+    let added = 0;
+    for (const code of incoming) {
+      if (known.has(code) || saved.length >= MAX_SAVED) continue;
+      saved.push({ code, name: '', saved_at: now });
+      known.add(code);
+      added++;
+    }
+    if (added) write(saved);
+    return added;
+  }
+
+  /* ══════════════════════════════════════════
+     OTHER TABS
+  ══════════════════════════════════════════ */
+  root.addEventListener('storage', e => {
+    if (e.key !== STORAGE_KEY) return;
+    root.dispatchEvent(new CustomEvent('favourites:change', { detail: { codes: codes() } }));
+  });
+
+  root.Favourites = {
+    MAX_SAVED,
+    list,
+    codes,
+    has,
+    add,
+    remove,
+    toggle,
+    update,
+    exportCode,
+    decode,
+    importCode,
+  };
+
+})(self);
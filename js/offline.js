@@ -0,0 +1,102 @@
+/* js/offline.js — Service worker registration and the offline banner.
+   Shared by the directory (index.html), club pages (club.html) and the
+   compare page (compare.html).
+
+   sw.js marks data it answered from its cache with `X-SW-Cache`; pass each
+   API response to Offline.noteResponse() and the banner shows or hides
+   itself, using the response's Last-Modified time. Offline.onUpdate()
+   runs a callback when fresher data is available (the worker fetched it
+   in the background, or the browser came back online). */
+(function (root) {
+
+  const BANNER_ID = 'offline-banner';
+
+  /* ══════════════════════════════════════════
+     REGISTRATION
+  ══════════════════════════════════════════ */
+  if ('serviceWorker' in navigator) {
+    root.addEventListener('load', () => {
+      navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker not registered:', err));
+    });
+  }
+
+  /* ══════════════════════════════════════════
+     BANNER
+  ══════════════════════════════════════════ */
+  function injectStyles() {
+    if (document.getElementById(BANNER_ID + '-style')) return;
+    const style = document.createElement('style');
+    style.id = BANNER_ID + '-style';
+    style.textContent = `
+      #${BANNER_ID} {
+        position: sticky; top: 0; z-index: 10000; padding: 0.55rem 1rem; text-align: center;
+        background: rgba(245,158,11,0.14); border-bottom: 1px solid rgba(245,158,11,0.35);
+        color: #f59e0b; font: 600 0.78rem/1.4 'DM Sans', -apple-system, sans-serif;
+      }
+      #${BANNER_ID}[hidden] { display: none; }`;
+    document.head.appendChild(style);
+  }
+
+  function banner() {
+    let el = document.getElementById(BANNER_ID);
+    if (!el) {
+      injectStyles();
+      el = document.createElement('div');
+      el.id = BANNER_ID;
+      el.setAttribute('role', 'status');
+      el.hidden = true;
+      document.body.prepend(el);
+    }
+    return el;
+  }
+
+  // "14:05 on 19 Oct" (today's date is left out)
+  function formatTime(value) {
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date)) return 'earlier';
+    const time = date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) return time;
+    return `${time} on ${date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })}`;
+  }
+
+  function show(state, lastModified) {
+    const el = banner();
+    const when = formatTime(lastModified);
+    el.textContent = state === 'offline'
+      ? `You're offline — showing data from ${when}.`
+      : `Slow connection — showing data from ${when} while we fetch the latest.`;
+    el.hidden = false;
+  }
+
+  function hide() {
+    const el = document.getElementById(BANNER_ID);
+    if (el) el.hidden = true;
+  }
+
+  // Call with every API response the page renders from
+  function noteResponse(res) {
+    const state = res.headers.get('X-SW-Cache');
+    if (state) show(state, res.headers.get('Last-Modified'));
+    else hide();
+    return res;
+  }
+
+  /* ══════════════════════════════════════════
+     UPDATES
+  ══════════════════════════════════════════ */
+  // path: the API path the page reads from, e.g. '/api/clubs'
+  function onUpdate(path, callback) {
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', e => {
+        if (e.data && e.data.type === 'data-updated' && e.data.path === path) callback(e.data);
+      });
+    }
+    root.addEventListener('online', () => {
+      const el = document.getElementById(BANNER_ID);
+      if (el && !el.hidden) callback({ path });
+    });
+  }
+
+  root.Offline = { noteResponse, onUpdate };
+
+})(self);
@@ -0,0 +1,164 @@
+// lib/admin-auth.js - Shared-secret login for the admin API, dashboard and debug endpoints
+//
+//   ADMIN_TOKEN            the shared secret (admin is disabled when unset)
+//   ADMIN_SESSION_SECRET   optional HMAC key for session cookies (defaults to ADMIN_TOKEN,
+//                          so rotating the token also signs everyone out)
+//   ADMIN_SESSION_HOURS    session length, default 12
+//   ADMIN_MAX_FAILURES     wrong tokens allowed per IP per 15 minutes, default 10
+//
+// Browsers log in once and get an HttpOnly, SameSite=Strict cookie; scripts can
+// send `Authorization: Bearer <ADMIN_TOKEN>` instead. Wrong tokens, from either,
+// are counted per IP in the API usage store and locked out past the limit.
+
+const crypto = require('crypto');
+const { clientIp, hashIp } = require('./rate-limit');
+const { getUsageStore } = require('./usage-store');
+
+const COOKIE_NAME = 'nbrh_admin';
+const DEFAULT_SESSION_HOURS = 12;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const DEFAULT_MAX_FAILURES = 10;
+
+function isConfigured(env = process.env) {
+  return !!(env.ADMIN_TOKEN && env.ADMIN_TOKEN.trim());
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function sign(payload, env) {
+  const key = env.ADMIN_SESSION_SECRET || env.ADMIN_TOKEN;
+  return crypto.createHmac('sha256', key).update(payload).digest('base64url');
+}
+
+// ---------- Tokens / sessions ----------
+function checkToken(token, env = process.env) {
+  return isConfigured(env) && !!token && safeEqual(String(token).trim(), env.ADMIN_TOKEN.trim());
+}
+
+function createSession(name, env = process.env) {
+  const hours = Number(env.ADMIN_SESSION_HOURS) || DEFAULT_SESSION_HOURS;
+  const payload = Buffer.from(JSON.stringify({
+    name: String(name || 'admin').slice(0, 60),
+    exp: Date.now() + hours * 3600 * 1000,
+  })).toString('base64url');
+  return { value: `${payload}.${sign(payload, env)}`, maxAge: hours * 3600 };
+}
+
+function readSession(value, env = process.env) {
+  if (!isConfigured(env) || !value) return null;
+  const [payload, sig] = String(value).split('.');
+  if (!payload || !sig || !safeEqual(sig, sign(payload, env))) return null;
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return session.exp > Date.now() ? session : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// ---------- Requests ----------
+function readCookie(req, name) {
+  const header = (req.headers && req.headers.cookie) || '';
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq !== -1 && part.slice(0, eq).trim() === name) return decodeURIComponent(part.slice(eq + 1).trim());
+  }
+  return '';
+}
+
+function readBearer(req) {
+  const auth = (req.headers && req.headers.authorization) || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(auth);
+  return bearer ? bearer[1] : '';
+}
+
+// { name, via: 'cookie' | 'token' } for an authenticated request, else null
+function getAdmin(req, env = process.env) {
+  const bearer = readBearer(req);
+  if (bearer && checkToken(bearer, env)) return { name: 'token', via: 'token' };
+
+  const session = readSession(readCookie(req, COOKIE_NAME), env);
+  return session ? { name: session.name, via: 'cookie' } : null;
+}
+
+// ---------- Lockout ----------
+function failureKey(req, env) {
+  return `admin-fail:${hashIp(clientIp(req) || 'unknown', env.USAGE_IP_SALT || env.ADMIN_SESSION_SECRET || '')}`;
+}
+
+// Sends 429 and resolves to false once this IP has used up its wrong tokens.
+// Like the API limiter, a failing store lets the request through.
+async function checkLockout(req, res, { env = process.env, store = getUsageStore(env), now = Date.now() } = {}) {
+  const max = Number(env.ADMIN_MAX_FAILURES) || DEFAULT_MAX_FAILURES;
+  let window;
+  try {
+    window = await store.count(failureKey(req, env), LOCKOUT_MS, now);
+  } catch (err) {
+    console.error('Usage store failed, not checking admin lockout:', err);
+    return true;
+  }
+  if (window.count < max) return true;
+
+  const retryAfter = Math.max(1, Math.ceil((window.start + LOCKOUT_MS - now) / 1000));
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Retry-After', String(retryAfter));
+  res.status(429).json({ error: 'Too many failed admin logins — try again later', retry_after: retryAfter });
+  return false;
+}
+
+async function noteFailedLogin(req, { env = process.env, store = getUsageStore(env), now = Date.now() } = {}) {
+  await store.hit(failureKey(req, env), LOCKOUT_MS, now)
+    .catch(err => console.error('Usage store failed to count an admin login:', err));
+}
+
+// getAdmin with bearer tokens held to the lockout. Resolves to { admin } (admin
+// may be null), or null once a 429 has been sent.
+async function authenticate(req, res, options = {}) {
+  const env = options.env || process.env;
+  const bearer = readBearer(req);
+  if (bearer) {
+    if (!(await checkLockout(req, res, options))) return null;
+    if (!checkToken(bearer, env)) await noteFailedLogin(req, options);
+  }
+  return { admin: getAdmin(req, env) };
+}
+
+// Sends 503/401/429 and resolves to null when the request isn't from an admin
+async function requireAdmin(req, res, env = process.env) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!isConfigured(env)) {
+    res.status(503).json({ error: 'Admin access is not configured (set ADMIN_TOKEN)' });
+    return null;
+  }
+  const auth = await authenticate(req, res, { env });
+  if (!auth) return null;
+  const { admin } = auth;
+  if (!admin) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="admin"');
+    res.status(401).json({ error: 'Admin login required' });
+    return null;
+  }
+  return admin;
+}
+
+function sessionCookie(value, maxAge) {
+  return `${COOKIE_NAME}=${encodeURIComponent(value)}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${maxAge}`;
+}
+
+module.exports = {
+  COOKIE_NAME,
+  isConfigured,
+  checkToken,
+  createSession,
+  readSession,
+  getAdmin,
+  checkLockout,
+  noteFailedLogin,
+  authenticate,
+  requireAdmin,
+  sessionCookie,
+};
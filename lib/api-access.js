@@ -0,0 +1,196 @@
+// lib/api-access.js - API keys, per-client rate limits and usage metering for the public data endpoints
+//
+//   API_KEYS                     comma-separated name:key[:limit] (limit = requests per minute)
+//   API_KEY_RATE_LIMIT           default per-key limit per minute (600)
+//   API_RATE_LIMIT               keyless requests per IP per minute (60)
+//   USAGE_IP_SALT                salt for the IP hashes in rate-limit keys and usage
+//
+// Third parties send `X-API-Key: <key>` (or `?api_key=`). Keys are optional:
+// the directory and club pages never send one and are limited per IP like
+// any other keyless caller — Origin, Referer and Sec-Fetch-Site are set by
+// whoever makes the request, so they can't earn a bigger budget. The IP is
+// the one the platform reports (lib/rate-limit.js clientIp). Windows and
+// counters live in lib/usage-store; admins read them from /api/admin/usage.
+
+const crypto = require('crypto');
+const { clientIp, hashIp } = require('./rate-limit');
+const { getUsageStore } = require('./usage-store');
+
+const WINDOW_MS = 60 * 1000;
+const DEFAULT_LIMITS = { key: 600, anonymous: 60 };
+const KEY_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+// Headers a browser client may read — add to Access-Control-Expose-Headers
+const RATE_LIMIT_HEADERS = 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset';
+
+// ---------- Keys ----------
+let parsed = { source: null, keys: [] };   // last API_KEYS seen, so bad entries warn once
+
+// [{ name, key, limit }] from API_KEYS; malformed entries are skipped with a warning
+function parseApiKeys(env = process.env) {
+  const source = String(env.API_KEYS || '');
+  if (parsed.source === source) return parsed.keys;
+
+  const keys = [];
+  for (const entry of source.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [name, key, limit] = entry.split(':').map(s => s.trim());
+    if (!KEY_NAME_RE.test(name || '') || !key || key.length < 16 || (limit && !(Number(limit) > 0))) {
+      console.warn(`Ignoring malformed API_KEYS entry for "${name || '?'}" (expected name:key[:limit], key at least 16 characters)`);
+      continue;
+    }
+    keys.push({ name, key, limit: limit ? Math.floor(Number(limit)) : null });
+  }
+  parsed = { source, keys };
+  return keys;
+}
+
+function safeEqual(a, b) {
+  const x = crypto.createHash('sha256').update(String(a)).digest();
+  const y = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(x, y);
+}
+
+function readApiKey(req) {
+  const header = (req.headers && req.headers['x-api-key']) || '';
+  return String(header || (req.query && req.query.api_key) || '').trim();
+}
+
+// ---------- Clients ----------
+function limitFor(env, type, fallback) {
+  const name = { key: 'API_KEY_RATE_LIMIT', anonymous: 'API_RATE_LIMIT' }[type];
+  return Number(env[name]) > 0 ? Math.floor(Number(env[name])) : fallback;
+}
+
+// { type, client, rateKey, limit } for the request, or { error } for an unknown key.
+// `client` is what usage is counted under: the key name, or a salted IP hash
+// for anonymous callers (so scrapers show up by address).
+function identifyClient(req, env = process.env) {
+  const provided = readApiKey(req);
+  if (provided) {
+    const match = parseApiKeys(env).find(k => safeEqual(k.key, provided));
+    if (!match) return { error: 'Invalid API key' };
+    return {
+      type: 'key',
+      client: `key:${match.name}`,
+      rateKey: `key:${match.name}`,
+      limit: match.limit || limitFor(env, 'key', DEFAULT_LIMITS.key),
+    };
+  }
+
+  const ipHash = hashIp(clientIp(req) || 'unknown', env.USAGE_IP_SALT || env.ADMIN_SESSION_SECRET || '');
+  return { type: 'anonymous', client: `ip:${ipHash}`, rateKey: `ip:${ipHash}`, limit: limitFor(env, 'anonymous', DEFAULT_LIMITS.anonymous) };
+}
+
+// ---------- Gate ----------
+// Identifies, rate-limits and meters one request to `endpoint`. Sends
+// 401 / 429 and returns null when the request must stop; otherwise sets the
+// X-RateLimit-* headers and returns the client. If the store fails the
+// request goes through — a usage outage shouldn't take the API down.
+async function checkApiAccess(req, res, endpoint, { env = process.env, store = getUsageStore(env), now = Date.now() } = {}) {
+  const client = identifyClient(req, env);
+  if (client.error) {
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(401).json({ error: client.error });
+    return null;
+  }
+
+  let window;
+  try {
+    window = await store.hit(client.rateKey, WINDOW_MS, now);
+  } catch (err) {
+    console.error('Usage store failed, not rate limiting:', err);
+    return client;
+  }
+
+  const limited = window.count > client.limit;
+  const reset = Math.ceil((window.start + WINDOW_MS) / 1000);
+  res.setHeader('X-RateLimit-Limit', String(client.limit));
+  res.setHeader('X-RateLimit-Remaining', String(Math.max(0, client.limit - window.count)));
+  res.setHeader('X-RateLimit-Reset', String(reset));
+
+  const day = new Date(now).toISOString().slice(0, 10);
+  await store.record({ day, client: client.client, endpoint, limited })
+    .catch(err => console.error('Usage store failed to record:', err));
+
+  if (limited) {
+    const retryAfter = Math.max(1, reset - Math.floor(now / 1000));
+    res.setHeader('Retry-After', String(retryAfter));
+    // Never let the edge cache a 429 for everyone else
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(429).json({
+      error: client.type === 'key'
+        ? 'Rate limit exceeded for this API key — try again later'
+        : 'Too many requests — try again later, or ask us for an API key',
+      retry_after: retryAfter,
+    });
+    return null;
+  }
+  return client;
+}
+
+// ---------- Reporting ----------
+// Usage over the last `days` days (today included), per client and per day
+function usageReport(rows, { days, now = Date.now() }) {
+  const clients = new Map();
+  const daily = new Map();
+  const totals = { requests: 0, limited: 0 };
+
+  for (const row of rows) {
+    totals.requests += row.requests;
+    totals.limited += row.limited;
+
+    const d = daily.get(row.day) || { day: row.day, requests: 0, limited: 0 };
+    d.requests += row.requests;
+    d.limited += row.limited;
+    daily.set(row.day, d);
+
+    const c = clients.get(row.client) || {
+      client: row.client,
+      type: row.client.startsWith('key:') ? 'key' : 'anonymous',
+      requests: 0,
+      limited: 0,
+      endpoints: {},
+    };
+    c.requests += row.requests;
+    c.limited += row.limited;
+    const e = c.endpoints[row.endpoint] || { requests: 0, limited: 0 };
+    e.requests += row.requests;
+    e.limited += row.limited;
+    c.endpoints[row.endpoint] = e;
+    clients.set(row.client, c);
+  }
+
+  return {
+    days,
+    from: sinceDay(days, now),
+    to: new Date(now).toISOString().slice(0, 10),
+    totals,
+    daily: [...daily.values()],
+    clients: [...clients.values()].sort((a, b) => b.requests - a.requests),
+  };
+}
+
+// First day (YYYY-MM-DD) of a `days`-day report ending today
+function sinceDay(days, now = Date.now()) {
+  return new Date(now - (days - 1) * 86400000).toISOString().slice(0, 10);
+}
+
+// Configured limits for the dashboard — key names only, never the keys
+function describeLimits(env = process.env) {
+  return {
+    window_seconds: WINDOW_MS / 1000,
+    anonymous: limitFor(env, 'anonymous', DEFAULT_LIMITS.anonymous),
+    keys: parseApiKeys(env).map(k => ({ name: k.name, limit: k.limit || limitFor(env, 'key', DEFAULT_LIMITS.key) })),
+  };
+}
+
+module.exports = {
+  WINDOW_MS,
+  RATE_LIMIT_HEADERS,
+  parseApiKeys,
+  identifyClient,
+  checkApiAccess,
+  usageReport,
+  sinceDay,
+  describeLimits,
+};
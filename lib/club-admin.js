@@ -0,0 +1,202 @@
+// lib/club-admin.js - Admin reads and writes against the live club rows
+//
+// Always works on a fresh read of the sheet (never the public cache) so row
+// numbers are current when we write. Every write goes through the data
+// source's updateCells / appendRow and clears the club cache afterwards.
+
+const {
+  SHEET_RANGE,
+  resolveColumns,
+  resolveColumnSources,
+  columnLetter,
+  safeGet,
+  parseClubRow,
+  deriveClubFields,
+  isTruthy,
+  CONFIDENCE_LEVELS,
+} = require('./club-schema');
+const { makeSlug, requestedCode, assignClubCodes, resolveClubCode } = require('./club-codes');
+const { getDataSource } = require('./data-source');
+const { clearClubCache } = require('./club-cache');
+const { todayLocal } = require('./sessions');
+
+// Flags an admin can flip from the dashboard without a submission
+const FLAG_FIELDS = ['active', 'verified', 'ranking_category', 'confidence_override'];
+
+function httpError(status, message, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.details = extra;
+  return err;
+}
+
+// ---------- Reading ----------
+// { rows, header, sources, clubs } — clubs include inactive rows; each has
+// `_row` (0-based index into rows). Active clubs get the same codes the
+// public API assigns; inactive ones keep the code they would ask for.
+async function readSheet() {
+  const rows = await getDataSource().getRows(SHEET_RANGE);
+  const [header = []] = rows;
+  const columns = resolveColumns(header);
+  const sources = resolveColumnSources(header);
+
+  const clubs = rows.slice(1).map((row, i) => {
+    const club = deriveClubFields(parseClubRow(row, columns));
+    club._row = i + 1;
+    return club;
+  });
+  assignClubCodes(clubs.filter(c => isTruthy(c.active)));
+  for (const c of clubs) {
+    if (!isTruthy(c.active)) c.club_code = requestedCode(c);
+  }
+  return { rows, header, sources, clubs };
+}
+
+function clubSummary(c) {
+  return {
+    club_code: c.club_code,
+    club_name: c.club_name,
+    row: c._row + 1, // 1-based sheet row
+    active: isTruthy(c.active),
+    verified: !!c.verified,
+    ranking_category: c.ranking_category || '',
+    confidence_score: c.confidence_score || '',
+    confidence_computed: c.confidence ? c.confidence.computed : '',
+    confidence_override: c.confidence ? c.confidence.override || '' : '',
+    activity_type: c.activity_type || '',
+    location: c.location || '',
+  };
+}
+
+function findClub(sheet, code) {
+  const { club } = resolveClubCode(sheet.clubs, code);
+  return club;
+}
+
+// ---------- Diffs ----------
+// Field-by-field comparison of a submission with the current sheet row.
+// `column` is null when the sheet has no column for the field yet.
+function diffSubmission(submission, sheet) {
+  const club = submission.kind === 'claim' ? findClub(sheet, submission.club_code) : null;
+  const row = club ? sheet.rows[club._row] || [] : [];
+
+  const changes = Object.entries(submission.fields || {}).map(([field, proposed]) => {
+    const source = sheet.sources[field];
+    const index = source ? source.index : -1;
+    const current = index < 0 ? '' : String(safeGet(row, index));
+    return {
+      field,
+      column: index < 0 ? null : columnLetter(index),
+      current,
+      proposed: String(proposed),
+      changed: current !== String(proposed),
+    };
+  });
+
+  return {
+    target: club ? clubSummary(club) : null,
+    missing_target: submission.kind === 'claim' && !club,
+    changes,
+  };
+}
+
+// ---------- Writing ----------
+function cellUpdates(sheet, rowIndex, values) {
+  const missing = Object.keys(values).filter(k => !sheet.sources[k] || sheet.sources[k].index < 0);
+  if (missing.length) {
+    throw httpError(409, `The sheet has no column for: ${missing.join(', ')}. Add the header(s) and try again.`, { missing });
+  }
+  return Object.entries(values).map(([key, value]) => ({
+    row: rowIndex,
+    col: sheet.sources[key].index,
+    value: String(value),
+  }));
+}
+
+// Stamps today's date on the date columns the sheet has (freshness for
+// lib/confidence.js, date_added for the feed in lib/club-export.js)
+function withFreshness(sheet, values, keys) {
+  const out = { ...values };
+  for (const key of keys) {
+    if (sheet.sources[key] && sheet.sources[key].index >= 0) out[key] = todayLocal();
+  }
+  return out;
+}
+
+function touchesSessions(values) {
+  return Object.keys(values).some(k => /^session_\d+_/.test(k));
+}
+
+// Writes an approved submission to the live rows. Resolves to
+// { action: 'updated' | 'created', club_code, row, fields }
+async function applySubmission(submission) {
+  const sheet = await readSheet();
+  const source = getDataSource();
+  const { changes } = diffSubmission(submission, sheet);
+  let values = Object.fromEntries(changes.filter(c => c.changed).map(c => [c.field, c.proposed]));
+  if (touchesSessions(values)) values = withFreshness(sheet, values, ['sessions_updated']);
+
+  if (submission.kind === 'claim') {
+    const club = findClub(sheet, submission.club_code);
+    if (!club) throw httpError(409, `Club "${submission.club_code}" is no longer in the sheet`);
+    await source.updateCells(cellUpdates(sheet, club._row, values));
+    clearClubCache();
+    return { action: 'updated', club_code: club.club_code, row: club._row + 1, fields: Object.keys(values) };
+  }
+
+  // New club: goes live on approval, with a pinned code when the sheet has the column
+  const name = values.club_name || submission.club_name;
+  if (findClub(sheet, makeSlug(name))) {
+    throw httpError(409, `A club called "${name}" is already in the sheet — approve it as a claim instead`);
+  }
+  const code = makeSlug(submission.club_code || name);
+  const all = withFreshness(sheet, { club_id: code, active: 'yes', ...values }, ['date_added']);
+  if (sheet.sources.club_code && sheet.sources.club_code.index >= 0) all.club_code = code;
+
+  const updates = cellUpdates(sheet, sheet.rows.length, all);
+  const row = new Array(sheet.header.length).fill('');
+  for (const u of updates) row[u.col] = u.value;
+  await source.appendRow(row);
+  clearClubCache();
+  return { action: 'created', club_code: code, row: sheet.rows.length + 1, fields: Object.keys(all) };
+}
+
+// flags: { active?: bool, verified?: bool, ranking_category?: string,
+//          confidence_override?: '' | one of CONFIDENCE_LEVELS }
+async function setClubFlags(code, flags) {
+  const values = {};
+  for (const [key, value] of Object.entries(flags || {})) {
+    if (!FLAG_FIELDS.includes(key)) throw httpError(400, `Only ${FLAG_FIELDS.join(', ')} can be changed here`);
+    if (key === 'ranking_category') values[key] = String(value == null ? '' : value).trim();
+    else if (key === 'confidence_override') {
+      values[key] = String(value == null ? '' : value).trim();
+      if (values[key] && !CONFIDENCE_LEVELS.includes(values[key])) {
+        throw httpError(400, `confidence_override must be blank or one of: ${CONFIDENCE_LEVELS.join(', ')}`);
+      }
+    }
+    else values[key] = isTruthy(value) ? 'yes' : 'no';
+  }
+  if (!Object.keys(values).length) throw httpError(400, 'No changes given');
+
+  const sheet = await readSheet();
+  const club = findClub(sheet, code);
+  if (!club) throw httpError(404, `Club "${code}" not found`);
+
+  // Ticking "verified" counts as checking the club today
+  const stamped = values.verified === 'yes' ? withFreshness(sheet, values, ['last_verified']) : values;
+  await getDataSource().updateCells(cellUpdates(sheet, club._row, stamped));
+  clearClubCache();
+
+  const updated = (await readSheet()).clubs.find(c => c._row === club._row);
+  return clubSummary(updated || club);
+}
+
+module.exports = {
+  FLAG_FIELDS,
+  httpError,
+  readSheet,
+  clubSummary,
+  diffSubmission,
+  applySubmission,
+  setClubFlags,
+};
@@ -0,0 +1,50 @@
+// lib/club-cache.js - In-process cache of the parsed club list
+//
+// - One sheet read per TTL (CLUB_CACHE_TTL_MS, default 15s — same as the edge s-maxage)
+// - Concurrent requests share a single in-flight fetch
+// - If the data source errors, the last good copy is served with `stale: true`
+
+const { SHEET_RANGE, parseActiveClubs } = require('./club-schema');
+const { getDataSource } = require('./data-source');
+
+const TTL_MS = Number(process.env.CLUB_CACHE_TTL_MS) || 15000;
+
+let entry = null;      // { rows, clubs, empty, fetchedAt }
+let inFlight = null;
+
+async function fetchClubs() {
+  const rows = await getDataSource().getRows(SHEET_RANGE);
+  return {
+    rows,
+    clubs: parseActiveClubs(rows),
+    empty: !rows.length,
+    fetchedAt: Date.now(),
+  };
+}
+
+// Resolves to { rows, clubs, empty, fetchedAt, stale, error? }
+async function getClubs({ fresh = false } = {}) {
+  if (!fresh && entry && Date.now() - entry.fetchedAt < TTL_MS) {
+    return { ...entry, stale: false };
+  }
+
+  if (!inFlight) {
+    inFlight = fetchClubs()
+      .then(next => { entry = next; return next; })
+      .finally(() => { inFlight = null; });
+  }
+
+  try {
+    return { ...(await inFlight), stale: false };
+  } catch (err) {
+    if (!entry) throw err;
+    console.warn('Club data source failed, serving cached copy:', err.message);
+    return { ...entry, stale: true, error: err.message };
+  }
+}
+
+function clearClubCache() {
+  entry = null;
+}
+
+module.exports = { getClubs, clearClubCache, TTL_MS };
@@ -0,0 +1,56 @@
+// lib/club-codes.js - Unique routing codes (/club/:code) and redirects from old codes
+//
+// Codes come from, in order of precedence:
+//   1. the optional `club_code` column — pinned, never renumbered
+//   2. makeSlug(club_id || club_name)
+// When two active clubs land on the same code, later rows (sheet order) get
+// -2, -3, … so every club stays reachable. Pin a `club_code` to keep a URL
+// stable, and list old codes in `previous_codes` to redirect them.
+
+function makeSlug(s) {
+  return String(s || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+}
+
+// The code a club asks for, before collisions are resolved
+function requestedCode(club) {
+  return makeSlug(club.club_code) || makeSlug(club.club_id || club.club_name) || 'club';
+}
+
+// Sets a unique `club_code` on every club (mutates and returns the list)
+function assignClubCodes(clubs) {
+  const taken = new Set();
+  const claim = base => {
+    let code = base;
+    for (let n = 2; taken.has(code); n++) code = `${base}-${n}`;
+    taken.add(code);
+    return code;
+  };
+
+  // Pinned codes claim first so a derived slug can never push them aside
+  const pinned = clubs.filter(c => makeSlug(c.club_code));
+  const derived = clubs.filter(c => !makeSlug(c.club_code));
+  for (const c of [...pinned, ...derived]) {
+    const base = requestedCode(c);
+    c.club_code = claim(base);
+    c.code_collision = c.club_code !== base;
+  }
+  return clubs;
+}
+
+// Finds a club by its current code, or by one of its previous codes.
+// Returns { club, redirect } — redirect is true when `code` is an old alias.
+function resolveClubCode(clubs, code) {
+  const wanted = makeSlug(code);
+  if (!wanted) return { club: null, redirect: false };
+
+  const direct = clubs.find(c => c.club_code === wanted);
+  if (direct) return { club: direct, redirect: false };
+
+  const aliased = clubs.find(c => (c.previous_codes || []).includes(wanted));
+  return { club: aliased || null, redirect: !!aliased };
+}
+
+module.exports = { makeSlug, requestedCode, assignClubCodes, resolveClubCode };
@@ -0,0 +1,216 @@
+// lib/club-export.js - Machine-readable views of the directory: data exports, sitemap, robots.txt, feed
+//
+// Everything here starts from the same active-club list /api/clubs serves
+// (lib/club-cache.js, with review stats applied), so exports, the sitemap
+// and the feed never disagree with the site.
+
+const { parseDate } = require('./sessions');
+const { escapeHtml } = require('./html-template');
+const { buildPricing } = require('./pricing');
+
+const FEED_SIZE = 30;
+
+// ---------- Export fields ----------
+// The documented subset partners get. Order is the CSV column order.
+const EXPORT_FIELDS = [
+  { key: 'club_code', description: 'Stable identifier; the club page is /club/<club_code>' },
+  { key: 'club_name', description: 'Display name' },
+  { key: 'url', description: 'Absolute URL of the club page' },
+  { key: 'activity_type', description: 'Main activity, e.g. Running' },
+  { key: 'location', description: 'Area, e.g. Hackney' },
+  { key: 'address', description: 'Street address where sessions usually happen' },
+  { key: 'postcode', description: 'Postcode, when the sheet has one' },
+  { key: 'lat', description: 'Latitude (exact pin or postcode-district centre), blank when unknown' },
+  { key: 'lng', description: 'Longitude, blank when unknown' },
+  { key: 'monthly_fee_amount', description: 'Monthly fee in £, blank when free or not listed' },
+  { key: 'monthly_fee_text', description: 'Fee as written by the club, e.g. "Pay what you can"' },
+  { key: 'pay_per_session_price', description: 'Drop-in price per session in £' },
+  { key: 'effective_monthly_cost', description: 'Cheapest regular monthly cost (drop-ins counted weekly); 0 when free, blank when not listed' },
+  { key: 'currency', description: 'Currency of every price, e.g. GBP' },
+  { key: 'price_tiers', description: 'Every price tier as "Name: price", separated by "; "' },
+  { key: 'free_trial', description: 'Free trial details, blank when none' },
+  { key: 'sessions_per_week', description: 'Regular sessions per week' },
+  { key: 'member_count', description: 'Approximate number of members' },
+  { key: 'confidence_score', description: 'How sure we are the club is active: Verified, Likely Active, Probably Active, Uncertain or Unconfirmed' },
+  { key: 'verified', description: 'Checked by the directory team (true/false)' },
+  { key: 'last_verified', description: 'Date the club was last checked (YYYY-MM-DD), blank when never' },
+  { key: 'date_added', description: 'Date the club was listed (YYYY-MM-DD), blank when unknown' },
+  { key: 'beginner_friendly', description: 'Welcomes beginners (true/false)' },
+  { key: 'wheelchair_accessible', description: 'Wheelchair accessible (true/false)' },
+  { key: 'all_ages', description: 'Open to all ages (true/false)' },
+  { key: 'tags', description: 'Who / vibe / accessibility tags, separated by "; "' },
+  { key: 'facilities', description: 'Facilities, separated by "; "' },
+  { key: 'review_count', description: 'Approved reviews, visitor and sheet' },
+  { key: 'average_rating', description: 'Average review rating out of 5, blank without ratings' },
+  { key: 'website', description: 'Club website' },
+  { key: 'booking_url', description: 'Booking link' },
+  { key: 'email', description: 'Public contact email' },
+  { key: 'phone', description: 'Public contact phone number' },
+];
+
+// Sheet dates are free text; exports and the sitemap use YYYY-MM-DD or nothing
+function isoDate(text) {
+  return text ? parseDate(text) || '' : '';
+}
+
+function exportRecord(club, { origin = '' } = {}) {
+  const blankZero = v => (Number(v) > 0 ? Number(v) : null);
+  const pricing = club.pricing || buildPricing(club);
+  return {
+    club_code: club.club_code,
+    club_name: club.club_name || '',
+    url: `${origin}/club/${encodeURIComponent(club.club_code)}`,
+    activity_type: club.activity_type || '',
+    location: club.location || '',
+    address: club.address || '',
+    postcode: club.postcode || '',
+    lat: club.lat == null ? null : club.lat,
+    lng: club.lng == null ? null : club.lng,
+    monthly_fee_amount: blankZero(club.monthly_fee_amount),
+    monthly_fee_text: club.monthly_fee_text || '',
+    pay_per_session_price: blankZero(club.pay_per_session_price),
+    effective_monthly_cost: pricing.effective_monthly_cost,
+    currency: pricing.currency,
+    price_tiers: pricing.tiers.map(t => `${t.name}: ${t.label}`).join('; '),
+    free_trial: pricing.free_trial || '',
+    sessions_per_week: club.sessions_per_week || 0,
+    member_count: club.member_count || 0,
+    confidence_score: club.confidence_score || '',
+    verified: !!club.verified,
+    last_verified: isoDate(club.last_verified),
+    date_added: isoDate(club.date_added),
+    beginner_friendly: !!club.is_beginner_friendly,
+    wheelchair_accessible: !!club.is_wheelchair_accessible,
+    all_ages: !!club.is_all_ages,
+    tags: (club.tags_array || []).join('; '),
+    facilities: (club.facilities_array || []).join('; '),
+    review_count: club.review_count || 0,
+    average_rating: club.average_rating == null ? null : club.average_rating,
+    website: club.website || '',
+    booking_url: club.booking_url || '',
+    email: club.email || '',
+    phone: club.phone || '',
+  };
+}
+
+// ---------- CSV ----------
+// RFC 4180 quoting. Cells a spreadsheet would run as a formula get a leading
+// apostrophe; phone numbers like "+44 20 …" are left alone.
+function csvCell(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (/^[=@\t\r]/.test(text) || /^[+-](?![\d\s().-]*$)/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+  const keys = EXPORT_FIELDS.map(f => f.key);
+  const lines = [keys.join(',')];
+  for (const r of records) lines.push(keys.map(k => csvCell(r[k])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ---------- Dates ----------
+// Most recent of the club's own dates, falling back to when the data was read
+function lastModified(club, fallback) {
+  const dates = [club.last_verified, club.sessions_updated, club.date_added].map(isoDate).filter(Boolean).sort();
+  return dates.length ? dates[dates.length - 1] : fallback;
+}
+
+// ---------- Sitemap ----------
+// pages: [{ path, lastmod? }] for the static pages worth indexing
+function sitemapXml(clubs, { origin, pages = [], fetchedAt = Date.now() }) {
+  const fallback = new Date(fetchedAt).toISOString().slice(0, 10);
+  const url = (loc, lastmod) => `  <url>\n    <loc>${escapeHtml(loc)}</loc>${lastmod ? `\n    <lastmod>${lastmod}</lastmod>` : ''}\n  </url>`;
+
+  const clubUrls = clubs.map(c => ({ loc: `${origin}/club/${encodeURIComponent(c.club_code)}`, lastmod: lastModified(c, fallback) }));
+  const newest = clubUrls.map(u => u.lastmod).sort().pop() || fallback;
+  const entries = [
+    ...pages.map(p => url(origin + p.path, p.lastmod === 'newest' ? newest : p.lastmod)),
+    ...clubUrls.map(u => url(u.loc, u.lastmod)),
+  ];
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n'
+    + entries.join('\n') + '\n'
+    + '</urlset>\n';
+}
+
+// ---------- robots.txt ----------
+function robotsTxt({ origin, disallow = [] }) {
+  return [
+    'User-agent: *',
+    'Allow: /',
+    ...disallow.map(p => `Disallow: ${p}`),
+    '',
+    `Sitemap: ${origin}/sitemap.xml`,
+    '',
+  ].join('\n');
+}
+
+// ---------- Feed ----------
+// Newest first: one entry per club, for the latest of "listed" and "verified"
+function feedEntries(clubs, { limit = FEED_SIZE } = {}) {
+  const entries = [];
+  for (const club of clubs) {
+    const added = isoDate(club.date_added);
+    const verified = club.verified ? isoDate(club.last_verified) : '';
+    if (!added && !verified) continue;
+    const event = verified > added
+      ? { kind: 'verified', date: verified }
+      : { kind: 'added', date: added };
+    entries.push({ club, ...event });
+  }
+  return entries
+    .sort((a, b) => b.date.localeCompare(a.date) || String(a.club.club_name).localeCompare(String(b.club.club_name)))
+    .slice(0, limit);
+}
+
+// Atom 1.0
+function feedXml(clubs, { origin, title = 'The NBRH — new and verified clubs', fetchedAt = Date.now() }) {
+  const entries = feedEntries(clubs);
+  const updated = entries.length ? `${entries[0].date}T00:00:00Z` : new Date(fetchedAt).toISOString();
+  const x = escapeHtml;
+
+  const items = entries.map(({ club, kind, date }) => {
+    const link = `${origin}/club/${encodeURIComponent(club.club_code)}`;
+    const heading = kind === 'verified' ? `Verified: ${club.club_name}` : `New club: ${club.club_name}`;
+    const summary = [club.activity_type, club.location].filter(Boolean).join(' in ')
+      + (club.club_snippet || club.club_bio ? ` — ${club.club_snippet || club.club_bio}` : '');
+    return [
+      '  <entry>',
+      `    <title>${x(heading)}</title>`,
+      `    <link href="${x(link)}"/>`,
+      // Stable per club and event, so readers show a re-verification as new
+      `    <id>${x(`${link}#${kind}-${date}`)}</id>`,
+      `    <updated>${date}T00:00:00Z</updated>`,
+      summary ? `    <summary>${x(summary)}</summary>` : '',
+      club.activity_type ? `    <category term="${x(club.activity_type)}"/>` : '',
+      '  </entry>',
+    ].filter(Boolean).join('\n');
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<feed xmlns="http://www.w3.org/2005/Atom">\n'
+    + `  <title>${x(title)}</title>\n`
+    + `  <link href="${x(origin)}/"/>\n`
+    + `  <link rel="self" href="${x(origin)}/feed.xml"/>\n`
+    + `  <id>${x(origin)}/feed.xml</id>\n`
+    + `  <updated>${updated}</updated>\n`
+    + '  <author><name>The NBRH</name></author>\n'
+    + (items.length ? items.join('\n') + '\n' : '')
+    + '</feed>\n';
+}
+
+module.exports = {
+  EXPORT_FIELDS,
+  FEED_SIZE,
+  exportRecord,
+  csvCell,
+  toCsv,
+  lastModified,
+  sitemapXml,
+  robotsTxt,
+  feedEntries,
+  feedXml,
+};
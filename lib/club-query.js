@@ -0,0 +1,259 @@
+// lib/club-query.js - Search, filters, sorting, facets and pagination over parsed clubs
+//
+// Query parameters (all optional):
+//   q                        ranked text search (lib/search.js) — adds relevance / highlight
+//   activity, location       exact match
+//   confidence               exact confidence label
+//   min_price, max_price     effective monthly cost range (lib/pricing.js)
+//   age_group                substring match on tags_who
+//   skill_level              exact match on skill_levels (v1 records only — lib/club-v1.js)
+//   min_members              member_count floor
+//   beginners, verified, featured, wheelchair, all_ages   boolean flags (1/true/yes)
+//   near                     "lat,lng" — adds distance_km to every club
+//   radius                   km from `near`; clubs without coordinates are dropped
+//   sort                     see SORTS; 'relevance' needs q, 'distance' needs near
+//   page, limit              1-based page, page size (max MAX_LIMIT)
+
+const { CONFIDENCE_LEVELS, isTruthy } = require('./club-schema');
+const { parseLatLng, distanceKm } = require('./geo');
+const { searchIndex, searchClubs, highlight } = require('./search');
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+const SORTS = ['default', 'relevance', 'ranking', 'confidence', 'members', 'priceLow', 'priceHigh', 'name', 'location', 'distance'];
+
+// Facet name → club field it counts
+const FACETS = {
+  activity: 'activity_type',
+  location: 'location',
+  confidence: 'confidence_score',
+  age_group: 'tags_who',
+  skill_level: 'skill_levels',
+};
+
+// ---------- Params ----------
+function parseClubQuery(query = {}) {
+  const str = k => (query[k] ?? '').toString().trim();
+  const num = k => {
+    const n = parseFloat(str(k));
+    return Number.isFinite(n) ? n : null;
+  };
+  const int = (k, fallback) => {
+    const n = parseInt(str(k), 10);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+
+  const q = str('q').toLowerCase();
+  const near = parseLatLng(str('near'));
+  const radius = num('radius');
+  // Distance order needs a starting point, best match needs a search
+  const sort = SORTS.includes(str('sort')) && (str('sort') !== 'distance' || near) && (str('sort') !== 'relevance' || q)
+    ? str('sort')
+    : 'default';
+
+  return {
+    q,
+    activity: str('activity'),
+    location: str('location'),
+    confidence: str('confidence'),
+    min_price: num('min_price'),
+    max_price: num('max_price'),
+    age_group: str('age_group'),
+    skill_level: str('skill_level'),
+    min_members: num('min_members'),
+    beginners: isTruthy(query.beginners),
+    verified: isTruthy(query.verified),
+    featured: isTruthy(query.featured),
+    wheelchair: isTruthy(query.wheelchair),
+    all_ages: isTruthy(query.all_ages),
+    near,
+    radius: near && radius !== null && radius > 0 ? radius : null,
+    sort,
+    page: int('page', 1),
+    limit: Math.min(int('limit', DEFAULT_LIMIT), MAX_LIMIT),
+  };
+}
+
+// ---------- Search ----------
+// Map(club_code → hit) for params.q, or null without a search. Pass the index
+// of the cached club list (searchIndex(data.clubs)) so it is built once per read.
+function searchHits(clubs, params, index) {
+  return params.q ? searchClubs(index || searchIndex(clubs), params.q) : null;
+}
+
+// ---------- Filtering ----------
+function matchesClub(c, p, hits) {
+  if (hits && !hits.has(c.club_code)) return false;
+  if (p.activity && c.activity_type !== p.activity) return false;
+  if (p.location && c.location !== p.location) return false;
+  if (p.verified && !c.verified) return false;
+  if (p.featured && !c.featured) return false;
+  if (p.confidence && c.confidence_score !== p.confidence) return false;
+
+  // Effective monthly cost (lib/pricing.js). Free and unpriced clubs pass the
+  // minimum, and unpriced ones the maximum, as they always have on the directory.
+  const price = getPriceForSort(c);
+  if (p.min_price !== null && price && price < p.min_price) return false;
+  if (p.max_price !== null && p.max_price > 0 && price !== null && price > p.max_price) return false;
+
+  if (p.beginners && !c.is_beginner_friendly) return false;
+  if (p.age_group && !String(c.tags_who || '').includes(p.age_group)) return false;
+  if (p.skill_level && c.skill_levels && c.skill_levels !== 'All levels' && c.skill_levels !== p.skill_level) return false;
+  if (p.min_members !== null && Number(c.member_count || 0) < p.min_members) return false;
+  if (p.wheelchair && !c.is_wheelchair_accessible) return false;
+  if (p.all_ages && !c.is_all_ages) return false;
+  if (p.radius !== null && (c.distance_km == null || c.distance_km > p.radius)) return false;
+
+  return true;
+}
+
+function filterClubs(clubs, params, hits = searchHits(clubs, params)) {
+  return clubs.filter(c => matchesClub(c, params, hits));
+}
+
+// ---------- Sorting ----------
+function getConfidencePriority(label) {
+  const idx = CONFIDENCE_LEVELS.indexOf(label || '');
+  return idx === -1 ? CONFIDENCE_LEVELS.length : idx;
+}
+
+// Effective monthly cost in the club's currency; null when the club hasn't said
+function getPriceForSort(c) {
+  const cost = c.pricing ? c.pricing.effective_monthly_cost : null;
+  return cost === undefined ? null : cost;
+}
+
+// Unpriced clubs go last whichever way prices are sorted
+function comparePrices(a, b, direction) {
+  const x = getPriceForSort(a);
+  const y = getPriceForSort(b);
+  if (x === null || y === null) return (x === null) - (y === null);
+  return (x - y) * direction;
+}
+
+function getNum(v) {
+  const n = Number(v);
+  return isFinite(n) ? n : 0;
+}
+
+// Featured first, then confidence (Verified before Unconfirmed), then members
+function defaultOrder(a, b) {
+  const fd = (b.featured ? 1 : 0) - (a.featured ? 1 : 0);
+  if (fd) return fd;
+  const cd = getConfidencePriority(a.confidence_score) - getConfidencePriority(b.confidence_score);
+  if (cd) return cd;
+  return getNum(b.member_count) - getNum(a.member_count);
+}
+
+// hits: from searchHits(), for 'relevance'
+function sortClubs(clubs, sort, hits = null) {
+  const score = c => (hits && hits.has(c.club_code) ? hits.get(c.club_code).score : 0);
+
+  return [...clubs].sort((a, b) => {
+    switch (sort) {
+      case 'confidence':
+        // Verified (priority 0) sorts before Unconfirmed (priority 4)
+        return getConfidencePriority(a.confidence_score) - getConfidencePriority(b.confidence_score);
+      case 'members':
+        return getNum(b.member_count) - getNum(a.member_count);
+      case 'priceLow':
+        return comparePrices(a, b, 1) || defaultOrder(a, b);
+      case 'priceHigh':
+        return comparePrices(a, b, -1) || defaultOrder(a, b);
+      case 'name':
+        return String(a.club_name || '').localeCompare(String(b.club_name || ''));
+      case 'location':
+        return String(a.location || '').localeCompare(String(b.location || ''));
+      case 'ranking':
+        return getNum(a.ranking_position || 9999) - getNum(b.ranking_position || 9999);
+      case 'distance':
+        // Clubs we can't place go last
+        return (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity);
+      case 'relevance':
+        return score(b) - score(a) || defaultOrder(a, b);
+      default:
+        return defaultOrder(a, b);
+    }
+  });
+}
+
+// ---------- Facets ----------
+// Each facet is counted with every *other* filter applied, so picking an
+// activity still shows the counts for the other activities.
+function computeFacets(clubs, params, hits = searchHits(clubs, params)) {
+  const facets = {};
+  for (const [name, field] of Object.entries(FACETS)) {
+    const counts = {};
+    for (const c of filterClubs(clubs, { ...params, [name]: '' }, hits)) {
+      const value = c[field];
+      if (value) counts[value] = (counts[value] || 0) + 1;
+    }
+    facets[name] = Object.entries(counts)
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => String(a.value).localeCompare(String(b.value)));
+  }
+  return facets;
+}
+
+// ---------- Distance ----------
+// Copies (the cached clubs are shared) with distance_km from `near`, to 0.1 km
+function withDistances(clubs, near) {
+  return clubs.map(c => ({
+    ...c,
+    distance_km: c.lat == null || c.lng == null
+      ? null
+      : Math.round(distanceKm(near, { lat: c.lat, lng: c.lng }) * 10) / 10,
+  }));
+}
+
+// ---------- Entry point ----------
+// index: searchIndex() of the cached club list; built from allClubs when omitted
+function queryClubs(allClubs, query, { index } = {}) {
+  const params = parseClubQuery(query);
+  const clubs = params.near ? withDistances(allClubs, params.near) : allClubs;
+  const search = params.q ? index || searchIndex(allClubs) : null;
+  const hits = search && searchClubs(search, params.q);
+  const matched = sortClubs(filterClubs(clubs, params, hits), params.sort, hits);
+  const total = matched.length;
+  const pages = Math.max(1, Math.ceil(total / params.limit));
+  const page = Math.min(params.page, pages);
+  const start = (page - 1) * params.limit;
+  let pageClubs = matched.slice(start, start + params.limit);
+
+  // Copies with the search score and a highlighted snippet (escaped HTML with
+  // <mark>; null when only the name / activity / location matched)
+  if (hits) {
+    pageClubs = pageClubs.map(c => {
+      const hit = hits.get(c.club_code);
+      return { ...c, relevance: hit.score, highlight: highlight(search, c.club_code, hit) };
+    });
+  }
+
+  return {
+    clubs: pageClubs,
+    total,
+    page,
+    limit: params.limit,
+    pages,
+    sort: params.sort,
+    near: params.near,
+    radius: params.radius,
+    facets: computeFacets(clubs, params, hits),
+  };
+}
+
+module.exports = {
+  SORTS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseClubQuery,
+  searchHits,
+  filterClubs,
+  sortClubs,
+  computeFacets,
+  withDistances,
+  queryClubs,
+  getConfidencePriority,
+  getPriceForSort,
+};
@@ -0,0 +1,395 @@
+// lib/club-schema.js - Shared column schema + row parsing for the "Dynamic Club Page Hub" sheet
+//
+// Every field is located by its header name first. The fallback column is only
+// used when the header row has no matching name, so inserting a column in the
+// sheet no longer shifts fields like `address` or `verified`.
+// Header names are normalised before matching ("Confidence Score",
+// "confidence_score" and "Team 1" / "team_1" are treated alike).
+
+const { makeSlug, assignClubCodes } = require('./club-codes');
+const { parseSession, parseDate, nextOccurrence, cycleStart, describeDays, describeTime } = require('./sessions');
+const { locateClub } = require('./geo');
+const { CONFIDENCE_LEVELS, applyConfidence } = require('./confidence');
+const { sanitiseClub } = require('./sanitise');
+const { buildPricing } = require('./pricing');
+
+const SHEET_NAME = 'Dynamic Club Page Hub';
+
+// Whole tab — the header row decides where each field lives
+const SHEET_RANGE = SHEET_NAME;
+
+const SESSION_SLOTS = 7;
+// Cycle reference for clubs with no schedule dates at all — arbitrary, but
+// fixed, so fortnightly sessions at least never change weeks (a Monday)
+const CYCLE_EPOCH = '2026-01-05';
+const TESTIMONIAL_SLOTS = 3;
+const BENEFIT_SLOTS = 6;
+const FAQ_SLOTS = 5;
+const TEAM_SLOTS = 5;
+
+// ---------- Field schema ----------
+// key:      output field name (and the primary header name)
+// col:      fallback column index when the header is not found
+//           (null = header-only column, added after the sheet layout was fixed)
+// type:     'string' (default) | 'float' | 'int' | 'bool'
+// default:  value used when the cell is empty
+// aliases:  other header names seen in older copies of the sheet
+const FIELDS = [
+  // Basic (A-C)
+  { key: 'club_id', col: 0 },
+  { key: 'club_name', col: 1, default: 'Unknown Club' },
+  { key: 'active', col: 2, default: 'no' },
+
+  // URLs (D-E)
+  { key: 'page_url', col: 3 },
+  { key: 'booking_url', col: 4 },
+
+  // Details (F-S)
+  { key: 'activity_type', col: 5 },
+  { key: 'club_logo_emoji', col: 6 },
+  { key: 'location', col: 7 },
+  { key: 'monthly_fee_amount', col: 8, type: 'float' },
+  { key: 'monthly_fee_text', col: 9 },
+  { key: 'star_rating', col: 10 },      // out of 5 (external / display as stars)
+  // The hand-kept label from before labels were computed (lib/confidence.js).
+  // Kept for reference only — a label that should still win goes in confidence_override.
+  { key: 'legacy_confidence', col: 11, aliases: ['confidence_score', 'confidence', 'numeric_rating'] },
+  { key: 'member_count', col: 13, type: 'int' },
+  { key: 'ranking_position', col: 14, type: 'int' },
+  { key: 'ranking_category', col: 15 },
+  { key: 'sessions_per_week', col: 16, type: 'int' },
+  { key: 'average_attendance', col: 17, type: 'int' },
+  { key: 'member_growth', col: 18 },
+
+  // Sessions 1–4 (T-AE: 19–30), sessions 5–7 (CZ-DH: 103–111)
+  ...slots('session', SESSION_SLOTS, n => (n <= 4 ? 19 + (n - 1) * 3 : 103 + (n - 5) * 3), [
+    { part: 'time' },
+    { part: 'date' },
+    { part: 'type' },
+  ]),
+
+  // Testimonials (AF-AN: 31–39)
+  ...slots('testimonial', TESTIMONIAL_SLOTS, n => 31 + (n - 1) * 3, [
+    { part: 'name' },
+    { part: 'rating', type: 'float' },
+    { part: 'text' },
+  ]),
+
+  // Benefits (AO-BF: 40–57)
+  ...slots('benefit', BENEFIT_SLOTS, n => 40 + (n - 1) * 3, [
+    { part: 'icon' },
+    { part: 'title' },
+    { part: 'description' },
+  ]),
+
+  // Pricing (BG-BH: 58–59)
+  { key: 'pay_per_session_price', col: 58, type: 'float' },
+  { key: 'savings_amount', col: 59, type: 'float' },
+
+  // FAQs (BI-BR: 60–69)
+  ...slots('faq', FAQ_SLOTS, n => 60 + (n - 1) * 2, [
+    { part: 'question' },
+    { part: 'answer' },
+  ]),
+
+  // About & Coach (BS-BV: 70–73)
+  { key: 'club_bio', col: 70 },
+  { key: 'coach_name', col: 71 },
+  { key: 'coach_role', col: 72 },
+  { key: 'coach_avatar', col: 73 },
+
+  // Facilities & Tags (BW-BZ: 74–77)
+  { key: 'facilities_list', col: 74 },
+  { key: 'tags_who', col: 75 },
+  { key: 'tags_vibe', col: 76 },
+  { key: 'tags_accessibility', col: 77 },
+
+  // Contact (CA-CE: 78–82)
+  { key: 'email', col: 78 },
+  { key: 'phone', col: 79 },
+  { key: 'whatsapp', col: 80 },
+  { key: 'instagram', col: 81 },
+  { key: 'website', col: 82 },
+
+  // Design + Image (CF-CG: 83–84)
+  { key: 'hero_background_gradient', col: 83 },
+  { key: 'image_url', col: 84 },
+
+  // Audience (CH: 85)
+  { key: 'audience', col: 85 },
+
+  // Review and Shop Links (CI-CJ: 86–87)
+  { key: 'review_link', col: 86 },
+  { key: 'shop_link', col: 87 },
+
+  // Club Snippet (CL: 89)
+  { key: 'club_snippet', col: 89 },
+
+  // Verified (CM: 90)
+  { key: 'verified', col: 90, type: 'bool' },
+
+  // Address (CN: 91)
+  { key: 'address', col: 91 },
+
+  // Teams (CO-CT: 92–97)
+  ...slots('team', TEAM_SLOTS, n => 91 + n, [{ part: null }]),
+  { key: 'total_teams', col: 97, type: 'int' },
+
+  // Location — optional exact pin; otherwise the postcode (or address) is looked up offline
+  { key: 'latitude', col: null, aliases: ['lat'] },
+  { key: 'longitude', col: null, aliases: ['lng', 'lon', 'long'] },
+  { key: 'postcode', col: null, aliases: ['post_code', 'postal_code'] },
+
+  // Freshness — dates feed the computed confidence label (lib/confidence.js)
+  { key: 'last_verified', col: null, aliases: ['last_verified_date', 'verified_on', 'last_checked', 'date_verified'] },
+  { key: 'sessions_updated', col: null, aliases: ['sessions_updated_at', 'schedule_updated', 'timetable_updated'] },
+  // First date of the current timetable — pins which weeks fortnightly sessions run
+  // (falls back to sessions_updated, then date_added; see lib/sessions.js cycleStart)
+  { key: 'sessions_start_date', col: null, aliases: ['start_date', 'sessions_start', 'timetable_start', 'schedule_start'] },
+  // Manual override: 'Verified' | 'Likely Active' | 'Probably Active' | 'Uncertain' | 'Unconfirmed'.
+  // Leave blank to use the computed label (output as confidence_score).
+  { key: 'confidence_override', col: null, aliases: ['manual_confidence', 'confidence_pin'] },
+  // When the club was listed — the sitemap and the new-clubs feed (lib/club-export.js)
+  { key: 'date_added', col: null, aliases: ['added', 'added_on', 'listed_on', 'date_listed'] },
+
+  // Price tiers beside the monthly fee and drop-in price — see lib/pricing.js
+  { key: 'annual_fee_amount', col: null, type: 'float', aliases: ['annual_fee', 'annual_price'] },
+  { key: 'concession_fee_amount', col: null, type: 'float', aliases: ['concession_fee', 'concession_price', 'junior_fee'] },
+  { key: 'concession_fee_text', col: null, aliases: ['concession_details', 'concessions'] },
+  { key: 'free_trial', col: null, aliases: ['trial', 'free_trial_details'] },
+  { key: 'price_tiers', col: null, aliases: ['pricing_tiers', 'other_prices'] },
+  { key: 'currency', col: null, aliases: ['price_currency'] },
+
+  // Routing — optional pinned code and comma-separated old codes that redirect
+  { key: 'club_code', col: null, aliases: ['slug', 'club_slug'] },
+  { key: 'previous_codes', col: null, aliases: ['previous_slugs', 'old_slugs', 'redirect_from'] },
+];
+
+// Expands a repeating block (session_1_time, session_1_date, …) into fields
+function slots(prefix, count, startCol, parts) {
+  const out = [];
+  for (let n = 1; n <= count; n++) {
+    parts.forEach((p, j) => {
+      out.push({
+        key: p.part ? `${prefix}_${n}_${p.part}` : `${prefix}_${n}`,
+        col: startCol(n) + j,
+        type: p.type,
+      });
+    });
+  }
+  return out;
+}
+
+// ---------- Column resolution ----------
+function normaliseHeader(h) {
+  return String(h ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/(^_|_$)/g, '');
+}
+
+// Maps every schema key to a column index for the given header row
+function resolveColumns(header) {
+  const columns = {};
+  for (const [key, info] of Object.entries(resolveColumnSources(header))) columns[key] = info.index;
+  return columns;
+}
+
+// Same resolution, but also says how each column was found:
+// 'header' (matched by name), 'fallback' (default position) or 'missing'
+function resolveColumnSources(header) {
+  const lookup = new Map();
+  (Array.isArray(header) ? header : []).forEach((h, i) => {
+    const name = normaliseHeader(h);
+    if (name && !lookup.has(name)) lookup.set(name, i);
+  });
+
+  // A fallback column is only trusted when its header doesn't belong to
+  // another field — otherwise a compact or reordered sheet reads garbage
+  const headerAt = i => normaliseHeader((header || [])[i]);
+  const sources = {};
+  for (const field of FIELDS) {
+    const names = fieldNames(field);
+    const hit = names.find(n => lookup.has(n));
+    if (hit) sources[field.key] = { index: lookup.get(hit), source: 'header' };
+    else if (field.col === null || KNOWN_HEADERS.has(headerAt(field.col))) sources[field.key] = { index: -1, source: 'missing' };
+    else sources[field.key] = { index: field.col, source: 'fallback' };
+  }
+  return sources;
+}
+
+function fieldNames(field) {
+  return [field.key, ...(field.aliases || [])].map(normaliseHeader);
+}
+const KNOWN_HEADERS = new Set(FIELDS.flatMap(fieldNames));
+
+// ---------- Cell readers ----------
+function safeGet(row, index) {
+  const v = row[index] ?? '';
+  const s = typeof v === 'string' ? v.trim() : v;
+  return s === 'N/A' ? '' : s;
+}
+function readCell(row, index, type) {
+  const v = safeGet(row, index);
+  switch (type) {
+    case 'float': {
+      if (v === '') return 0;
+      const n = parseFloat(v);
+      return Number.isFinite(n) ? n : 0;
+    }
+    case 'int': {
+      if (v === '') return 0;
+      const n = parseInt(v, 10);
+      return Number.isFinite(n) ? n : 0;
+    }
+    case 'bool':
+      return isTruthy(v);
+    default:
+      return v === '' ? '' : String(v);
+  }
+}
+function isTruthy(v) {
+  return ['yes', 'true', '1'].includes(String(v ?? '').trim().toLowerCase());
+}
+
+// 0 → A, 25 → Z, 26 → AA
+function columnLetter(index) {
+  let letter = '';
+  for (let i = index; i >= 0; i = Math.floor(i / 26) - 1) {
+    letter = String.fromCharCode(65 + (i % 26)) + letter;
+  }
+  return letter;
+}
+
+// ---------- Row parsing ----------
+function parseClubRow(row, columns) {
+  const cols = columns || resolveColumns(null);
+  const v = {};
+  for (const field of FIELDS) {
+    const value = readCell(row || [], cols[field.key], field.type);
+    v[field.key] = value === '' && field.default !== undefined ? field.default : value;
+  }
+
+  const club = {};
+  for (const field of FIELDS) {
+    if (!/^(session|testimonial|benefit|faq|team)_\d+/.test(field.key)) club[field.key] = v[field.key];
+  }
+
+  // Sessions — structured by lib/sessions.js; older rows keep a booking URL in
+  // the "type" column, which becomes the session's `url`
+  club.sessions = [];
+  const reference = [club.sessions_start_date, club.sessions_updated, club.date_added]
+    .map(d => parseDate(d))
+    .find(Boolean) || CYCLE_EPOCH;
+  for (let n = 1; n <= SESSION_SLOTS; n++) {
+    const time = v[`session_${n}_time`];
+    const date = v[`session_${n}_date`];
+    const type = v[`session_${n}_type`];
+    if (!time && !date) continue;
+    const session = parseSession({ time, date, type }, { booking_url: club.booking_url });
+    session.cycle_start = cycleStart(session, reference);
+    session.day_label = describeDays(session);
+    session.time_label = describeTime(session);
+    session.next_date = nextOccurrence(session);
+    club.sessions.push(session);
+  }
+
+  club.testimonials = [];
+  for (let n = 1; n <= TESTIMONIAL_SLOTS; n++) {
+    const author = v[`testimonial_${n}_name`];
+    const rating = v[`testimonial_${n}_rating`];
+    const text = v[`testimonial_${n}_text`];
+    if (author && text) club.testimonials.push({ author, rating, text });
+  }
+
+  club.benefits = [];
+  for (let n = 1; n <= BENEFIT_SLOTS; n++) {
+    const icon = v[`benefit_${n}_icon`];
+    const title = v[`benefit_${n}_title`];
+    const description = v[`benefit_${n}_description`];
+    if (title && description) club.benefits.push({ icon, title, description });
+  }
+
+  club.faqs = [];
+  for (let n = 1; n <= FAQ_SLOTS; n++) {
+    const question = v[`faq_${n}_question`];
+    const answer = v[`faq_${n}_answer`];
+    if (question && answer) club.faqs.push({ question, answer });
+  }
+
+  club.teams = [];
+  for (let n = 1; n <= TEAM_SLOTS; n++) {
+    if (v[`team_${n}`]) club.teams.push(v[`team_${n}`]);
+  }
+
+  return club;
+}
+
+// Derived / compatibility fields both endpoints expose
+function deriveClubFields(club) {
+  // URLs, gradient and markdown made safe before anything reads them — see lib/sanitise.js
+  sanitiseClub(club);
+
+  club.tags_array = [club.tags_who, club.tags_vibe, club.tags_accessibility].filter(Boolean);
+  club.facilities_array = club.facilities_list
+    ? club.facilities_list.split(',').map(s => s.trim()).filter(Boolean)
+    : [];
+  club.is_beginner_friendly = (club.tags_who || '').toLowerCase().includes('beginner');
+  const acc = (club.tags_accessibility || '').toLowerCase();
+  club.is_wheelchair_accessible = acc.includes('wheelchair') || acc.includes('accessible');
+  club.is_all_ages = (club.tags_who || '').toLowerCase().includes('all ages');
+  club.review_count = (club.testimonials || []).length;
+
+  club.featured = club.ranking_category === 'Featured' || false;
+
+  // Named tiers and the effective monthly cost filters and price sorts use
+  club.pricing = buildPricing(club);
+  // Legacy aliases (monthly_fee, description, …) are v1-only — see lib/club-v1.js
+
+  // Coordinates for "near me" — see lib/geo.js
+  Object.assign(club, locateClub(club));
+
+  // confidence_score is the authoritative club status field — computed from
+  // the sheet's freshness signals unless confidence_override pins it. Visitor
+  // reviews are added to the signals by lib/reviews.js.
+  applyConfidence(club);
+
+  // Old routing codes; the unique `club_code` itself is assigned in lib/club-codes.js
+  club.previous_codes = String(club.previous_codes || '')
+    .split(/[\s,]+/)
+    .map(makeSlug)
+    .filter(Boolean);
+
+  return club;
+}
+
+// Parses a full values.get() result (header row first) into active clubs
+function parseActiveClubs(rows) {
+  const [header, ...data] = rows || [];
+  const columns = resolveColumns(header);
+  const out = [];
+  for (const row of data) {
+    const club = parseClubRow(row, columns);
+    if (!isTruthy(club.active)) continue;
+    out.push(deriveClubFields(club));
+  }
+  return assignClubCodes(out);
+}
+
+module.exports = {
+  SHEET_NAME,
+  SHEET_RANGE,
+  CONFIDENCE_LEVELS,
+  FIELDS,
+  normaliseHeader,
+  resolveColumns,
+  resolveColumnSources,
+  columnLetter,
+  safeGet,
+  parseClubRow,
+  deriveClubFields,
+  parseActiveClubs,
+  isTruthy,
+  makeSlug,
+};
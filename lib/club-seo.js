@@ -0,0 +1,46 @@
+// lib/club-seo.js - Page metadata and schema.org JSON-LD for a club
+const { markdownToText } = require('./sanitise');
+const { buildPricing, toOffers, priceRange } = require('./pricing');
+
+function generateSEOData(c, { origin = '' } = {}) {
+  const title = [c.club_name, c.activity_type, c.location].filter(Boolean).join(' • ');
+  // The bio may hold markdown (lib/sanitise.js); metadata wants plain text
+  const bio = markdownToText(c.club_bio);
+  const desc =
+    bio ||
+    `Join ${c.club_name || 'our club'} for ${c.activity_type || 'activities'} in ${c.location || 'your area'}.`;
+  const url = c.club_code ? `${origin}/club/${encodeURIComponent(c.club_code)}` : '';
+  // Without a photo, the generated share card (api/og-image.js)
+  const card = c.club_code ? `${origin}/og/${encodeURIComponent(c.club_code)}` : '';
+  const image = c.image_url || card;
+  return { title, description: desc, image, url };
+}
+
+function generateStructuredData(c) {
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'SportsClub',
+    name: c.club_name || '',
+    description: markdownToText(c.club_bio),
+    address: {
+      '@type': 'PostalAddress',
+      streetAddress: c.address || '',
+      addressLocality: c.location || '',
+    },
+    telephone: c.phone || '',
+    email: c.email || '',
+    url: c.website || c.page_url || '',
+    sameAs: (c.instagram ? [`https://instagram.com/${String(c.instagram).replace(/^@/, '')}`] : []),
+    priceRange: '',
+  };
+  // One Offer per price tier (membership, drop-in, concession, trial)
+  const pricing = c.pricing || buildPricing(c);
+  data.priceRange = priceRange(pricing);
+  const offers = toOffers(pricing);
+  if (offers.length) data.makesOffer = offers;
+  // Only exact pins — postcode centroids are too coarse to publish as the club's position
+  if (c.geo_source === 'sheet') data.geo = { '@type': 'GeoCoordinates', latitude: c.lat, longitude: c.lng };
+  return data;
+}
+
+module.exports = { generateSEOData, generateStructuredData };
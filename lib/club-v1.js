@@ -0,0 +1,32 @@
+// lib/club-v1.js - v1 compatibility: the flat club record /api/clubs and /api/club-data have always served
+//
+// v1 is the parsed club as-is plus the legacy aliases older front-ends read.
+// The aliases are derived from the v2 record (lib/club-v2.js), so there is
+// one definition of what a club's fee, members or coach is; new clients
+// should use /api/v2/ (documented in lib/openapi.js) instead.
+
+const { toV2Club } = require('./club-v2');
+
+// Legacy field → value, from the v2 record
+function legacyFields(v2) {
+  const coach = v2.community.coach || {};
+  return {
+    monthly_fee: v2.pricing.monthly_fee || 0,
+    description: v2.bio || '',
+    total_members: v2.community.members,
+    age_groups: v2.tags.who.join(', '),
+    // The sheet has never had a skill column
+    skill_levels: 'All levels',
+    tags: [...v2.tags.who, ...v2.tags.vibe, ...v2.tags.accessibility].join(', '),
+    facilities: v2.tags.facilities.join(', '),
+    instructor_name: coach.name || '',
+    instructor_bio: coach.role || '',
+  };
+}
+
+// Copy of a parsed club (review stats applied) in the v1 shape
+function toV1Club(club, v2 = toV2Club(club)) {
+  return { ...club, ...legacyFields(v2) };
+}
+
+module.exports = { legacyFields, toV1Club };
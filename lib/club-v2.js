@@ -0,0 +1,196 @@
+// lib/club-v2.js - The v2 public club record: one nested shape for list and detail responses
+//
+// Built from a parsed club (lib/club-schema.js) with review stats applied
+// (lib/reviews.js). Missing values are null — never '' or 0 — and every key
+// is always present, so the shape matches the Club schema in lib/openapi.js.
+//
+//   pricing    named tiers and the effective monthly cost (lib/pricing.js)
+//   contact    how to reach and book, plus where the club meets
+//   schedule   weekly sessions from lib/sessions.js
+//   tags       who it's for, vibe, accessibility, facilities
+//   trust      confidence, verification, reviews, ranking
+//   community  members, teams, coach
+//   content    benefits, FAQs and the sheet's testimonials
+//
+// v1 responses are built on top of this record — see lib/club-v1.js.
+
+const { parseDate } = require('./sessions');
+const { buildPricing } = require('./pricing');
+
+const text = v => {
+  const t = v == null ? '' : String(v).trim();
+  return t || null;
+};
+const positive = v => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+const count = v => {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+};
+const date = v => (text(v) && parseDate(String(v))) || null;
+const list = v => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+const isUrl = v => /^https?:\/\//i.test(String(v || '').trim());
+
+function instagramUrl(handle) {
+  const h = text(handle);
+  if (!h) return null;
+  return isUrl(h) ? h : `https://instagram.com/${h.replace(/^@/, '')}`;
+}
+
+function toV2Session(s) {
+  return {
+    type: text(s.type),
+    day_label: text(s.day_label) || text(s.date),
+    time_label: text(s.time_label) || text(s.time),
+    days: s.weekdays || [],
+    start_time: s.start_time || null,
+    end_time: s.end_time || null,
+    recurrence: s.recurrence || null,
+    week_of_month: s.week_of_month == null ? null : s.week_of_month,
+    date: s.date_iso || null,
+    next_date: s.next_date || null,
+    booking_url: text(s.url),
+  };
+}
+
+// origin: absolute site origin for `url` and `share_image_url`
+function toV2Club(club, { origin = '' } = {}) {
+  const code = club.club_code;
+  const path = encodeURIComponent(code);
+  const logo = text(club.club_logo_emoji);
+  const conf = club.confidence || {};
+  const prices = club.pricing || buildPricing(club);
+
+  return {
+    code,
+    previous_codes: club.previous_codes || [],
+    name: text(club.club_name) || 'Club',
+    url: `${origin}/club/${path}`,
+    activity: text(club.activity_type),
+    location: text(club.location),
+    snippet: text(club.club_snippet),
+    bio: text(club.club_bio),
+    bio_html: text(club.club_bio_html),
+
+    media: {
+      logo_emoji: logo && !isUrl(logo) ? logo : null,
+      logo_url: logo && isUrl(logo) ? logo : null,
+      image_url: text(club.image_url),
+      hero_background: text(club.hero_background),
+      share_image_url: `${origin}/og/${path}`,
+    },
+
+    pricing: {
+      currency: prices.currency,
+      summary: text(prices.summary),
+      effective_monthly_cost: prices.effective_monthly_cost,
+      free_trial: prices.free_trial,
+      tiers: prices.tiers.map(t => ({
+        id: t.id,
+        name: t.name,
+        kind: t.kind,
+        amount: t.amount,
+        currency: t.currency,
+        period: t.period,
+        monthly_equivalent: t.monthly_equivalent,
+        label: text(t.label),
+        description: text(t.description),
+      })),
+      monthly_fee: positive(club.monthly_fee_amount),
+      monthly_fee_text: text(club.monthly_fee_text),
+      per_session: positive(club.pay_per_session_price),
+      savings: positive(club.savings_amount),
+    },
+
+    contact: {
+      email: text(club.email),
+      phone: text(club.phone),
+      whatsapp: text(club.whatsapp),
+      instagram_url: instagramUrl(club.instagram),
+      website: text(club.website),
+      booking_url: text(club.booking_url),
+      review_url: text(club.review_link),
+      donate_url: text(club.shop_link),
+      address: text(club.address),
+      postcode: text(club.postcode),
+      // 'exact' pins come from the sheet; 'postcode' is the district centre
+      geo: club.lat == null || club.lng == null
+        ? null
+        : { lat: club.lat, lng: club.lng, precision: club.geo_source === 'sheet' ? 'exact' : 'postcode' },
+    },
+
+    schedule: {
+      sessions_per_week: count(club.sessions_per_week),
+      updated: date(club.sessions_updated),
+      sessions: (club.sessions || []).map(toV2Session),
+    },
+
+    tags: {
+      who: list(club.tags_who),
+      vibe: list(club.tags_vibe),
+      accessibility: list(club.tags_accessibility),
+      facilities: club.facilities_array || list(club.facilities_list),
+      audience: text(club.audience),
+      beginner_friendly: !!club.is_beginner_friendly,
+      wheelchair_accessible: !!club.is_wheelchair_accessible,
+      all_ages: !!club.is_all_ages,
+    },
+
+    trust: {
+      confidence: text(club.confidence_score),
+      confidence_points: conf.score == null ? null : conf.score,
+      confidence_max: conf.max == null ? null : conf.max,
+      confidence_override: conf.override || null,
+      confidence_signals: (conf.signals || []).map(s => ({
+        signal: s.signal,
+        label: s.label,
+        points: s.points,
+        max: s.max,
+        detail: s.detail,
+      })),
+      verified: !!club.verified,
+      last_verified: date(club.last_verified),
+      date_added: date(club.date_added),
+      featured: !!club.featured,
+      ranking_position: positive(club.ranking_position),
+      ranking_category: text(club.ranking_category),
+      review_count: count(club.review_count),
+      average_rating: club.average_rating == null ? null : club.average_rating,
+    },
+
+    community: {
+      members: count(club.member_count),
+      member_growth: text(club.member_growth),
+      average_attendance: positive(club.average_attendance),
+      total_teams: count(club.total_teams),
+      teams: club.teams || [],
+      coach: text(club.coach_name) || text(club.coach_role)
+        ? { name: text(club.coach_name), role: text(club.coach_role), avatar_url: isUrl(club.coach_avatar) ? text(club.coach_avatar) : null }
+        : null,
+    },
+
+    content: {
+      benefits: (club.benefits || []).map(b => ({ icon: text(b.icon), title: text(b.title), description: text(b.description) })),
+      faqs: (club.faqs || []).map(f => ({ question: text(f.question), answer: text(f.answer), answer_html: text(f.answer_html) })),
+      testimonials: (club.testimonials || []).map(t => ({ author: text(t.author), rating: positive(t.rating), text: text(t.text) })),
+    },
+  };
+}
+
+// Per-result extras for list responses: only present when the query asked
+// for them (q → relevance / highlight, near → distance_km)
+function toV2Result(club, options) {
+  const record = toV2Club(club, options);
+  if (club.relevance !== undefined || club.distance_km !== undefined) {
+    record.search = {
+      relevance: club.relevance === undefined ? null : club.relevance,
+      highlight: club.highlight || null,
+      distance_km: club.distance_km === undefined ? null : club.distance_km,
+    };
+  }
+  return record;
+}
+
+module.exports = { toV2Club, toV2Result, toV2Session };
@@ -0,0 +1,124 @@
+// lib/confidence.js - Confidence label computed from freshness signals in the sheet
+//
+// Each signal scores points (out of 100 in total); the total picks the label.
+// Dates are aged against today (Europe/London), so a club that nobody has
+// checked for a while drifts down the scale on its own.
+//
+// The "Confidence Override" column is a manual override: when it holds one
+// of CONFIDENCE_LEVELS that label wins, but the computed label and the
+// breakdown are still returned so the page can show both. Column L (the
+// labels kept by hand before this) is not read, so existing clubs get the
+// computed label until someone deliberately pins one.
+
+const { parseDate, todayLocal, daysBetween } = require('./sessions');
+
+// Confidence labels, most → least confident
+const CONFIDENCE_LEVELS = ['Verified', 'Likely Active', 'Probably Active', 'Uncertain', 'Unconfirmed'];
+
+// Minimum score for each label, most → least confident
+const THRESHOLDS = [
+  ['Verified', 75],
+  ['Likely Active', 55],
+  ['Probably Active', 35],
+  ['Uncertain', 15],
+  ['Unconfirmed', 0],
+];
+
+// "Verified" also needs someone to have checked the club this recently
+const VERIFIED_MAX_AGE_DAYS = 180;
+const REVIEW_MAX_AGE_DAYS = 180;
+
+// [max age in days, points] — first band that fits wins
+const LAST_VERIFIED_BANDS = [[90, 35], [180, 25], [365, 10]];
+const SESSIONS_UPDATED_BANDS = [[60, 15], [180, 8]];
+
+function ageInDays(text, today) {
+  if (!text) return null;
+  const iso = parseDate(text, today);
+  if (!iso) return null;
+  return Math.max(0, daysBetween(iso, today));
+}
+
+function describeAge(days) {
+  if (days === 0) return 'today';
+  if (days === 1) return 'yesterday';
+  if (days < 60) return `${days} days ago`;
+  if (days < 730) return `${Math.round(days / 30)} months ago`;
+  return `${Math.round(days / 365)} years ago`;
+}
+
+function banded(days, bands) {
+  if (days == null) return 0;
+  const band = bands.find(([maxAge]) => days <= maxAge);
+  return band ? band[1] : 0;
+}
+
+// ---------- Signals ----------
+// Each: { signal, label, points, max, detail }
+function collectSignals(club, today, reviews) {
+  const signals = [];
+  const add = (signal, label, points, max, detail) => signals.push({ signal, label, points, max, detail });
+
+  add('verified', 'Verified by the directory', club.verified ? 20 : 0, 20,
+    club.verified ? 'Marked as verified' : 'Not marked as verified');
+
+  const checked = ageInDays(club.last_verified, today);
+  add('last_verified', 'Last checked', banded(checked, LAST_VERIFIED_BANDS), 35,
+    checked == null
+      ? (club.last_verified ? `Unreadable date "${club.last_verified}"` : 'No check recorded')
+      : describeAge(checked));
+
+  const updated = ageInDays(club.sessions_updated, today);
+  const hasSessions = (club.sessions || []).length > 0;
+  // A timetable with no (or an old) update date is still some evidence
+  const sessionPoints = Math.max(banded(updated, SESSIONS_UPDATED_BANDS), hasSessions ? 3 : 0);
+  add('sessions_updated', 'Timetable updated', sessionPoints, 15,
+    updated != null ? describeAge(updated) : (hasSessions ? 'Sessions listed, update date unknown' : 'No sessions listed'));
+
+  const contact = [club.email && 'email', club.phone && 'phone'].filter(Boolean);
+  add('contact', 'Contact details', contact.length ? 10 : 0, 10,
+    contact.length ? `Has ${contact.join(' and ')}` : 'No email or phone');
+
+  add('website', 'Website', club.website ? 5 : 0, 5, club.website ? 'Listed' : 'None listed');
+  add('booking', 'Booking link', club.booking_url ? 5 : 0, 5, club.booking_url ? 'Listed' : 'None listed');
+
+  const ages = reviews
+    .map(r => (r.received_at ? ageInDays(String(r.received_at).slice(0, 10), today) : null))
+    .filter(d => d != null);
+  const latest = ages.length ? Math.min(...ages) : null;
+  const recent = latest != null && latest <= REVIEW_MAX_AGE_DAYS;
+  add('reviews', 'Recent reviews', recent ? 10 : 0, 10,
+    latest == null ? 'No visitor reviews' : `Latest review ${describeAge(latest)}`);
+
+  return { signals, checked };
+}
+
+// ---------- Entry point ----------
+// reviews: approved visitor reviews ({ received_at }) — optional
+function computeConfidence(club, { today = todayLocal(), reviews = [] } = {}) {
+  const { signals, checked } = collectSignals(club, today, reviews);
+  const score = signals.reduce((sum, s) => sum + s.points, 0);
+
+  let computed = THRESHOLDS.find(([, min]) => score >= min)[0];
+  if (computed === 'Verified' && (checked == null || checked > VERIFIED_MAX_AGE_DAYS)) computed = 'Likely Active';
+
+  const override = CONFIDENCE_LEVELS.includes(club.confidence_override) ? club.confidence_override : null;
+  return {
+    label: override || computed,
+    computed,
+    override,
+    score,
+    max: signals.reduce((sum, s) => sum + s.max, 0),
+    signals,
+  };
+}
+
+// Sets `confidence` (the breakdown) and `confidence_score` (the label every
+// consumer sorts and filters on) on a club object
+function applyConfidence(club, options) {
+  club.confidence = computeConfidence(club, options);
+  club.confidence_score = club.confidence.label;
+  return club;
+}
+
+module.exports = { CONFIDENCE_LEVELS, THRESHOLDS, computeConfidence, applyConfidence };
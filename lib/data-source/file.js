@@ -0,0 +1,200 @@
+// lib/data-source/file.js - Local file adapter for offline development and tests
+//
+// Reads a CSV export of the "Dynamic Club Page Hub" tab, or a JSON array of
+// rows. JSON rows may be arrays (header row first, like the Sheets API) or
+// objects keyed by header name.
+//
+// The admin write path rewrites the whole file in its original format — fine
+// for development, not meant for concurrent writers.
+
+const fs = require('fs');
+const path = require('path');
+const { SHEET_NAME } = require('../club-schema');
+
+function createFileSource(env = process.env) {
+  const file = env.CLUB_DATA_FILE ? path.resolve(process.cwd(), env.CLUB_DATA_FILE) : '';
+
+  const isJson = /\.json$/i.test(file);
+
+  async function readAll() {
+    const text = await fs.promises.readFile(file, 'utf8');
+    const rows = isJson ? parseJsonRows(text) : parseCsv(text);
+    return trimRows(rows);
+  }
+
+  async function writeAll(rows) {
+    let text;
+    if (!isJson) {
+      text = toCsv(rows);
+    } else {
+      // Keep object-style JSON as objects
+      const original = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      const asObjects = original.length && !Array.isArray(original[0]);
+      const [header = [], ...data] = rows;
+      text = JSON.stringify(
+        asObjects ? data.map(r => Object.fromEntries(header.map((h, i) => [h, r[i] ?? '']))) : rows,
+        null,
+        2
+      ) + '\n';
+    }
+    await fs.promises.writeFile(file, text, 'utf8');
+  }
+
+  return {
+    type: 'file',
+
+    checkConfig() {
+      if (!env.CLUB_DATA_FILE) return ['Missing CLUB_DATA_FILE environment variable'];
+      if (!fs.existsSync(file)) return [`CLUB_DATA_FILE not found: ${file}`];
+      return [];
+    },
+
+    describe() {
+      return { type: 'file', file };
+    },
+
+    async getRows(range) {
+      return sliceRange(await readAll(), range);
+    },
+
+    // updates: [{ row, col, value }] — 0-based, row 0 is the header row
+    async updateCells(updates) {
+      if (!updates.length) return;
+      const rows = await readAll();
+      for (const { row, col, value } of updates) {
+        while (rows.length <= row) rows.push([]);
+        while (rows[row].length <= col) rows[row].push('');
+        rows[row][col] = String(value);
+      }
+      await writeAll(rows);
+    },
+
+    async appendRow(values) {
+      const rows = await readAll();
+      rows.push(values.map(v => String(v == null ? '' : v)));
+      await writeAll(rows);
+    },
+
+    async getMetadata() {
+      return {
+        id: file,
+        title: path.basename(file),
+        sheets: [SHEET_NAME],
+      };
+    },
+  };
+}
+
+// ---------- Parsers ----------
+
+// RFC 4180: quoted fields, "" escapes, newlines inside quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+function toCsv(rows) {
+  const width = Math.max(0, ...rows.map(r => r.length));
+  const quote = v => {
+    const s = String(v == null ? '' : v);
+    return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows
+    .map(r => Array.from({ length: width }, (_, i) => quote(r[i])).join(','))
+    .join('\n') + '\n';
+}
+
+function parseJsonRows(text) {
+  const data = JSON.parse(text);
+  if (!Array.isArray(data)) throw new Error('CLUB_DATA_FILE JSON must be an array of rows');
+  if (!data.length || Array.isArray(data[0])) {
+    return data.map(r => (r || []).map(cellToString));
+  }
+
+  // Array of objects — header is the union of keys in first-seen order
+  const header = [];
+  for (const obj of data) {
+    for (const key of Object.keys(obj || {})) if (!header.includes(key)) header.push(key);
+  }
+  return [header, ...data.map(obj => header.map(h => cellToString((obj || {})[h])))];
+}
+
+function cellToString(v) {
+  if (v === null || v === undefined) return '';
+  if (typeof v === 'boolean') return v ? 'TRUE' : 'FALSE';
+  return String(v);
+}
+
+// Mirror the Sheets API: no trailing empty cells, no trailing empty rows
+function trimRows(rows) {
+  const out = rows.map(r => {
+    let end = r.length;
+    while (end > 0 && r[end - 1] === '') end--;
+    return r.slice(0, end);
+  });
+  while (out.length && !out[out.length - 1].length) out.pop();
+  return out;
+}
+
+// ---------- A1 ranges ----------
+function columnIndex(letters) {
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function parseRef(ref) {
+  const m = /^([A-Z]*)(\d*)$/i.exec(ref.trim());
+  if (!m) throw new Error(`Unsupported range reference: ${ref}`);
+  return {
+    col: m[1] ? columnIndex(m[1].toUpperCase()) : null,
+    row: m[2] ? parseInt(m[2], 10) - 1 : null,
+  };
+}
+
+// Supports "Tab", "Tab!A:DH", "Tab!1:1", "Tab!A1:C10"
+function sliceRange(rows, range) {
+  const bang = String(range || '').lastIndexOf('!');
+  const a1 = bang === -1 ? '' : range.slice(bang + 1);
+  if (!a1) return rows;
+
+  const [startRef, endRef = startRef] = a1.split(':');
+  const start = parseRef(startRef);
+  const end = parseRef(endRef);
+  const r0 = start.row ?? 0;
+  const r1 = end.row ?? Infinity;
+  const c0 = start.col ?? 0;
+  const c1 = end.col ?? Infinity;
+
+  return trimRows(
+    rows
+      .slice(r0, r1 === Infinity ? undefined : r1 + 1)
+      .map(r => r.slice(c0, c1 === Infinity ? undefined : c1 + 1))
+  );
+}
+
+module.exports = { createFileSource, parseCsv, toCsv, sliceRange };
@@ -0,0 +1,93 @@
+// lib/data-source/google-sheets.js - Google Sheets adapter (the production source)
+//
+// Needs GOOGLE_SERVICE_ACCOUNT (service account JSON) and GOOGLE_SHEET_ID.
+// Reads use a read-only client; the admin write path (updateCells / appendRow)
+// gets its own client and needs the service account to have edit access.
+
+const { SHEET_NAME, columnLetter } = require('../club-schema');
+
+const READ_SCOPE = 'https://www.googleapis.com/auth/spreadsheets.readonly';
+const WRITE_SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+
+function createGoogleSheetsSource(env = process.env) {
+  const clients = {};
+
+  function getClient(scope = READ_SCOPE) {
+    if (clients[scope]) return clients[scope];
+    const { google } = require('googleapis');
+    const credentials = JSON.parse(env.GOOGLE_SERVICE_ACCOUNT);
+    const auth = new google.auth.GoogleAuth({ credentials, scopes: [scope] });
+    clients[scope] = google.sheets({ version: 'v4', auth });
+    return clients[scope];
+  }
+
+  return {
+    type: 'google-sheets',
+
+    // Human-readable setup problems; empty when the source is usable
+    checkConfig() {
+      const problems = [];
+      if (!env.GOOGLE_SERVICE_ACCOUNT) {
+        problems.push('Missing GOOGLE_SERVICE_ACCOUNT environment variable');
+      } else {
+        try {
+          JSON.parse(env.GOOGLE_SERVICE_ACCOUNT);
+        } catch (e) {
+          problems.push(`Invalid GOOGLE_SERVICE_ACCOUNT JSON format: ${e.message}`);
+        }
+      }
+      if (!env.GOOGLE_SHEET_ID) problems.push('Missing GOOGLE_SHEET_ID environment variable');
+      return problems;
+    },
+
+    describe() {
+      return { type: 'google-sheets', spreadsheet_id: env.GOOGLE_SHEET_ID || null };
+    },
+
+    // Returns the 2D values array for an A1 range ("Tab!A:DH", "Tab!1:1", …)
+    async getRows(range) {
+      const resp = await getClient().spreadsheets.values.get({
+        spreadsheetId: env.GOOGLE_SHEET_ID,
+        range,
+      });
+      return resp.data.values || [];
+    },
+
+    // updates: [{ row, col, value }] — 0-based, row 0 is the header row
+    async updateCells(updates) {
+      if (!updates.length) return;
+      await getClient(WRITE_SCOPE).spreadsheets.values.batchUpdate({
+        spreadsheetId: env.GOOGLE_SHEET_ID,
+        requestBody: {
+          valueInputOption: 'RAW',
+          data: updates.map(u => ({
+            range: `'${SHEET_NAME}'!${columnLetter(u.col)}${u.row + 1}`,
+            values: [[u.value]],
+          })),
+        },
+      });
+    },
+
+    // Adds a club row below the last one
+    async appendRow(values) {
+      await getClient(WRITE_SCOPE).spreadsheets.values.append({
+        spreadsheetId: env.GOOGLE_SHEET_ID,
+        range: `'${SHEET_NAME}'!A1`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: { values: [values] },
+      });
+    },
+
+    async getMetadata() {
+      const resp = await getClient().spreadsheets.get({ spreadsheetId: env.GOOGLE_SHEET_ID });
+      return {
+        id: env.GOOGLE_SHEET_ID,
+        title: resp.data.properties.title,
+        sheets: resp.data.sheets.map(sheet => sheet.properties.title),
+      };
+    },
+  };
+}
+
+module.exports = { createGoogleSheetsSource };
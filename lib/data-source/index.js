@@ -0,0 +1,31 @@
+// lib/data-source/index.js - Picks the club data source from the environment
+//
+//   CLUB_DATA_SOURCE=sheets (default)  Google Sheets, see google-sheets.js
+//   CLUB_DATA_SOURCE=file              Local CSV/JSON, path in CLUB_DATA_FILE
+//
+// e.g. CLUB_DATA_SOURCE=file CLUB_DATA_FILE=fixtures/clubs.csv vercel dev
+
+const { createGoogleSheetsSource } = require('./google-sheets');
+const { createFileSource } = require('./file');
+
+const ADAPTERS = {
+  sheets: createGoogleSheetsSource,
+  'google-sheets': createGoogleSheetsSource,
+  file: createFileSource,
+};
+
+let current = null;
+
+function getDataSource(env = process.env) {
+  const name = (env.CLUB_DATA_SOURCE || 'sheets').trim().toLowerCase();
+  if (current && current.name === name && env === process.env) return current.source;
+
+  const create = ADAPTERS[name];
+  if (!create) throw new Error(`Unknown CLUB_DATA_SOURCE "${name}" (expected: ${Object.keys(ADAPTERS).join(', ')})`);
+
+  const source = create(env);
+  if (env === process.env) current = { name, source };
+  return source;
+}
+
+module.exports = { getDataSource };
@@ -0,0 +1,329 @@
+// lib/embed.js - Partner embeds: config parsing and the self-contained HTML for the embed iframe
+//
+// Two views, both full HTML documents served by api/embed.js into an iframe
+// (js/embed.js writes the iframe for partners who paste a script tag):
+//   club   one compact club card                 /embed/club/:code
+//   list   clubs filtered by activity / location  /embed/clubs?activity=&location=
+//
+// Every sheet value goes through escapeHtml(); theme colours are only taken
+// as hex so nothing from a query string reaches the CSS unchecked. The page
+// carries its own styles and never loads the site's CSS.
+
+const crypto = require('crypto');
+const { escapeHtml } = require('./html-template');
+
+const VIEWS = ['club', 'list'];
+
+// Optional parts of a card, in display order
+const EMBED_FIELDS = {
+  activity: 'Activity type',
+  location: 'Area',
+  fee: 'Monthly fee (or the fee text)',
+  confidence: 'Confidence label',
+  rating: 'Average review rating',
+  members: 'Member count',
+  sessions: 'Upcoming weekly sessions (club view; sessions per week in lists)',
+  contact: 'Email and phone (club view only)',
+  book: 'Booking button',
+};
+const DEFAULT_FIELDS = ['activity', 'location', 'fee', 'confidence', 'sessions', 'book'];
+
+const THEMES = {
+  dark: { bg: '#1b1b1b', surface: '#232323', text: '#f0f0f0', muted: '#a3a3a3', border: '#343434', accent: '#ff1b6e' },
+  light: { bg: '#ffffff', surface: '#f6f6f6', text: '#1b1b1b', muted: '#5f5f5f', border: '#e3e3e3', accent: '#ff1b6e' },
+};
+// Colours a partner may override
+const COLOUR_KEYS = ['accent', 'bg', 'text'];
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+const MAX_SESSIONS = 3;
+
+const CONFIDENCE_COLOURS = {
+  'Verified': '#008000',
+  'Likely Active': '#228b22',
+  'Probably Active': '#b57b04',
+  'Uncertain': '#d9520b',
+  'Unconfirmed': '#b91c1c',
+};
+
+const HEX_RE = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// ---------- Config ----------
+// Query (or data-* attributes, via js/embed.js) → { config, errors }.
+// Unknown values are reported but never fatal: the default is used instead.
+function parseEmbedConfig(query = {}) {
+  const errors = [];
+  const str = k => (query[k] == null ? '' : String(query[k]).trim());
+
+  const view = str('view') || (str('code') ? 'club' : 'list');
+  if (!VIEWS.includes(view)) errors.push({ field: 'view', message: `view must be one of: ${VIEWS.join(', ')}` });
+
+  const themeName = str('theme').toLowerCase() || 'dark';
+  if (!THEMES[themeName]) errors.push({ field: 'theme', message: `theme must be one of: ${Object.keys(THEMES).join(', ')}` });
+  const colours = { ...THEMES[THEMES[themeName] ? themeName : 'dark'] };
+  for (const key of COLOUR_KEYS) {
+    const v = str(key);
+    if (!v) continue;
+    const m = HEX_RE.exec(v);
+    if (m) colours[key] = `#${m[1].toLowerCase()}`;
+    else errors.push({ field: key, message: `${key} must be a hex colour like #ff1b6e` });
+  }
+
+  let fields = DEFAULT_FIELDS;
+  if (str('fields')) {
+    const asked = str('fields').toLowerCase().split(/[\s,]+/).filter(Boolean);
+    // 'none' leaves just the club name and links
+    const unknown = asked.filter(f => !EMBED_FIELDS[f] && f !== 'none');
+    if (unknown.length) errors.push({ field: 'fields', message: `Unknown fields: ${unknown.join(', ')}. Choose from: ${Object.keys(EMBED_FIELDS).join(', ')}` });
+    fields = Object.keys(EMBED_FIELDS).filter(f => asked.includes(f));
+  }
+
+  const limit = parseInt(str('limit'), 10);
+  if (str('limit') && !(limit > 0)) errors.push({ field: 'limit', message: `limit must be 1 to ${MAX_LIMIT}` });
+
+  const config = {
+    view: VIEWS.includes(view) ? view : 'list',
+    code: str('code').toLowerCase(),
+    activity: str('activity'),
+    location: str('location'),
+    limit: limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT,
+    theme: THEMES[themeName] ? themeName : 'dark',
+    colours,
+    fields,
+  };
+  if (config.view === 'club' && !config.code) errors.push({ field: 'code', message: 'code is required for the club view' });
+  return { config, errors };
+}
+
+// Canonical query string for a config (defaults left out), used for the
+// iframe URL so equivalent embeds share an edge-cache entry
+function configQuery(config) {
+  const p = new URLSearchParams();
+  if (config.view === 'list') {
+    if (config.activity) p.set('activity', config.activity);
+    if (config.location) p.set('location', config.location);
+    if (config.limit !== DEFAULT_LIMIT) p.set('limit', String(config.limit));
+  }
+  if (config.theme !== 'dark') p.set('theme', config.theme);
+  const base = THEMES[config.theme];
+  for (const key of COLOUR_KEYS) if (config.colours[key] !== base[key]) p.set(key, config.colours[key]);
+  if (config.fields.join(',') !== DEFAULT_FIELDS.join(',')) p.set('fields', config.fields.join(',') || 'none');
+  return p.toString();
+}
+
+function embedPath(config) {
+  const qs = configQuery(config);
+  const path = config.view === 'club' ? `/embed/club/${encodeURIComponent(config.code)}` : '/embed/clubs';
+  return qs ? `${path}?${qs}` : path;
+}
+
+// ---------- Helpers ----------
+const x = escapeHtml;
+
+function isUrl(v) { return /^https?:\/\//i.test(String(v || '').trim()); }
+
+function feeLabel(club) {
+  return club.pricing ? club.pricing.summary : String(club.monthly_fee_text || '').trim();
+}
+
+function clubUrl(club, origin) {
+  return `${origin}/club/${encodeURIComponent(club.club_code)}`;
+}
+
+// ---------- Markup ----------
+function metaLine(club, show) {
+  const parts = [];
+  if (show.has('activity') && club.activity_type) parts.push(club.activity_type);
+  if (show.has('location') && club.location) parts.push(club.location);
+  return parts.length ? `<p class="meta">${x(parts.join(' · '))}</p>` : '';
+}
+
+function badges(club, show, { list = false } = {}) {
+  const out = [];
+  const fee = feeLabel(club);
+  if (show.has('fee') && fee) out.push(`<span class="badge">${x(fee)}</span>`);
+  if (show.has('confidence') && CONFIDENCE_COLOURS[club.confidence_score]) {
+    out.push(`<span class="badge conf" style="background:${CONFIDENCE_COLOURS[club.confidence_score]}">${x(club.confidence_score)}</span>`);
+  }
+  if (show.has('rating') && club.average_rating) out.push(`<span class="badge">★ ${x(club.average_rating)}</span>`);
+  if (show.has('members') && club.member_count) out.push(`<span class="badge">${x(club.member_count)} members</span>`);
+  if (list && show.has('sessions') && club.sessions_per_week) {
+    out.push(`<span class="badge">${x(club.sessions_per_week)}× a week</span>`);
+  }
+  return out.length ? `<div class="badges">${out.join('')}</div>` : '';
+}
+
+function logo(club) {
+  const v = String(club.club_logo_emoji || '').trim();
+  if (isUrl(v) && /^https:/i.test(v)) return `<img class="logo" src="${x(v)}" alt="">`;
+  const text = v && !isUrl(v) ? v : (String(club.club_name || '?').trim()[0] || '?').toUpperCase();
+  return `<span class="logo" aria-hidden="true">${x(text)}</span>`;
+}
+
+function sessionList(club) {
+  const items = (club.sessions || [])
+    .filter(s => s.date || s.time || s.type)
+    .slice(0, MAX_SESSIONS)
+    .map(s => `<li><strong>${x(s.day_label || s.date || 'Date TBC')}</strong> ${x(s.time_label || s.time || '')}${s.type ? ` <span>${x(s.type)}</span>` : ''}</li>`);
+  return items.length ? `<ul class="sessions">${items.join('')}</ul>` : '';
+}
+
+function contactList(club) {
+  const items = [];
+  if (club.email) items.push(`<li><a href="mailto:${x(club.email)}" target="_blank" rel="noopener">${x(club.email)}</a></li>`);
+  if (club.phone) items.push(`<li><a href="tel:${x(String(club.phone).replace(/\s+/g, ''))}" target="_blank" rel="noopener">${x(club.phone)}</a></li>`);
+  return items.length ? `<ul class="contact">${items.join('')}</ul>` : '';
+}
+
+function renderClubCard(club, config, { origin }) {
+  const show = new Set(config.fields);
+  const url = clubUrl(club, origin);
+  const book = show.has('book') && isUrl(club.booking_url)
+    ? `<a class="button" href="${x(club.booking_url)}" target="_blank" rel="noopener">Book a session</a>`
+    : '';
+  return `
+  <article class="card">
+    <header class="head">
+      ${logo(club)}
+      <div>
+        <h1 class="name"><a href="${x(url)}" target="_blank" rel="noopener">${x(club.club_name || 'Club')}</a></h1>
+        ${metaLine(club, show)}
+      </div>
+    </header>
+    ${badges(club, show)}
+    ${show.has('sessions') ? sessionList(club) : ''}
+    ${show.has('contact') ? contactList(club) : ''}
+    <div class="actions">
+      ${book}
+      <a class="link" href="${x(url)}" target="_blank" rel="noopener">View on The NBRH →</a>
+    </div>
+  </article>`;
+}
+
+function renderClubList(clubs, config, { origin, total }) {
+  const show = new Set(config.fields);
+  const more = new URLSearchParams();
+  if (config.activity) more.set('activity', config.activity);
+  if (config.location) more.set('location', config.location);
+  const moreUrl = `${origin}/${more.toString() ? `?${more}` : ''}`;
+  const heading = [config.activity || 'Clubs', config.location && `in ${config.location}`].filter(Boolean).join(' ');
+
+  const rows = clubs.map(club => `
+    <li class="row">
+      ${logo(club)}
+      <div class="row-body">
+        <a class="name" href="${x(clubUrl(club, origin))}" target="_blank" rel="noopener">${x(club.club_name || 'Club')}</a>
+        ${metaLine(club, show)}
+        ${badges(club, show, { list: true })}
+      </div>
+      ${show.has('book') && isUrl(club.booking_url) ? `<a class="button small" href="${x(club.booking_url)}" target="_blank" rel="noopener">Book</a>` : ''}
+    </li>`).join('');
+
+  return `
+  <section class="card">
+    <h1 class="title">${x(heading)}</h1>
+    ${clubs.length ? `<ul class="rows">${rows}</ul>` : '<p class="empty">No clubs listed here yet.</p>'}
+    <div class="actions">
+      <a class="link" href="${x(moreUrl)}" target="_blank" rel="noopener">${total > clubs.length ? `See all ${x(total)} on The NBRH →` : 'Browse The NBRH →'}</a>
+    </div>
+  </section>`;
+}
+
+function renderNotFound() {
+  return `
+  <section class="card">
+    <p class="empty">This club is no longer listed.</p>
+  </section>`;
+}
+
+// ---------- Document ----------
+// Tells js/embed.js the height so the iframe fits its content
+const RESIZE_SCRIPT = `(function(){
+  function send(){ parent.postMessage({ type: 'nbrh-embed:resize', height: document.documentElement.scrollHeight }, '*'); }
+  addEventListener('load', send);
+  if (window.ResizeObserver) new ResizeObserver(send).observe(document.body);
+})();`;
+const RESIZE_HASH = crypto.createHash('sha256').update(RESIZE_SCRIPT).digest('base64');
+
+// Headers for the embed page: inline styles and the one known script only
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'none'",
+  "style-src 'unsafe-inline'",
+  `script-src 'sha256-${RESIZE_HASH}'`,
+  'img-src https: data:',
+  "base-uri 'none'",
+  "form-action 'none'",
+  'frame-ancestors *',
+].join('; ');
+
+function styles(c) {
+  return `
+    *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+    html, body { background: transparent; }
+    body { font: 15px/1.45 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: ${c.text}; }
+    a { color: inherit; }
+    .card { background: ${c.bg}; border: 1px solid ${c.border}; border-radius: 10px; padding: 16px; }
+    .head { display: flex; gap: 12px; align-items: center; margin-bottom: 12px; }
+    .logo { flex: 0 0 44px; width: 44px; height: 44px; border-radius: 50%; background: ${c.surface}; border: 1px solid ${c.border};
+      display: inline-flex; align-items: center; justify-content: center; font-size: 22px; object-fit: cover; }
+    .name { font-size: 17px; font-weight: 700; line-height: 1.25; text-decoration: none; }
+    .name a { text-decoration: none; }
+    .name:hover, .name a:hover { color: ${c.accent}; }
+    .title { font-size: 16px; font-weight: 700; margin-bottom: 10px; }
+    .meta { color: ${c.muted}; font-size: 13px; }
+    .badges { display: flex; flex-wrap: wrap; gap: 6px; margin: 6px 0; }
+    .badge { font-size: 12px; font-weight: 600; padding: 3px 9px; border-radius: 999px; background: ${c.surface}; border: 1px solid ${c.border}; }
+    .badge.conf { color: #fff; border-color: transparent; }
+    .sessions, .contact, .rows { list-style: none; }
+    .sessions { margin: 10px 0; display: grid; gap: 4px; font-size: 13px; }
+    .sessions span { color: ${c.muted}; }
+    .contact { margin: 10px 0; font-size: 13px; display: grid; gap: 2px; }
+    .contact a { color: ${c.accent}; text-decoration: none; }
+    .rows { display: grid; gap: 1px; background: ${c.border}; border-radius: 8px; overflow: hidden; }
+    .row { display: flex; gap: 12px; align-items: center; padding: 10px 12px; background: ${c.bg}; }
+    .row .logo { flex-basis: 36px; width: 36px; height: 36px; font-size: 18px; }
+    .row-body { flex: 1; min-width: 0; }
+    .row .name { font-size: 15px; }
+    .actions { display: flex; flex-wrap: wrap; gap: 10px; align-items: center; justify-content: space-between; margin-top: 12px; }
+    .button { display: inline-block; background: ${c.accent}; color: #fff; text-decoration: none; font-weight: 600;
+      font-size: 13px; padding: 8px 14px; border-radius: 6px; }
+    .button.small { padding: 6px 10px; font-size: 12px; }
+    .link { color: ${c.accent}; text-decoration: none; font-size: 13px; font-weight: 600; }
+    .empty { color: ${c.muted}; font-size: 14px; }`;
+}
+
+function renderDocument(body, config, { title }) {
+  return `<!DOCTYPE html>
+<html lang="en-GB">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>${x(title)}</title>
+  <style>${styles(config.colours)}
+  </style>
+</head>
+<body>${body}
+  <script>${RESIZE_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  VIEWS,
+  EMBED_FIELDS,
+  DEFAULT_FIELDS,
+  THEMES,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  CONTENT_SECURITY_POLICY,
+  parseEmbedConfig,
+  configQuery,
+  embedPath,
+  renderClubCard,
+  renderClubList,
+  renderNotFound,
+  renderDocument,
+};
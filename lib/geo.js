@@ -0,0 +1,72 @@
+// lib/geo.js - Club coordinates and distances
+//
+// Coordinates come from the sheet's latitude / longitude columns when filled,
+// otherwise from the postcode in `postcode` or `address` via the offline
+// district table. There is no live geocoding call.
+
+const DISTRICTS = require('./postcode-districts');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Outward code, optionally followed by the inward code ("E9", "SE15 4ST", "sw1a1aa")
+const POSTCODE_RE = /\b([A-Z]{1,2}\d[A-Z\d]?)(?:\s*(\d[A-Z]{2}))?\b/gi;
+
+// ---------- Parsing ----------
+function parseCoordinate(v, max) {
+  const s = String(v == null ? '' : v).trim();
+  if (!/^-?\d+(\.\d+)?$/.test(s)) return null;
+  const n = Number(s);
+  return Math.abs(n) <= max ? n : null;
+}
+
+// "51.54,-0.05" → { lat, lng }, or null
+function parseLatLng(text) {
+  const parts = String(text || '').split(',');
+  if (parts.length !== 2) return null;
+  const lat = parseCoordinate(parts[0], 90);
+  const lng = parseCoordinate(parts[1], 180);
+  return lat === null || lng === null ? null : { lat, lng };
+}
+
+// Outward code of the last UK postcode in the text that we have a centroid for
+function findDistrict(text) {
+  const matches = [...String(text || '').toUpperCase().matchAll(POSTCODE_RE)];
+  for (let i = matches.length - 1; i >= 0; i--) {
+    const outward = matches[i][1];
+    if (DISTRICTS[outward]) return outward;
+    // Sub-districts: SW1A → SW1, EC1V → EC1
+    const parent = outward.replace(/[A-Z]$/, '');
+    if (parent !== outward && DISTRICTS[parent]) return parent;
+  }
+  return null;
+}
+
+// ---------- Clubs ----------
+// { lat, lng, geo_source: 'sheet' | 'postcode' } or { lat: null, lng: null, geo_source: null }
+function locateClub(club) {
+  const lat = parseCoordinate(club.latitude, 90);
+  const lng = parseCoordinate(club.longitude, 180);
+  if (lat !== null && lng !== null) return { lat, lng, geo_source: 'sheet' };
+
+  const district = findDistrict(club.postcode) || findDistrict(club.address);
+  if (district) {
+    const [dLat, dLng] = DISTRICTS[district];
+    return { lat: dLat, lng: dLng, geo_source: 'postcode' };
+  }
+  return { lat: null, lng: null, geo_source: null };
+}
+
+function toRadians(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+// Great-circle distance in km
+function distanceKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+module.exports = { parseCoordinate, parseLatLng, findDistrict, locateClub, distanceKm };
@@ -0,0 +1,71 @@
+// lib/html-template.js - Small helpers for filling the static HTML pages server-side
+//
+// The pages stay valid static files; we only touch elements by id, so the
+// same club.html works with and without server rendering.
+
+const fs = require('fs');
+const path = require('path');
+
+const cache = new Map();
+
+// Reads a page from the project root once per process
+function loadPage(name) {
+  if (!cache.has(name)) {
+    cache.set(name, fs.readFileSync(path.join(__dirname, '..', name), 'utf8'));
+  }
+  return cache.get(name);
+}
+
+function escapeHtml(v) {
+  return String(v == null ? '' : v)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// JSON that is safe inside a <script> element
+function scriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+function openingTag(html, id) {
+  const re = new RegExp(`<[a-zA-Z]+\\b[^>]*\\bid="${id}"[^>]*>`);
+  const m = re.exec(html);
+  if (!m) throw new Error(`Template element #${id} not found`);
+  return m;
+}
+
+// Sets (or adds) an attribute on the element with the given id
+function setAttr(html, id, attr, value) {
+  const m = openingTag(html, id);
+  const tag = m[0];
+  const attrRe = new RegExp(`\\s${attr}="[^"]*"`);
+  const pair = ` ${attr}="${escapeHtml(value)}"`;
+  const next = attrRe.test(tag)
+    ? tag.replace(attrRe, pair)
+    : tag.replace(/\s*\/?>$/, end => pair + end);
+  return html.slice(0, m.index) + next + html.slice(m.index + tag.length);
+}
+
+// Replaces the content of a non-nested element (<title>, <script>, …) by id
+function setInner(html, id, inner) {
+  const m = openingTag(html, id);
+  const tagName = /^<([a-zA-Z]+)/.exec(m[0])[1];
+  const start = m.index + m[0].length;
+  const end = html.indexOf(`</${tagName}>`, start);
+  if (end === -1) throw new Error(`Template element #${id} is not closed`);
+  return html.slice(0, start) + inner + html.slice(end);
+}
+
+// Inserts markup straight before the element with the given id
+function insertBefore(html, id, markup) {
+  const m = openingTag(html, id);
+  return html.slice(0, m.index) + markup + html.slice(m.index);
+}
+
+module.exports = { loadPage, escapeHtml, scriptJson, setAttr, setInner, insertBefore };
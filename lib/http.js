@@ -0,0 +1,62 @@
+// lib/http.js - Shared response helpers for the API functions
+
+const crypto = require('crypto');
+
+// Strong validator over the exact bytes we send
+function makeEtag(body) {
+  return '"' + crypto.createHash('sha1').update(body).digest('base64url') + '"';
+}
+
+function etagMatches(req, etag) {
+  const header = (req.headers && req.headers['if-none-match']) || '';
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').map(t => t.trim()).includes(etag);
+}
+
+// Sends a body with an ETag, answering If-None-Match with 304.
+// `meta.stale` (from lib/club-cache.js) adds a Warning header and shortens the edge TTL.
+function sendCached(req, res, body, contentType, meta = {}) {
+  const etag = makeEtag(body);
+
+  res.setHeader('ETag', etag);
+  if (meta.fetchedAt) res.setHeader('Last-Modified', new Date(meta.fetchedAt).toUTCString());
+  if (meta.stale) {
+    res.setHeader('Warning', '110 - "Response is Stale"');
+    res.setHeader('Cache-Control', 's-maxage=5, stale-if-error=86400');
+  }
+
+  if (etagMatches(req, etag)) return res.status(304).end();
+
+  res.setHeader('Content-Type', contentType);
+  return res.status(meta.status || 200).end(body);
+}
+
+function sendCachedJson(req, res, payload, meta = {}) {
+  return sendCached(req, res, JSON.stringify(payload), 'application/json; charset=utf-8', meta);
+}
+
+// Absolute origin for canonical / og:url links. SITE_URL wins over request headers.
+function siteOrigin(req) {
+  if (process.env.SITE_URL) return process.env.SITE_URL.replace(/\/+$/, '');
+  const headers = (req && req.headers) || {};
+  const host = headers['x-forwarded-host'] || headers.host;
+  if (!host) return '';
+  const proto = String(headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+  return `${proto}://${host}`;
+}
+
+// Request body as an object: {} when empty, null when it isn't valid JSON
+function parseBody(req) {
+  if (req.body && typeof req.body === 'object') return req.body;
+  if (typeof req.body === 'string' && req.body.trim()) {
+    try {
+      return JSON.parse(req.body);
+    } catch (e) {
+      return null;
+    }
+  }
+  return {};
+}
+
+module.exports = { makeEtag, etagMatches, sendCached, sendCachedJson, siteOrigin, parseBody };
@@ -0,0 +1,169 @@
+// lib/ical.js - iCalendar (RFC 5545) feed for a club's sessions
+//
+// Each scheduled session becomes one VEVENT with an RRULE for weekly /
+// fortnightly / monthly sessions. Recurring events start on the session's
+// fixed cycle_start (lib/sessions.js), not on the next occurrence from today,
+// so an INTERVAL=2 rule lands on the same weeks whenever the feed is fetched.
+// Times are local to Europe/London, so the feed carries its own VTIMEZONE block.
+
+const { TIMEZONE, nextOccurrence, todayLocal, addDays } = require('./sessions');
+
+const DEFAULT_DURATION_MINUTES = 60;
+
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:+0000',
+  'TZOFFSETTO:+0100',
+  'TZNAME:BST',
+  'DTSTART:19700329T010000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0000',
+  'TZNAME:GMT',
+  'DTSTART:19701025T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+// ---------- Formatting ----------
+function escapeText(v) {
+  return String(v == null ? '' : v)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets, never inside a UTF-8 sequence
+function foldLine(line) {
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    const limit = out.length ? 74 : 75; // continuation lines start with a space
+    if (bytes + size > limit) {
+      out.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+function compactDate(iso) {
+  return iso.replace(/-/g, '');
+}
+
+function localDateTime(iso, hhmm) {
+  return `${compactDate(iso)}T${hhmm.replace(':', '')}00`;
+}
+
+function utcStamp(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function addMinutes(hhmm, minutes) {
+  const [h, m] = hhmm.split(':').map(Number);
+  const total = h * 60 + m + minutes;
+  const pad = n => String(n).padStart(2, '0');
+  return { dayOffset: Math.floor(total / 1440), time: `${pad(Math.floor(total / 60) % 24)}:${pad(total % 60)}` };
+}
+
+// ---------- Events ----------
+function recurrenceRule(session) {
+  const days = session.weekdays.join(',');
+  switch (session.recurrence) {
+    case 'weekly': return `RRULE:FREQ=WEEKLY;BYDAY=${days}`;
+    case 'fortnightly': return `RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=${days}`;
+    case 'monthly': return `RRULE:FREQ=MONTHLY;BYDAY=${session.weekdays.map(d => session.week_of_month + d).join(',')}`;
+    default: return null;
+  }
+}
+
+function sessionEvent(club, session, index, { today, stamp, pageUrl, host }) {
+  const start = session.cycle_start || nextOccurrence(session, today);
+  if (!start) return null;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${club.club_code}-session-${index + 1}@${host}`,
+    `DTSTAMP:${stamp}`,
+  ];
+
+  if (session.start_time) {
+    lines.push(`DTSTART;TZID=${TIMEZONE}:${localDateTime(start, session.start_time)}`);
+    if (session.end_time) {
+      lines.push(`DTEND;TZID=${TIMEZONE}:${localDateTime(start, session.end_time)}`);
+    } else {
+      const end = addMinutes(session.start_time, DEFAULT_DURATION_MINUTES);
+      lines.push(`DTEND;TZID=${TIMEZONE}:${localDateTime(addDays(start, end.dayOffset), end.time)}`);
+    }
+  } else {
+    // No usable time — an all-day entry still puts the day in the calendar
+    lines.push(`DTSTART;VALUE=DATE:${compactDate(start)}`);
+    lines.push(`DTEND;VALUE=DATE:${compactDate(addDays(start, 1))}`);
+  }
+
+  const rule = recurrenceRule(session);
+  if (rule) lines.push(rule);
+
+  const name = club.club_name || 'Club session';
+  lines.push(`SUMMARY:${escapeText(session.type ? `${name}: ${session.type}` : name)}`);
+
+  const location = club.address || club.location;
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+
+  const description = [
+    session.date && `As listed: ${[session.date, session.time].filter(Boolean).join(', ')}`,
+    session.url && `Book: ${session.url}`,
+    pageUrl && `Club page: ${pageUrl}`,
+  ].filter(Boolean).join('\n');
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (session.url || pageUrl) lines.push(`URL:${session.url || pageUrl}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// ---------- Calendar ----------
+// options: { origin, fetchedAt, today } — fetchedAt keeps DTSTAMP (and the ETag)
+// stable between requests for the same data
+function buildClubCalendar(club, { origin = '', fetchedAt = Date.now(), today = todayLocal() } = {}) {
+  const pageUrl = origin ? `${origin}/club/${encodeURIComponent(club.club_code)}` : '';
+  let host = 'thenbrh';
+  try {
+    if (origin) host = new URL(origin).hostname;
+  } catch (e) {
+    // keep the default
+  }
+  const context = { today, stamp: utcStamp(fetchedAt), pageUrl, host };
+
+  const events = (club.sessions || [])
+    .map((session, i) => (session.recurrence ? sessionEvent(club, session, i, context) : null))
+    .filter(Boolean);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//The NBRH//Club Sessions//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`${club.club_name || 'Club'} sessions`)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    ...VTIMEZONE,
+    ...events.flat(),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildClubCalendar, escapeText, foldLine };
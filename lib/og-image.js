@@ -0,0 +1,232 @@
+// lib/og-image.js - Branded 1200×630 share card for a club, as SVG (and PNG when a rasteriser is installed)
+//
+// Built only from sheet fields — name, activity, location, logo emoji, hero
+// gradient, fee text and the confidence label — so nothing is fetched while
+// rendering. The club's image_url is deliberately not embedded: when a club
+// has one, lib/club-seo.js uses it directly instead of this card.
+//
+// PNG needs @resvg/resvg-js; without it renderPng() returns null and the
+// endpoint serves the SVG instead. Text is set in the DejaVu fonts shipped in
+// lib/fonts (the serverless runtime has no system fonts; vercel.json bundles
+// them with api/og-image.js).
+
+const path = require('path');
+const { escapeHtml } = require('./html-template');
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+
+const BRAND = {
+  accent: '#FF1B6E',
+  bg: '#1B1B1B',
+  text: '#f0f0f0',
+  muted: 'rgba(255,255,255,0.68)',
+  serif: "'Young Serif', Georgia, 'DejaVu Serif', serif",
+  sans: "'DM Sans', 'Helvetica Neue', Arial, 'DejaVu Sans', sans-serif",
+};
+
+// Same colours as the confidence pills on the site
+const CONFIDENCE_COLOURS = {
+  'Verified': '#008000',
+  'Likely Active': '#228B22',
+  'Probably Active': '#CA8A04',
+  'Uncertain': '#EA580C',
+  'Unconfirmed': '#B91C1C',
+};
+
+const DEFAULT_GRADIENT = { angle: 135, stops: [['#FF1B6E', 0], ['#6b1240', 0.45], ['#1B1B1B', 1]] };
+
+// ---------- Gradient ----------
+// CSS linear-gradient(…) from the sheet → { angle, stops: [[colour, offset 0–1]] }.
+// Anything we can't read falls back to the brand gradient.
+const COLOUR_RE = /#[0-9a-f]{3,8}\b|rgba?\([^)]*\)|hsla?\([^)]*\)|\b[a-z]{3,20}\b/i;
+const SIDES = { top: 0, right: 90, bottom: 180, left: 270 };
+
+function parseGradient(css) {
+  const m = /linear-gradient\(\s*([\s\S]+)\)\s*;?\s*$/i.exec(String(css || '').trim());
+  if (!m) return DEFAULT_GRADIENT;
+
+  // Split on commas outside brackets
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of m[1]) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) { parts.push(current.trim()); current = ''; continue; }
+    current += ch;
+  }
+  parts.push(current.trim());
+
+  let angle = 180;
+  const first = parts[0].toLowerCase();
+  const deg = /^(-?\d+(?:\.\d+)?)deg$/.exec(first);
+  if (deg) {
+    angle = Number(deg[1]);
+    parts.shift();
+  } else if (first.startsWith('to ')) {
+    const sides = first.slice(3).split(/\s+/).map(s => SIDES[s]).filter(v => v != null);
+    if (sides.length === 1) angle = sides[0];
+    // Corners: average the two sides ("to top left" → 315)
+    else if (sides.length === 2) angle = sides.includes(0) && sides.includes(270) ? 315 : (sides[0] + sides[1]) / 2;
+    parts.shift();
+  }
+
+  const stops = [];
+  for (const part of parts) {
+    const colour = COLOUR_RE.exec(part);
+    if (!colour) continue;
+    const pct = /(-?\d+(?:\.\d+)?)%\s*$/.exec(part);
+    stops.push([colour[0], pct ? Math.min(1, Math.max(0, Number(pct[1]) / 100)) : null]);
+  }
+  if (stops.length < 2) return DEFAULT_GRADIENT;
+
+  // Stops without a position are spread evenly, as in CSS
+  stops.forEach((s, i) => { if (s[1] == null) s[1] = i / (stops.length - 1); });
+  return { angle, stops };
+}
+
+// CSS angle (0deg = to top, clockwise) → SVG gradient vector in the unit box
+function gradientVector(angle) {
+  const rad = ((angle % 360) * Math.PI) / 180;
+  const dx = Math.sin(rad) / 2;
+  const dy = -Math.cos(rad) / 2;
+  const f = n => (Math.round(n * 1000) / 1000).toString();
+  return { x1: f(0.5 - dx), y1: f(0.5 - dy), x2: f(0.5 + dx), y2: f(0.5 + dy) };
+}
+
+// ---------- Text ----------
+// No font metrics here, so widths are estimated per character
+function wrapText(text, maxChars, maxLines) {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+  for (const word of words) {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length <= maxChars) { line = next; continue; }
+    if (line) lines.push(line);
+    line = word.length > maxChars ? word.slice(0, maxChars - 1) + '…' : word;
+    if (lines.length === maxLines) break;
+  }
+  if (line && lines.length < maxLines) lines.push(line);
+  if (lines.length === maxLines && words.join(' ').length > lines.join(' ').length && !lines[maxLines - 1].endsWith('…')) {
+    const last = lines[maxLines - 1];
+    lines[maxLines - 1] = (last.length >= maxChars ? last.slice(0, maxChars - 1) : last) + '…';
+  }
+  return lines;
+}
+
+function isUrl(v) { return /^https?:\/\//i.test(v || ''); }
+
+// Logo emoji, or the club's initial when the logo cell is an image URL / empty
+function logoText(club) {
+  const logo = String(club.club_logo_emoji || '').trim();
+  if (logo && !isUrl(logo) && [...logo].length <= 4) return logo;
+  return (String(club.club_name || '?').trim()[0] || '?').toUpperCase();
+}
+
+function feeText(club) {
+  return club.pricing ? club.pricing.summary : String(club.monthly_fee_text || '').trim();
+}
+
+// ---------- SVG ----------
+function pill(x, y, label, fill, { stroke = '', textColour = '#fff' } = {}) {
+  const width = Math.round(label.length * 15 + 48);
+  return {
+    width,
+    svg: `<g transform="translate(${x} ${y})">
+    <rect width="${width}" height="52" rx="26" fill="${fill}"${stroke ? ` stroke="${stroke}" stroke-width="2"` : ''}/>
+    <text x="${width / 2}" y="34" text-anchor="middle" font-family="${BRAND.sans}" font-size="24" font-weight="600" fill="${textColour}">${escapeHtml(label)}</text>
+  </g>`,
+  };
+}
+
+function renderSvg(club, { origin = '' } = {}) {
+  const x = escapeHtml;
+  const gradient = parseGradient(club.hero_background_gradient);
+  const vec = gradientVector(gradient.angle);
+  const stops = gradient.stops
+    .map(([colour, offset]) => `<stop offset="${Math.round(offset * 1000) / 10}%" stop-color="${x(colour)}"/>`)
+    .join('');
+
+  const nameLines = wrapText(club.club_name || 'Club', 24, 2);
+  const nameSize = nameLines.length > 1 ? 68 : 80;
+  const nameY = 300 - (nameLines.length - 1) * 40;
+  const name = nameLines
+    .map((line, i) => `<tspan x="80" dy="${i ? nameSize * 1.08 : 0}">${x(line)}</tspan>`)
+    .join('');
+
+  const subtitle = [club.activity_type, club.location].filter(Boolean).join(' · ');
+  const subtitleY = nameY + (nameLines.length - 1) * nameSize * 1.08 + 64;
+
+  const pills = [];
+  let pillX = 80;
+  const fee = feeText(club);
+  if (fee) {
+    const p = pill(pillX, 470, fee.length > 28 ? fee.slice(0, 27) + '…' : fee, 'rgba(0,0,0,0.35)', { stroke: 'rgba(255,255,255,0.35)' });
+    pills.push(p.svg);
+    pillX += p.width + 16;
+  }
+  const conf = club.confidence_score;
+  if (CONFIDENCE_COLOURS[conf]) pills.push(pill(pillX, 470, conf, CONFIDENCE_COLOURS[conf]).svg);
+
+  const host = origin.replace(/^https?:\/\//, '');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  <defs>
+    <linearGradient id="bg" x1="${vec.x1}" y1="${vec.y1}" x2="${vec.x2}" y2="${vec.y2}">${stops}</linearGradient>
+    <linearGradient id="shade" x1="0" y1="0" x2="0" y2="1">
+      <stop offset="0%" stop-color="#000" stop-opacity="0.15"/>
+      <stop offset="100%" stop-color="#000" stop-opacity="0.6"/>
+    </linearGradient>
+  </defs>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="${BRAND.bg}"/>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#bg)"/>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#shade)"/>
+  <rect width="12" height="${HEIGHT}" fill="${BRAND.accent}"/>
+
+  <text x="80" y="96" font-family="${BRAND.sans}" font-size="24" font-weight="700" letter-spacing="4" fill="${BRAND.muted}">THE NBRH · CLUB DIRECTORY</text>
+
+  <circle cx="1040" cy="130" r="78" fill="rgba(0,0,0,0.35)" stroke="rgba(255,255,255,0.3)" stroke-width="2"/>
+  <text x="1040" y="156" text-anchor="middle" font-family="${BRAND.sans}, 'Noto Color Emoji', 'Apple Color Emoji', 'Segoe UI Emoji'" font-size="72" fill="${BRAND.text}">${x(logoText(club))}</text>
+
+  <text y="${nameY}" font-family="${BRAND.serif}" font-size="${nameSize}" fill="${BRAND.text}">${name}</text>
+  ${subtitle ? `<text x="80" y="${Math.round(subtitleY)}" font-family="${BRAND.sans}" font-size="34" font-weight="500" fill="${BRAND.muted}">${x(subtitle.length > 48 ? subtitle.slice(0, 47) + '…' : subtitle)}</text>` : ''}
+
+  ${pills.join('\n  ')}
+
+  ${host ? `<text x="1120" y="590" text-anchor="end" font-family="${BRAND.sans}" font-size="22" fill="${BRAND.muted}">${x(host)}</text>` : ''}
+</svg>
+`;
+}
+
+// ---------- PNG ----------
+const FONT_DIR = path.join(__dirname, 'fonts');
+const FONT_FILES = ['DejaVuSans.ttf', 'DejaVuSans-Bold.ttf'].map(f => path.join(FONT_DIR, f));
+
+let Resvg;
+function loadResvg() {
+  if (Resvg === undefined) {
+    try {
+      ({ Resvg } = require('@resvg/resvg-js'));
+    } catch (err) {
+      console.warn('PNG share cards unavailable (@resvg/resvg-js not installed):', err.message.split('\n')[0]);
+      Resvg = null;
+    }
+  }
+  return Resvg;
+}
+
+// Buffer, or null when no rasteriser is installed
+function renderPng(svg) {
+  const Renderer = loadResvg();
+  if (!Renderer) return null;
+  const resvg = new Renderer(svg, {
+    fitTo: { mode: 'width', value: WIDTH },
+    // System fonts still load where there are any, for the logo emoji
+    font: { fontFiles: FONT_FILES, loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' },
+  });
+  return resvg.render().asPng();
+}
+
+module.exports = { WIDTH, HEIGHT, parseGradient, gradientVector, wrapText, renderSvg, renderPng };
@@ -0,0 +1,165 @@
+// lib/openapi-validate.js - Check v2 requests and responses against lib/openapi.js
+//
+// Covers the parts of OpenAPI 3.0 schemas the spec uses: type, nullable,
+// enum, required, properties, additionalProperties: false, items, minimum /
+// maximum (and exclusiveMinimum), maxLength, pattern, format: date and $ref
+// into components.schemas.
+//
+//   validateRequest(spec, path, query)   → { params, errors } — query strings
+//                                          coerced to their schema types
+//   validateResponse(spec, path, status, body) → errors
+//   checkResponse(...)                   throws in development / test so a
+//                                          v2 handler can't drift from the spec
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TRUE_VALUES = ['1', 'true', 'yes'];
+const FALSE_VALUES = ['0', 'false', 'no', ''];
+
+function resolve(spec, schema) {
+  while (schema && schema.$ref) {
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    schema = spec.components.schemas[name];
+    if (!schema) throw new Error(`Unknown schema ${name}`);
+  }
+  return schema;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// ---------- Schemas ----------
+// Pushes { path, message } onto `errors` for every mismatch
+function validateValue(spec, schema, value, path, errors) {
+  schema = resolve(spec, schema);
+  if (!schema) return errors;
+
+  if (value === null) {
+    if (!schema.nullable) errors.push({ path, message: 'must not be null' });
+    return errors;
+  }
+
+  const actual = typeOf(value);
+  if (schema.type) {
+    const ok = schema.type === 'number' ? actual === 'number' || actual === 'integer' : actual === schema.type;
+    if (!ok) {
+      errors.push({ path, message: `must be ${schema.type === 'integer' ? 'an integer' : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum)) {
+      errors.push({ path, message: `must be ${schema.exclusiveMinimum ? 'more than' : 'at least'} ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: 'is not in the expected format' });
+    }
+    if (schema.format === 'date' && !DATE_RE.test(value)) {
+      errors.push({ path, message: 'must be a date (YYYY-MM-DD)' });
+    }
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => validateValue(spec, schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (actual === 'object' && (schema.properties || schema.required)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (properties[key]) validateValue(spec, properties[key], v, `${path}.${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push({ path: `${path}.${key}`, message: 'is not in the schema' });
+    }
+  }
+
+  return errors;
+}
+
+// ---------- Requests ----------
+// A query string value → the parameter's type, or undefined when it won't convert
+function coerce(schema, raw) {
+  const text = String(Array.isArray(raw) ? raw[raw.length - 1] : raw).trim();
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(text) ? parseInt(text, 10) : undefined;
+    case 'number':
+      return text !== '' && Number.isFinite(Number(text)) ? Number(text) : undefined;
+    case 'boolean': {
+      const t = text.toLowerCase();
+      if (TRUE_VALUES.includes(t)) return true;
+      return FALSE_VALUES.includes(t) ? false : undefined;
+    }
+    default:
+      return text;
+  }
+}
+
+// Query (and path) parameters of GET `path`. Unknown parameters are ignored,
+// empty ones are treated as absent.
+function validateRequest(spec, path, query = {}) {
+  const operation = spec.paths[path] && spec.paths[path].get;
+  if (!operation) throw new Error(`No GET ${path} in the spec`);
+
+  const params = {};
+  const errors = [];
+  for (const param of operation.parameters || []) {
+    const raw = query[param.name];
+    const where = `${param.in}.${param.name}`;
+    if (raw === undefined || String(raw).trim() === '') {
+      if (param.required) errors.push({ path: where, message: 'is required' });
+      continue;
+    }
+    const schema = resolve(spec, param.schema);
+    const value = coerce(schema, raw);
+    if (value === undefined) {
+      errors.push({ path: where, message: `must be ${schema.type === 'boolean' ? '1, true or yes (0, false or no)' : `a${schema.type === 'integer' ? 'n' : ''} ${schema.type}`}` });
+      continue;
+    }
+    validateValue(spec, schema, value, where, errors);
+    params[param.name] = value;
+  }
+  return { params, errors };
+}
+
+// ---------- Responses ----------
+function validateResponse(spec, path, status, body) {
+  const operation = spec.paths[path] && spec.paths[path].get;
+  const response = operation && operation.responses[status];
+  if (!response) return [{ path: 'status', message: `${status} is not documented for GET ${path}` }];
+  const media = response.content && response.content['application/json'];
+  return media ? validateValue(spec, media.schema, body, 'body', []) : [];
+}
+
+const STRICT = ['development', 'test'].includes(process.env.NODE_ENV);
+
+// Throws with every mismatch when NODE_ENV is development or test; a no-op
+// in production so a schema slip never takes the API down
+function checkResponse(spec, path, status, body) {
+  if (!STRICT) return;
+  const errors = validateResponse(spec, path, status, body);
+  if (errors.length) {
+    const list = errors.slice(0, 10).map(e => `${e.path} ${e.message}`).join('; ');
+    throw new Error(`GET ${path} ${status} does not match the OpenAPI spec: ${list}`);
+  }
+}
+
+module.exports = { validateValue, validateRequest, validateResponse, checkResponse };
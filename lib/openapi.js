@@ -0,0 +1,321 @@
+// lib/openapi.js - OpenAPI 3.0 description of the v2 public API
+//
+// Served at /api/v2/openapi.json and used by lib/openapi-validate.js to check
+// v2 requests (always) and responses (in development and tests). Keep the
+// Club schema in step with lib/club-v2.js — the response check fails loudly
+// when they drift apart.
+
+const { CONFIDENCE_LEVELS } = require('./club-schema');
+const { SORTS, MAX_LIMIT, DEFAULT_LIMIT } = require('./club-query');
+const { DAY_CODES } = require('./sessions');
+const { KINDS, PERIODS } = require('./pricing');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const string = (description, extra = {}) => ({ type: 'string', description, ...extra });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const object = (properties, description) => ({
+  type: 'object',
+  ...(description ? { description } : {}),
+  required: Object.keys(properties),
+  additionalProperties: false,
+  properties,
+});
+const array = (items, description) => ({ type: 'array', items, ...(description ? { description } : {}) });
+const date = description => nullable(string(description, { format: 'date' }));
+const url = description => nullable(string(description, { format: 'uri' }));
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: string('What went wrong'),
+      errors: array(ref('ValidationIssue'), 'One entry per invalid parameter'),
+      retry_after: { type: 'integer', description: 'Seconds to wait (429 only)' },
+    },
+  },
+
+  ValidationIssue: object({
+    path: string('Parameter or property, e.g. "query.limit"'),
+    message: string('Why it was rejected'),
+  }),
+
+  Session: object({
+    type: nullable(string('Session type, e.g. "Intervals"')),
+    day_label: nullable(string('When it runs, e.g. "Tuesday & Thursday"')),
+    time_label: nullable(string('e.g. "18:30–20:00"')),
+    days: array(string('iCalendar day code', { enum: DAY_CODES })),
+    start_time: nullable(string('HH:MM, Europe/London', { pattern: '^\\d{2}:\\d{2}$' })),
+    end_time: nullable(string('HH:MM, Europe/London', { pattern: '^\\d{2}:\\d{2}$' })),
+    recurrence: nullable(string('How often', { enum: ['weekly', 'fortnightly', 'monthly', 'once'] })),
+    week_of_month: nullable({ type: 'integer', minimum: -1, maximum: 4, description: '1–4, or -1 for the last week (monthly sessions)' }),
+    date: date('The date of a one-off session'),
+    next_date: date('Next date the session runs'),
+    booking_url: url('Booking link for this session'),
+  }),
+
+  PriceTier: object({
+    id: string('Stable within the club, e.g. "monthly", "annual", "drop_in", "student"'),
+    name: string('As shown on the club page'),
+    kind: string('What sort of price it is', { enum: KINDS }),
+    amount: nullable({ type: 'number', minimum: 0, description: '0 when free' }),
+    currency: string('ISO 4217', { pattern: '^[A-Z]{3}$' }),
+    period: string('What the amount pays for', { enum: PERIODS }),
+    monthly_equivalent: nullable({ type: 'number', minimum: 0, description: 'Per month; drop-ins counted weekly. Null for trials and one-off passes' }),
+    label: nullable(string('e.g. "£25/month", "Free"')),
+    description: nullable(string('Conditions, as the club words them')),
+  }),
+
+  ConfidenceSignal: object({
+    signal: string('Signal id, e.g. "last_verified"'),
+    label: string('Human-readable name'),
+    points: { type: 'number', minimum: 0 },
+    max: { type: 'number', minimum: 0 },
+    detail: string('Why it scored what it did'),
+  }),
+
+  Club: object({
+    code: string('Stable identifier; the page is /club/{code}'),
+    previous_codes: array(string('Old code that redirects here')),
+    name: string('Display name'),
+    url: string('Absolute URL of the club page', { format: 'uri' }),
+    activity: nullable(string('Main activity, e.g. "Running"')),
+    location: nullable(string('Area, e.g. "Hackney"')),
+    snippet: nullable(string('One-line summary')),
+    bio: nullable(string('Bio as written, in the markdown subset of lib/sanitise.js')),
+    bio_html: nullable(string('Bio rendered to safe HTML')),
+    media: object({
+      logo_emoji: nullable(string('Emoji logo')),
+      logo_url: url('Logo image'),
+      image_url: url('Cover photo'),
+      hero_background: nullable(string('Validated CSS `background` declaration for a banner')),
+      share_image_url: string('Generated 1200×630 share card', { format: 'uri' }),
+    }),
+    pricing: object({
+      currency: string('ISO 4217, for every amount', { pattern: '^[A-Z]{3}$' }),
+      summary: nullable(string('One short label, e.g. "£25/month", "From £5/session", "Free"')),
+      effective_monthly_cost: nullable({ type: 'number', minimum: 0, description: 'Cheapest regular monthly cost (membership or weekly drop-in); 0 when free, null when not listed. Used by min_price / max_price and the price sorts' }),
+      free_trial: nullable(string('Free trial details')),
+      tiers: array(ref('PriceTier')),
+      monthly_fee: nullable({ type: 'number', minimum: 0 }),
+      monthly_fee_text: nullable(string('Fee as the club words it, e.g. "Pay what you can"')),
+      per_session: nullable({ type: 'number', minimum: 0, description: 'Drop-in price' }),
+      savings: nullable({ type: 'number', minimum: 0, description: 'Monthly saving over paying per session' }),
+    }),
+    contact: object({
+      email: nullable(string('Public contact email')),
+      phone: nullable(string('Public phone number')),
+      whatsapp: nullable(string('WhatsApp number')),
+      instagram_url: url('Instagram profile'),
+      website: url('Club website'),
+      booking_url: url('Booking link'),
+      review_url: url('External review page'),
+      donate_url: url('Shop / donation link'),
+      address: nullable(string('Where sessions usually happen')),
+      postcode: nullable(string('Postcode')),
+      geo: nullable(object({
+        lat: { type: 'number', minimum: -90, maximum: 90 },
+        lng: { type: 'number', minimum: -180, maximum: 180 },
+        precision: string('"exact" pin, or the postcode district centre', { enum: ['exact', 'postcode'] }),
+      })),
+    }),
+    schedule: object({
+      sessions_per_week: { type: 'integer', minimum: 0 },
+      updated: date('When the timetable was last updated'),
+      sessions: array(ref('Session')),
+    }),
+    tags: object({
+      who: array(string('e.g. "Beginners"')),
+      vibe: array(string('e.g. "Social"')),
+      accessibility: array(string('e.g. "Wheelchair accessible"')),
+      facilities: array(string('e.g. "Showers"')),
+      audience: nullable(string('Who the club is for, as written')),
+      beginner_friendly: { type: 'boolean' },
+      wheelchair_accessible: { type: 'boolean' },
+      all_ages: { type: 'boolean' },
+    }),
+    trust: object({
+      confidence: nullable(string('How sure we are the club is active', { enum: CONFIDENCE_LEVELS })),
+      confidence_points: nullable({ type: 'number', minimum: 0 }),
+      confidence_max: nullable({ type: 'number', minimum: 0 }),
+      confidence_override: nullable(string('Label set by the directory team, overriding the computed one', { enum: CONFIDENCE_LEVELS })),
+      confidence_signals: array(ref('ConfidenceSignal')),
+      verified: { type: 'boolean', description: 'Checked by the directory team' },
+      last_verified: date('When the club was last checked'),
+      date_added: date('When the club was listed'),
+      featured: { type: 'boolean' },
+      ranking_position: nullable({ type: 'number', minimum: 1 }),
+      ranking_category: nullable(string('e.g. "Featured"')),
+      review_count: { type: 'integer', minimum: 0 },
+      average_rating: nullable({ type: 'number', minimum: 1, maximum: 5 }),
+    }),
+    community: object({
+      members: { type: 'integer', minimum: 0 },
+      member_growth: nullable(string('e.g. "+12%"')),
+      average_attendance: nullable({ type: 'number', minimum: 0 }),
+      total_teams: { type: 'integer', minimum: 0 },
+      teams: array(string('Team name')),
+      coach: nullable(object({
+        name: nullable(string('Coach name')),
+        role: nullable(string('Coach role')),
+        avatar_url: url('Coach photo'),
+      })),
+    }),
+    content: object({
+      benefits: array(object({ icon: nullable(string('Emoji')), title: nullable({ type: 'string' }), description: nullable({ type: 'string' }) })),
+      faqs: array(object({ question: nullable({ type: 'string' }), answer: nullable(string('Markdown subset')), answer_html: nullable(string('Safe HTML')) })),
+      testimonials: array(object({ author: nullable({ type: 'string' }), rating: nullable({ type: 'number', minimum: 1, maximum: 5 }), text: nullable({ type: 'string' }) })),
+    }),
+  }, 'A club. List and detail responses use this same shape.'),
+
+  SearchInfo: object({
+    relevance: nullable({ type: 'number', minimum: 0, description: 'Search score (with q)' }),
+    highlight: nullable(object({
+      field: string('Field the snippet comes from'),
+      html: string('Escaped text with matches in <mark>'),
+    })),
+    distance_km: nullable({ type: 'number', minimum: 0, description: 'Distance from `near`' }),
+  }),
+
+  Facet: array(object({ value: string('Value to filter on'), count: { type: 'integer', minimum: 0 } })),
+
+  ClubList: object({
+    data: array(ref('ClubResult')),
+    meta: object({
+      total: { type: 'integer', minimum: 0 },
+      page: { type: 'integer', minimum: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+      pages: { type: 'integer', minimum: 1 },
+      sort: string('Sort actually applied', { enum: SORTS }),
+      near: nullable(object({ lat: { type: 'number' }, lng: { type: 'number' } })),
+      radius: nullable({ type: 'number', minimum: 0 }),
+    }),
+    facets: object({
+      activity: ref('Facet'),
+      location: ref('Facet'),
+      confidence: ref('Facet'),
+      age_group: ref('Facet'),
+    }, 'Counts per value with every other filter applied'),
+  }),
+
+  ClubResponse: object({ data: ref('Club') }),
+};
+
+// A list item is a Club that may also carry `search`
+SCHEMAS.ClubResult = {
+  ...SCHEMAS.Club,
+  description: 'A club in a list. `search` is present when the query had q or near.',
+  properties: { ...SCHEMAS.Club.properties, search: ref('SearchInfo') },
+};
+
+const flag = description => ({
+  in: 'query',
+  schema: { type: 'boolean' },
+  description: `${description} (1, true or yes)`,
+});
+
+const LIST_PARAMETERS = [
+  { name: 'q', in: 'query', schema: { type: 'string', maxLength: 200 }, description: 'Ranked search over names, tags, facilities, sessions, bios and FAQs; tolerates typos' },
+  { name: 'activity', in: 'query', schema: { type: 'string' }, description: 'Exact activity (see facets.activity)' },
+  { name: 'location', in: 'query', schema: { type: 'string' }, description: 'Exact area (see facets.location)' },
+  { name: 'confidence', in: 'query', schema: { type: 'string', enum: CONFIDENCE_LEVELS }, description: 'Exact confidence label' },
+  { name: 'min_price', in: 'query', schema: { type: 'number', minimum: 0 }, description: 'Effective monthly cost at least this; free and unpriced clubs pass' },
+  { name: 'max_price', in: 'query', schema: { type: 'number', minimum: 0 }, description: 'Effective monthly cost at most this; unpriced clubs pass' },
+  { name: 'age_group', in: 'query', schema: { type: 'string' }, description: 'Substring of the "who" tags' },
+  { name: 'min_members', in: 'query', schema: { type: 'integer', minimum: 0 }, description: 'At least this many members' },
+  { name: 'beginners', ...flag('Beginner friendly only') },
+  { name: 'verified', ...flag('Verified clubs only') },
+  { name: 'featured', ...flag('Featured clubs only') },
+  { name: 'wheelchair', ...flag('Wheelchair accessible only') },
+  { name: 'all_ages', ...flag('Open to all ages only') },
+  { name: 'near', in: 'query', schema: { type: 'string', pattern: '^-?\\d+(\\.\\d+)?,\\s*-?\\d+(\\.\\d+)?$' }, description: '"lat,lng" — adds search.distance_km' },
+  { name: 'radius', in: 'query', schema: { type: 'number', exclusiveMinimum: true, minimum: 0 }, description: 'Km from `near`; clubs without coordinates are dropped' },
+  { name: 'sort', in: 'query', schema: { type: 'string', enum: SORTS, default: 'default' }, description: '"relevance" needs q and "distance" needs near; otherwise the default order is used' },
+  { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+  { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT } },
+];
+
+const json = schema => ({ 'application/json': { schema } });
+const errorResponse = description => ({ description, content: json(ref('Error')) });
+const notModified = { description: 'Not modified (If-None-Match matched the ETag)' };
+const rateLimitHeaders = {
+  'X-RateLimit-Limit': { schema: { type: 'integer' }, description: 'Requests allowed per minute' },
+  'X-RateLimit-Remaining': { schema: { type: 'integer' }, description: 'Requests left this minute' },
+  'X-RateLimit-Reset': { schema: { type: 'integer' }, description: 'Unix time the window resets' },
+};
+const unauthorised = errorResponse('Unknown API key');
+const tooManyRequests = {
+  ...errorResponse('Rate limit exceeded; wait Retry-After seconds'),
+  headers: { 'Retry-After': { schema: { type: 'integer' } }, ...rateLimitHeaders },
+};
+
+function buildSpec({ origin = '' } = {}) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'The NBRH club directory API',
+      version: '2.0.0',
+      description: 'Read-only data about the clubs listed on The NBRH. Responses carry an ETag; send If-None-Match to revalidate. '
+        + 'The v1 endpoints (/api/clubs, /api/club-data) remain for existing clients and return the older flat records. '
+        + 'API keys are optional: without one, requests are limited per IP address; with one (X-API-Key header), per key.',
+    },
+    // No key, or a key — both are accepted
+    security: [{}, { ApiKey: [] }],
+    servers: [{ url: origin || '/' }],
+    paths: {
+      '/api/v2/clubs': {
+        get: {
+          operationId: 'listClubs',
+          summary: 'Search and filter active clubs',
+          parameters: LIST_PARAMETERS,
+          responses: {
+            200: { description: 'A page of clubs', headers: rateLimitHeaders, content: json(ref('ClubList')) },
+            304: notModified,
+            400: errorResponse('Invalid query parameters'),
+            401: unauthorised,
+            404: errorResponse('No club data available'),
+            429: tooManyRequests,
+            500: errorResponse('Server error'),
+          },
+        },
+      },
+      '/api/v2/clubs/{code}': {
+        get: {
+          operationId: 'getClub',
+          summary: 'One club',
+          parameters: [{ name: 'code', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-z0-9-]+$' } }],
+          responses: {
+            200: { description: 'The club', headers: rateLimitHeaders, content: json(ref('ClubResponse')) },
+            301: {
+              description: 'Old code of a renamed club; Location has the canonical URL',
+              headers: { Location: { schema: { type: 'string' } } },
+              content: json(ref('Error')),
+            },
+            304: notModified,
+            400: errorResponse('Invalid code'),
+            401: unauthorised,
+            404: errorResponse('No club with this code'),
+            429: tooManyRequests,
+            500: errorResponse('Server error'),
+          },
+        },
+      },
+      '/api/v2/openapi.json': {
+        get: {
+          operationId: 'getOpenApi',
+          summary: 'This document',
+          security: [],
+          responses: { 200: { description: 'OpenAPI 3.0 document', content: json({ type: 'object' }) } },
+        },
+      },
+    },
+    components: {
+      schemas: SCHEMAS,
+      securitySchemes: {
+        ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Issued by the directory team; raises the rate limit' },
+      },
+    },
+  };
+}
+
+module.exports = { SCHEMAS, LIST_PARAMETERS, buildSpec };
@@ -0,0 +1,56 @@
+// lib/postcode-districts.js - Offline centroids for London postcode districts
+//
+// Approximate [lat, lng] per outward code, good to a few hundred metres —
+// enough for "near me" ordering, not for directions. Sub-districts (SW1A,
+// W1D, EC1V, WC2H…) resolve to their parent district. Clubs that need a
+// precise pin should fill the latitude / longitude columns instead.
+
+module.exports = {
+  // East
+  E1: [51.517, -0.059], E2: [51.529, -0.060], E3: [51.528, -0.021], E4: [51.623, -0.003],
+  E5: [51.559, -0.053], E6: [51.524, 0.053], E7: [51.547, 0.027], E8: [51.542, -0.065],
+  E9: [51.543, -0.043], E10: [51.568, -0.013], E11: [51.569, 0.013], E12: [51.549, 0.052],
+  E13: [51.527, 0.027], E14: [51.507, -0.018], E15: [51.541, 0.000], E16: [51.510, 0.030],
+  E17: [51.586, -0.018], E18: [51.592, 0.025], E20: [51.545, -0.016],
+
+  // City
+  EC1: [51.523, -0.101], EC2: [51.518, -0.088], EC3: [51.512, -0.080], EC4: [51.514, -0.104],
+
+  // North
+  N1: [51.538, -0.097], N2: [51.589, -0.167], N3: [51.600, -0.193], N4: [51.570, -0.103],
+  N5: [51.553, -0.098], N6: [51.571, -0.144], N7: [51.553, -0.117], N8: [51.583, -0.118],
+  N9: [51.627, -0.057], N10: [51.592, -0.144], N11: [51.614, -0.140], N12: [51.614, -0.176],
+  N13: [51.619, -0.103], N14: [51.633, -0.128], N15: [51.582, -0.081], N16: [51.563, -0.076],
+  N17: [51.597, -0.070], N18: [51.614, -0.066], N19: [51.565, -0.132], N20: [51.630, -0.172],
+  N21: [51.637, -0.100], N22: [51.600, -0.110],
+
+  // North West
+  NW1: [51.534, -0.147], NW2: [51.560, -0.218], NW3: [51.553, -0.175], NW4: [51.588, -0.223],
+  NW5: [51.553, -0.142], NW6: [51.543, -0.197], NW7: [51.615, -0.238], NW8: [51.532, -0.172],
+  NW9: [51.586, -0.258], NW10: [51.542, -0.245], NW11: [51.577, -0.197],
+
+  // South East
+  SE1: [51.499, -0.091], SE2: [51.489, 0.118], SE3: [51.469, 0.018], SE4: [51.460, -0.035],
+  SE5: [51.474, -0.090], SE6: [51.437, -0.018], SE7: [51.484, 0.037], SE8: [51.479, -0.028],
+  SE9: [51.443, 0.056], SE10: [51.482, 0.002], SE11: [51.489, -0.110], SE12: [51.445, 0.023],
+  SE13: [51.459, -0.010], SE14: [51.475, -0.044], SE15: [51.469, -0.066], SE16: [51.496, -0.050],
+  SE17: [51.488, -0.093], SE18: [51.484, 0.075], SE19: [51.418, -0.085], SE20: [51.412, -0.058],
+  SE21: [51.441, -0.088], SE22: [51.454, -0.071], SE23: [51.443, -0.049], SE24: [51.453, -0.099],
+  SE25: [51.398, -0.075], SE26: [51.427, -0.056], SE27: [51.431, -0.101], SE28: [51.505, 0.112],
+
+  // South West
+  SW1: [51.497, -0.138], SW2: [51.450, -0.119], SW3: [51.489, -0.167], SW4: [51.462, -0.141],
+  SW5: [51.491, -0.190], SW6: [51.475, -0.200], SW7: [51.496, -0.175], SW8: [51.477, -0.128],
+  SW9: [51.468, -0.113], SW10: [51.484, -0.183], SW11: [51.465, -0.163], SW12: [51.445, -0.150],
+  SW13: [51.474, -0.244], SW14: [51.465, -0.266], SW15: [51.456, -0.223], SW16: [51.421, -0.127],
+  SW17: [51.429, -0.164], SW18: [51.453, -0.193], SW19: [51.421, -0.206], SW20: [51.410, -0.226],
+
+  // West
+  W1: [51.515, -0.145], W2: [51.514, -0.182], W3: [51.510, -0.267], W4: [51.490, -0.262],
+  W5: [51.512, -0.302], W6: [51.493, -0.228], W7: [51.510, -0.333], W8: [51.500, -0.193],
+  W9: [51.526, -0.193], W10: [51.521, -0.213], W11: [51.513, -0.205], W12: [51.508, -0.233],
+  W13: [51.512, -0.320], W14: [51.494, -0.210],
+
+  // West Central
+  WC1: [51.522, -0.121], WC2: [51.512, -0.123],
+};
@@ -0,0 +1,265 @@
+// lib/pricing.js - Named price tiers per club and a normalised effective monthly cost
+//
+// Tiers are built once per parsed club (lib/club-schema.js) from the price
+// columns of the sheet:
+//
+//   monthly_fee_amount      monthly membership (monthly_fee_text describes it)
+//   annual_fee_amount       annual membership
+//   pay_per_session_price   drop-in, per session
+//   concession_fee_amount   junior / concession membership, per month
+//                           (concession_fee_text says who qualifies)
+//   free_trial              "yes", or how the trial works ("First two sessions free")
+//   price_tiers             any other tiers, one per line or separated by ";":
+//                           "Name | £amount | period" — "Student | £15 | month"
+//   currency                ISO 4217 code for every amount (default GBP)
+//
+// Clubs that only have monthly_fee_text ("Free", "£5 a session") get their
+// tier from that text here, so nothing downstream parses prices out of text.
+//
+// effective_monthly_cost is what a regular adult attender pays per month on
+// the cheapest membership or drop-in tier (a drop-in is counted weekly). It
+// is 0 for free clubs and null when the club hasn't said — "varies" is not
+// free. Filters and price sorting use it (lib/club-query.js).
+
+const DEFAULT_CURRENCY = 'GBP';
+const KINDS = ['membership', 'drop_in', 'concession', 'trial'];
+const PERIODS = ['week', 'month', 'quarter', 'year', 'session', 'once'];
+
+// A regular attender comes once a week
+const SESSIONS_PER_MONTH = 52 / 12;
+const MONTHS_PER_PERIOD = { week: 12 / 52, month: 1, quarter: 3, year: 12 };
+
+const SYMBOLS = { GBP: '£', USD: '$', EUR: '€' };
+const PERIOD_LABELS = { week: '/week', month: '/month', quarter: '/quarter', year: '/year', session: '/session', once: '' };
+
+// ---------- Parsing ----------
+function positive(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.round(n * 100) / 100 : null;
+}
+
+function parseCurrency(v) {
+  const code = String(v || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : DEFAULT_CURRENCY;
+}
+
+// "per month", "pcm", "a year", "/session" → a PERIODS value, or null
+function parsePeriod(text) {
+  const t = String(text || '').toLowerCase();
+  if (/\b(week|weekly|wk|pw)\b/.test(t)) return 'week';
+  if (/\b(month|monthly|mo|pcm|pm)\b/.test(t)) return 'month';
+  if (/\b(quarter|quarterly)\b/.test(t)) return 'quarter';
+  if (/\b(year|yearly|annual|annually|yr|pa)\b/.test(t)) return 'year';
+  if (/\b(session|sessions|class|visit|drop-?in|game|match)\b/.test(t)) return 'session';
+  if (/\b(once|one-?off|pass|block)\b/.test(t)) return 'once';
+  return null;
+}
+
+// "£15", "15.50", "free" → number (0 for free), or null
+function parseAmount(text) {
+  const t = String(text || '').trim().toLowerCase();
+  if (/^free\b/.test(t)) return 0;
+  const m = /(\d+(?:\.\d{1,2})?)/.exec(t.replace(/,(?=\d{3})/g, ''));
+  return m ? Math.round(Number(m[1]) * 100) / 100 : null;
+}
+
+function kindFor(name, period) {
+  if (/\b(trial|taster|first (session|class)s? free)\b/i.test(name)) return 'trial';
+  if (/\b(junior|student|concession|senior|child|children|kid|kids|youth|under|u\d+|unwaged|nhs|family)\b/i.test(name)) return 'concession';
+  return period === 'session' || /\b(drop-?in|pass|pack|sessions?|class(es)?)\b/i.test(name) ? 'drop_in' : 'membership';
+}
+
+function slug(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+}
+
+// "Name | £amount | period" lines from price_tiers → tier specs (bad lines are skipped)
+function parseTierList(text) {
+  return String(text || '')
+    .split(/[\n;]+/)
+    .map(line => line.split('|').map(s => s.trim()))
+    .filter(([name, amount]) => name && amount !== undefined && parseAmount(amount) !== null)
+    .map(([name, amount, period, description]) => {
+      const p = parsePeriod(period) || parsePeriod(amount) || 'month';
+      return { name, amount: parseAmount(amount), period: p, kind: kindFor(name, p), description: description || null };
+    });
+}
+
+// Free-text fee only ("Free", "£5 per session", "£25/month") → a tier spec, or null
+function tierFromFeeText(text) {
+  const t = String(text || '').trim();
+  if (!t) return null;
+  const priced = /[£$€]\s*\d/.test(t);
+  if (!priced && /^free\b|\bfree of charge\b|\bno (fee|charge|cost)\b/i.test(t)) {
+    return { name: 'Free', amount: 0, period: 'month', kind: 'membership', description: t };
+  }
+  if (!priced) return null;
+  const period = parsePeriod(t) || 'month';
+  return { name: period === 'session' ? 'Drop-in' : 'Membership', amount: parseAmount(t.replace(/^[^£$€]*/, '')), period, kind: kindFor('', period), description: t };
+}
+
+// ---------- Tiers ----------
+function monthlyEquivalent(tier) {
+  if (tier.amount === null || tier.kind === 'trial') return null;
+  if (tier.period === 'session') return Math.round(tier.amount * SESSIONS_PER_MONTH * 100) / 100;
+  const months = MONTHS_PER_PERIOD[tier.period];
+  return months ? Math.round((tier.amount / months) * 100) / 100 : null;
+}
+
+function makeTier(spec, currency, used) {
+  let id = spec.id || slug(spec.name) || spec.kind;
+  for (let n = 2; used.has(id); n++) id = `${spec.id || slug(spec.name)}_${n}`;
+  used.add(id);
+  const tier = {
+    id,
+    name: spec.name,
+    kind: spec.kind,
+    amount: spec.amount,
+    currency,
+    period: spec.period,
+    description: spec.description || null,
+  };
+  tier.monthly_equivalent = monthlyEquivalent(tier);
+  tier.label = formatTier(tier);
+  return tier;
+}
+
+function describeTrial(value) {
+  const t = String(value || '').trim();
+  if (!t || /^(no|false|0|n)$/i.test(t)) return null;
+  return /^(yes|true|1|y)$/i.test(t) ? 'Free trial available' : t;
+}
+
+// { currency, tiers, effective_monthly_cost, is_free, free_trial, summary } for a parsed club
+function buildPricing(club) {
+  const currency = parseCurrency(club.currency);
+  const specs = [];
+
+  const monthly = positive(club.monthly_fee_amount);
+  if (monthly !== null) {
+    specs.push({ id: 'monthly', name: 'Monthly membership', kind: 'membership', amount: monthly, period: 'month', description: club.monthly_fee_text || null });
+  }
+  const annual = positive(club.annual_fee_amount);
+  if (annual !== null) specs.push({ id: 'annual', name: 'Annual membership', kind: 'membership', amount: annual, period: 'year' });
+  const dropIn = positive(club.pay_per_session_price);
+  if (dropIn !== null) specs.push({ id: 'drop_in', name: 'Drop-in', kind: 'drop_in', amount: dropIn, period: 'session' });
+  const concession = positive(club.concession_fee_amount);
+  if (concession !== null) {
+    specs.push({ id: 'concession', name: 'Junior / concession', kind: 'concession', amount: concession, period: 'month', description: club.concession_fee_text || null });
+  }
+  specs.push(...parseTierList(club.price_tiers));
+
+  // Only the fee text to go on
+  if (!specs.some(s => s.kind === 'membership' || s.kind === 'drop_in')) {
+    const fromText = tierFromFeeText(club.monthly_fee_text);
+    if (fromText && fromText.amount !== null) specs.push(fromText);
+  }
+
+  const freeTrial = describeTrial(club.free_trial);
+  if (freeTrial && !specs.some(s => s.kind === 'trial')) {
+    specs.push({ id: 'trial', name: 'Free trial', kind: 'trial', amount: 0, period: 'once', description: freeTrial === 'Free trial available' ? null : freeTrial });
+  }
+
+  const used = new Set();
+  const tiers = specs.map(s => makeTier(s, currency, used));
+  const regular = tiers
+    .filter(t => (t.kind === 'membership' || t.kind === 'drop_in') && t.monthly_equivalent !== null)
+    .map(t => t.monthly_equivalent);
+  const effective = regular.length ? Math.min(...regular) : null;
+
+  const pricing = {
+    currency,
+    tiers,
+    effective_monthly_cost: effective,
+    is_free: effective === 0,
+    free_trial: freeTrial || (tiers.some(t => t.kind === 'trial') ? 'Free trial available' : null),
+  };
+  pricing.summary = priceSummary(pricing, club.monthly_fee_text);
+  return pricing;
+}
+
+// ---------- Display ----------
+// 25 → "£25", 7.5 → "£7.50", 0 → "Free"
+function formatPrice(amount, currency = DEFAULT_CURRENCY) {
+  if (amount === null || amount === undefined) return '';
+  if (amount === 0) return 'Free';
+  const value = amount % 1 ? amount.toFixed(2) : String(amount);
+  return SYMBOLS[currency] ? `${SYMBOLS[currency]}${value}` : `${value} ${currency}`;
+}
+
+// "£25/month", "£5/session", "Free"
+function formatTier(tier) {
+  if (tier.amount === null) return '';
+  if (tier.amount === 0) return 'Free';
+  return `${formatPrice(tier.amount, tier.currency)}${PERIOD_LABELS[tier.period] || ''}`;
+}
+
+// One short label for cards and share images: the monthly membership when
+// there is one, else the cheapest regular tier, else the club's own wording
+function priceSummary(pricing, feeText = '') {
+  if (pricing.is_free) return 'Free';
+  const regular = pricing.tiers.filter(t => (t.kind === 'membership' || t.kind === 'drop_in') && t.amount !== null);
+  const monthly = regular.find(t => t.period === 'month');
+  if (monthly) return formatTier(monthly);
+  const cheapest = regular
+    .filter(t => t.monthly_equivalent !== null)
+    .sort((a, b) => a.monthly_equivalent - b.monthly_equivalent)[0] || regular[0];
+  if (cheapest) return `${regular.length > 1 ? 'From ' : ''}${formatTier(cheapest)}`;
+  return String(feeText || '').trim();
+}
+
+// ---------- schema.org ----------
+const UNIT_CODES = { week: 'WEE', month: 'MON', quarter: 'QAN', year: 'ANN', session: 'C62' };
+
+// One Offer per tier, for the club's JSON-LD
+function toOffers(pricing, { url = '' } = {}) {
+  return pricing.tiers
+    .filter(t => t.amount !== null)
+    .map(t => {
+      const offer = {
+        '@type': 'Offer',
+        name: t.name,
+        price: t.amount.toFixed(2),
+        priceCurrency: t.currency,
+      };
+      if (t.description) offer.description = t.description;
+      if (url) offer.url = url;
+      if (t.kind === 'concession') offer.eligibleCustomerType = 'Concession';
+      if (UNIT_CODES[t.period]) {
+        offer.priceSpecification = {
+          '@type': 'UnitPriceSpecification',
+          price: t.amount.toFixed(2),
+          priceCurrency: t.currency,
+          unitCode: UNIT_CODES[t.period],
+          ...(t.period === 'session' ? { unitText: 'session' } : { billingDuration: 1, unitText: t.period }),
+        };
+      }
+      return offer;
+    });
+}
+
+// schema.org priceRange: "Free", "£25/month", or "£5/session – £240/year"
+function priceRange(pricing) {
+  if (pricing.is_free) return 'Free';
+  const priced = pricing.tiers.filter(t => t.amount && t.kind !== 'trial').sort((a, b) => a.amount - b.amount);
+  if (!priced.length) return '';
+  const low = formatTier(priced[0]);
+  const high = formatTier(priced[priced.length - 1]);
+  return low === high ? low : `${low} – ${high}`;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  KINDS,
+  PERIODS,
+  SESSIONS_PER_MONTH,
+  parsePeriod,
+  parseAmount,
+  parseTierList,
+  buildPricing,
+  formatPrice,
+  formatTier,
+  priceSummary,
+  toOffers,
+  priceRange,
+};
@@ -0,0 +1,59 @@
+// lib/rate-limit.js - Small in-memory fixed-window rate limiter
+//
+// Counts live in the function instance, so a burst spread over several cold
+// instances can get through — good enough to stop one client hammering a
+// form, not a substitute for an edge rule.
+
+const crypto = require('crypto');
+
+// Caller address as the platform saw it: Vercel's X-Real-IP, else the last
+// X-Forwarded-For hop (the one our edge appended — earlier hops are whatever
+// the client sent), else the socket
+function clientIp(req) {
+  const headers = (req && req.headers) || {};
+  const real = String(headers['x-real-ip'] || '').trim();
+  if (real) return real;
+  const hops = String(headers['x-forwarded-for'] || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (hops.length) return hops[hops.length - 1];
+  return (req && req.socket && req.socket.remoteAddress) || '';
+}
+
+// Salted, truncated hash for storing alongside records without keeping the address
+function hashIp(ip, salt = '') {
+  if (!ip) return '';
+  return crypto.createHash('sha256').update(`${salt}:${ip}`).digest('base64url').slice(0, 16);
+}
+
+// hit(key) → { ok, remaining, retryAfter } (retryAfter in seconds)
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();   // key → { start, count }
+
+  function prune(now) {
+    for (const [key, w] of windows) {
+      if (now - w.start >= windowMs) windows.delete(key);
+    }
+  }
+
+  return {
+    hit(key, now = Date.now()) {
+      if (windows.size > 5000) prune(now);
+      let w = windows.get(key);
+      if (!w || now - w.start >= windowMs) {
+        w = { start: now, count: 0 };
+        windows.set(key, w);
+      }
+      w.count++;
+      return {
+        ok: w.count <= limit,
+        remaining: Math.max(0, limit - w.count),
+        retryAfter: Math.ceil((w.start + windowMs - now) / 1000),
+      };
+    },
+
+    reset() {
+      windows.clear();
+    },
+  };
+}
+
+module.exports = { clientIp, hashIp, createRateLimiter };
@@ -0,0 +1,210 @@
+// lib/reviews.js - Visitor reviews: validation, moderation-aware reads and per-club stats
+//
+// Reviews are written to the review queue (lib/submission-store, REVIEWS_*)
+// as `pending` and only shown once a moderator approves them. The sheet's
+// testimonial columns are still read and count as approved reviews, listed
+// after visitor reviews.
+//
+// Approved reviews are cached in-process for the same TTL as the club list;
+// if the store is unconfigured or fails, pages fall back to the sheet
+// testimonials instead of erroring.
+
+const crypto = require('crypto');
+const { getReviewStore } = require('./submission-store');
+const { resolveClubCode } = require('./club-codes');
+const { TTL_MS } = require('./club-cache');
+const { applyConfidence } = require('./confidence');
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+const MIN_TEXT_LENGTH = 20;
+const MAX_TEXT_LENGTH = 2000;
+const MIN_AUTHOR_LENGTH = 2;
+const MAX_AUTHOR_LENGTH = 60;
+const DEFAULT_PAGE_SIZE = 5;
+const MAX_PAGE_SIZE = 50;
+
+function str(v) {
+  return v == null ? '' : String(v).trim();
+}
+
+// ---------- Validation ----------
+// Returns { errors, review }; `review` is the record to queue
+function validateReview(body, clubs = [], { ipHash = '' } = {}) {
+  const errors = [];
+  const error = (field, message) => errors.push({ field, message });
+  const input = body && typeof body === 'object' ? body : {};
+
+  const code = str(input.club_code).toLowerCase();
+  const club = code ? resolveClubCode(clubs, code).club : null;
+  if (!code) error('club_code', 'club_code is required');
+  else if (!club) error('club_code', `No listed club has the code "${code}"`);
+
+  const rating = Number(str(input.rating));
+  if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+    error('rating', `Rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}`);
+  }
+
+  const text = str(input.text).replace(/\r\n?/g, '\n');
+  if (text.length < MIN_TEXT_LENGTH) error('text', `Review must be at least ${MIN_TEXT_LENGTH} characters`);
+  else if (text.length > MAX_TEXT_LENGTH) error('text', `Review must be at most ${MAX_TEXT_LENGTH} characters`);
+
+  const author = str(input.author).replace(/\s+/g, ' ');
+  if (author.length < MIN_AUTHOR_LENGTH) error('author', 'Your name is required');
+  else if (author.length > MAX_AUTHOR_LENGTH) error('author', `Name must be at most ${MAX_AUTHOR_LENGTH} characters`);
+
+  if (errors.length) return { errors, review: null };
+
+  return {
+    errors,
+    review: {
+      review_id: crypto.randomUUID(),
+      received_at: new Date().toISOString(),
+      status: 'pending',
+      club_code: club.club_code,
+      club_name: club.club_name,
+      rating,
+      author,
+      text,
+      ip_hash: ipHash,
+      reviewed_at: '',
+      reviewed_by: '',
+      review_note: '',
+    },
+  };
+}
+
+// ---------- Public shape ----------
+function publicReview(r) {
+  return {
+    review_id: r.review_id,
+    author: r.author,
+    rating: Number(r.rating) || null,
+    text: r.text,
+    received_at: r.received_at || null,
+    source: 'visitor',
+  };
+}
+
+// The sheet's testimonial slots, as reviews
+function sheetReviews(club) {
+  return (club.testimonials || []).map((t, i) => ({
+    review_id: `sheet-${club.club_code}-${i + 1}`,
+    author: t.author,
+    rating: Number(t.rating) || null,
+    text: t.text,
+    received_at: null,
+    source: 'sheet',
+  }));
+}
+
+// ---------- Approved reviews (cached) ----------
+let entry = null;      // { byCode: Map<club_code, review[]>, fetchedAt }
+let inFlight = null;
+
+async function fetchApproved() {
+  const byCode = new Map();
+  const store = getReviewStore();
+  if (!store.checkConfig().length) {
+    const records = (await store.list())
+      .filter(r => r.status === 'approved')
+      .sort((a, b) => String(b.received_at).localeCompare(String(a.received_at)));
+    for (const r of records) {
+      if (!byCode.has(r.club_code)) byCode.set(r.club_code, []);
+      byCode.get(r.club_code).push(publicReview(r));
+    }
+  }
+  return { byCode, fetchedAt: Date.now() };
+}
+
+// Resolves to a Map of club_code → approved visitor reviews, newest first.
+// Never rejects: store failures serve the last good copy (or nothing).
+async function getApprovedReviews({ fresh = false } = {}) {
+  if (!fresh && entry && Date.now() - entry.fetchedAt < TTL_MS) return entry.byCode;
+
+  if (!inFlight) {
+    inFlight = fetchApproved()
+      .then(next => { entry = next; return next; })
+      .finally(() => { inFlight = null; });
+  }
+
+  try {
+    return (await inFlight).byCode;
+  } catch (err) {
+    console.warn('Review store failed, serving last good copy:', err.message);
+    return entry ? entry.byCode : new Map();
+  }
+}
+
+function clearReviewCache() {
+  entry = null;
+}
+
+// ---------- Per club ----------
+// Visitor reviews (including ones filed under an old code) then sheet testimonials
+function reviewsFor(club, approved) {
+  const codes = [club.club_code, ...(club.previous_codes || [])];
+  const visitor = codes.flatMap(code => approved.get(code) || []);
+  return [...visitor, ...sheetReviews(club)];
+}
+
+function reviewStats(list) {
+  const rated = list.filter(r => r.rating);
+  const average = rated.length ? rated.reduce((sum, r) => sum + r.rating, 0) / rated.length : null;
+  return {
+    review_count: list.length,
+    average_rating: average == null ? null : Math.round(average * 10) / 10,
+  };
+}
+
+function pageReviews(list, query = {}) {
+  const int = (v, fallback) => {
+    const n = parseInt(str(v), 10);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+  const limit = Math.min(int(query.limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const pages = Math.max(1, Math.ceil(list.length / limit));
+  const page = Math.min(int(query.page, 1), pages);
+  return {
+    reviews: list.slice((page - 1) * limit, page * limit),
+    total: list.length,
+    page,
+    limit,
+    pages,
+  };
+}
+
+// Copy of a club with review_count / average_rating from `approved`; recent
+// visitor reviews also count towards the computed confidence label
+function withReviewStats(club, approved) {
+  const list = reviewsFor(club, approved);
+  const copy = { ...club, ...reviewStats(list) };
+  const visitor = list.filter(r => r.source === 'visitor');
+  return visitor.length ? applyConfidence(copy, { reviews: visitor }) : copy;
+}
+
+// Copy with stats plus the first page of reviews, for the club page / club-data
+function withFirstReviewPage(club, approved) {
+  const first = pageReviews(reviewsFor(club, approved));
+  return { ...withReviewStats(club, approved), reviews: first.reviews, review_pages: first.pages };
+}
+
+module.exports = {
+  STATUSES,
+  MIN_RATING,
+  MAX_RATING,
+  MIN_TEXT_LENGTH,
+  MAX_TEXT_LENGTH,
+  MAX_AUTHOR_LENGTH,
+  DEFAULT_PAGE_SIZE,
+  validateReview,
+  publicReview,
+  getApprovedReviews,
+  clearReviewCache,
+  reviewsFor,
+  reviewStats,
+  pageReviews,
+  withReviewStats,
+  withFirstReviewPage,
+};
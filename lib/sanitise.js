@@ -0,0 +1,204 @@
+// lib/sanitise.js - Safe versions of sheet content that ends up in markup, URLs or CSS
+//
+// Anyone who can edit the sheet can put anything in a cell, so every club
+// passes through sanitiseClub() when it is parsed (lib/club-schema.js):
+//
+//   URL fields        http(s) only, otherwise '' — see URL_FIELDS
+//   gradient          rebuilt from recognised tokens, otherwise ''
+//   hero_background   ready-to-use CSS for the club hero (image wins over gradient)
+//   club_bio_html     the bio as a small markdown subset (see markdown())
+//   faqs[].answer_html
+//
+// Plain text fields stay as written; renderers escape them for wherever they
+// put them (js/club-render.js, the index cards, lib/embed.js).
+
+const { escapeHtml } = require('./html-template');
+
+const URL_FIELDS = ['page_url', 'booking_url', 'website', 'review_link', 'shop_link', 'image_url'];
+const WEB_SCHEMES = ['http:', 'https:'];
+const LINK_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+// ---------- URLs ----------
+// The normalised URL when it parses as absolute with an allowed scheme, else ''.
+// href rather than the cell text: it percent-encodes quotes and spaces, so a
+// value can't break out of the attribute it is written into.
+function safeUrl(value, { schemes = WEB_SCHEMES } = {}) {
+  const text = String(value == null ? '' : value).trim();
+  if (!text) return '';
+  try {
+    const url = new URL(text);
+    return schemes.includes(url.protocol) ? url.href : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+// ---------- CSS ----------
+// A gradient is only ever rebuilt from these tokens, so nothing else in the
+// cell (url(), expression(), a stray ";" or "}") can reach a style attribute
+const NUMBER = '-?(?:\\d+(?:\\.\\d+)?|\\.\\d+)';
+const HEX_RE = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FUNC_COLOUR_RE = new RegExp(`^(rgba?|hsla?)\\(\\s*(${NUMBER}(?:%|deg)?(?:\\s*[,/]?\\s*${NUMBER}%?){2,3})\\s*\\)$`, 'i');
+const NAMED_RE = /^[a-z]{3,20}$/i;
+const LENGTH_RE = new RegExp(`^${NUMBER}(?:%|px|em|rem)?$`, 'i');
+const ANGLE_RE = new RegExp(`^${NUMBER}(?:deg|turn|rad)$`, 'i');
+const SIDE_RE = /^to (?:top|bottom|left|right)(?: (?:top|bottom|left|right))?$/i;
+const SHAPE_RE = /^(?:circle|ellipse)?\s*(?:at (?:center|top|bottom|left|right)(?: (?:center|top|bottom|left|right))?)?$/i;
+
+function safeColour(token) {
+  const t = String(token || '').trim();
+  if (HEX_RE.test(t) || NAMED_RE.test(t)) return t.toLowerCase();
+  const m = FUNC_COLOUR_RE.exec(t);
+  return m ? `${m[1].toLowerCase()}(${m[2].replace(/\s+/g, ' ')})` : '';
+}
+
+// Split on commas outside brackets
+function splitArgs(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (depth < 0) return null;
+    if (ch === ',' && depth === 0) { parts.push(current.trim()); current = ''; continue; }
+    current += ch;
+  }
+  parts.push(current.trim());
+  return depth === 0 ? parts : null;
+}
+
+// "#ff1b6e 40%" → the same, rebuilt; '' when any part isn't recognised
+function safeStop(part) {
+  const m = /^(\S+\([^)]*\)|\S+)((?:\s+\S+){0,2})$/.exec(part);
+  if (!m) return '';
+  const colour = safeColour(m[1]);
+  const positions = m[2].trim() ? m[2].trim().split(/\s+/) : [];
+  if (!colour || !positions.every(p => LENGTH_RE.test(p))) return '';
+  return [colour, ...positions].join(' ');
+}
+
+// linear-/radial-gradient(…) or a single colour → normalised CSS, or ''
+function safeGradient(css) {
+  const text = String(css || '').trim().replace(/;+$/, '').trim();
+  if (!text) return '';
+  const colour = safeColour(text);
+  if (colour) return colour;
+
+  const m = /^(linear|radial)-gradient\(([\s\S]*)\)$/i.exec(text);
+  if (!m) return '';
+  const kind = m[1].toLowerCase();
+  const parts = splitArgs(m[2]);
+  if (!parts || parts.some(p => !p)) return '';
+
+  const args = [];
+  const first = parts[0].replace(/\s+/g, ' ');
+  if (kind === 'linear' && (ANGLE_RE.test(first) || SIDE_RE.test(first))) {
+    args.push(first.toLowerCase());
+    parts.shift();
+  } else if (kind === 'radial' && !safeStop(first) && SHAPE_RE.test(first)) {
+    args.push(first.toLowerCase());
+    parts.shift();
+  }
+
+  const stops = parts.map(safeStop);
+  if (stops.length < 2 || stops.some(s => !s)) return '';
+  return `${kind}-gradient(${[...args, ...stops].join(', ')})`;
+}
+
+// Inline CSS for the club hero: darkened photo, else the gradient, else ''
+function heroBackground(club) {
+  const image = safeUrl(club.image_url);
+  if (image) {
+    const url = image.replace(/["\\\n\r]/g, encodeURIComponent);
+    return `background: linear-gradient(rgba(0,0,0,0.55),rgba(0,0,0,0.55)), url("${url}") center center / cover no-repeat`;
+  }
+  const gradient = safeGradient(club.hero_background_gradient);
+  return gradient ? `background: ${gradient}` : '';
+}
+
+// ---------- Markdown ----------
+// The subset clubs need for bios and FAQ answers:
+//   **bold**, *italic* / _italic_, [label](https://…), "- " or "* " lists,
+//   blank line = new paragraph, single line break kept.
+// Text is escaped before any markup is added; links must pass safeUrl().
+const LINK_RE = /\[([^\]\n]+)\]\(([^()\s]+)\)/g;
+const LIST_ITEM_RE = /^\s*[-*•]\s+/;
+
+function emphasis(escaped) {
+  return escaped
+    .replace(/\*\*(?=\S)([^*]+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w*])\*(?=\S)([^*]+?)\*(?![\w*])/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_(?=\S)([^_]+?)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+function inline(text) {
+  let out = '';
+  let last = 0;
+  for (const m of text.matchAll(LINK_RE)) {
+    out += emphasis(escapeHtml(text.slice(last, m.index)));
+    const href = safeUrl(m[2], { schemes: LINK_SCHEMES });
+    const label = emphasis(escapeHtml(m[1]));
+    out += href ? `<a href="${escapeHtml(href)}" rel="nofollow noopener">${label}</a>` : label;
+    last = m.index + m[0].length;
+  }
+  return out + emphasis(escapeHtml(text.slice(last)));
+}
+
+function markdown(text) {
+  const source = String(text == null ? '' : text).replace(/\r\n?/g, '\n').trim();
+  if (!source) return '';
+
+  const html = [];
+  for (const block of source.split(/\n\s*\n/)) {
+    // Runs of list items and of ordinary lines, in order
+    let run = null;
+    const runs = [];
+    for (const line of block.split('\n')) {
+      const list = LIST_ITEM_RE.test(line);
+      if (!run || run.list !== list) runs.push(run = { list, lines: [] });
+      run.lines.push(line.replace(LIST_ITEM_RE, '').trim());
+    }
+    for (const r of runs) {
+      html.push(r.list
+        ? `<ul>${r.lines.map(l => `<li>${inline(l)}</li>`).join('')}</ul>`
+        : `<p>${r.lines.map(inline).join('<br>')}</p>`);
+    }
+  }
+  return html.join('');
+}
+
+// The same text with the markup taken out, for meta descriptions and JSON-LD
+function markdownToText(text) {
+  return String(text == null ? '' : text)
+    .replace(LINK_RE, '$1')
+    .replace(/^\s*[-*•]\s+/gm, '')
+    .replace(/\*\*(?=\S)([^*]+?)\*\*/g, '$1')
+    .replace(/(^|[^\w*])\*(?=\S)([^*]+?)\*(?![\w*])/g, '$1$2')
+    .replace(/(^|[^\w])_(?=\S)([^_]+?)_(?!\w)/g, '$1$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// ---------- Club ----------
+// Mutates and returns the parsed club
+function sanitiseClub(club) {
+  for (const key of URL_FIELDS) club[key] = safeUrl(club[key]);
+  club.hero_background_gradient = safeGradient(club.hero_background_gradient);
+  club.hero_background = heroBackground(club);
+  club.club_bio_html = markdown(club.club_bio);
+  for (const session of club.sessions || []) session.url = safeUrl(session.url);
+  for (const faq of club.faqs || []) faq.answer_html = markdown(faq.answer);
+  return club;
+}
+
+module.exports = {
+  URL_FIELDS,
+  safeUrl,
+  safeColour,
+  safeGradient,
+  heroBackground,
+  markdown,
+  markdownToText,
+  sanitiseClub,
+};
@@ -0,0 +1,272 @@
+// lib/search.js - Ranked, typo-tolerant text search over parsed clubs
+//
+// searchIndex(clubs) builds (once per parsed club list) a small inverted
+// index of stemmed terms per field; searchClubs(index, q) scores every club
+// against a query:
+//
+//   - words are lower-cased, accents dropped, stop words removed and stemmed
+//     ("Running", "runs" → run)
+//   - each query term also matches its synonyms (ACTIVITY_SYNONYMS), near
+//     misspellings ("footbal" → football) and, for the last term, prefixes
+//   - a club matches when every query term matches some field; the score is
+//     the sum over terms of the best field weight × how close the match was
+//
+// FIELDS sets the weights: name above activity and tags, tags above the bio.
+
+const { markdownToText } = require('./sanitise');
+const { escapeHtml } = require('./html-template');
+
+// [name, weight, club → text]
+const FIELDS = [
+  ['name', 10, c => c.club_name],
+  ['activity', 8, c => c.activity_type],
+  ['tags', 6, c => [c.tags_who, c.tags_vibe, c.tags_accessibility].filter(Boolean).join(', ')],
+  ['location', 5, c => [c.location, c.address].filter(Boolean).join(', ')],
+  ['facilities', 5, c => c.facilities_list],
+  ['audience', 4, c => c.audience],
+  ['snippet', 3, c => c.club_snippet],
+  ['sessions', 2, c => (c.sessions || []).map(s => [s.type, s.day_label].filter(Boolean).join(' ')).join(' · ')],
+  ['bio', 2, c => markdownToText(c.club_bio)],
+  ['faqs', 1, c => (c.faqs || []).map(f => `${f.question} ${markdownToText(f.answer)}`).join(' · ')],
+];
+// Already on every card, so never used for the highlighted snippet
+const TITLE_FIELDS = ['name', 'activity', 'location'];
+
+// How much a term counts when it matched other than exactly
+const MATCH_WEIGHTS = { exact: 1, synonym: 0.85, prefix: 0.6, typo1: 0.7, typo2: 0.45 };
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'has', 'have', 'i', 'in',
+  'is', 'it', 'me', 'my', 'near', 'of', 'on', 'or', 'the', 'to', 'we', 'with', 'club', 'clubs',
+]);
+
+// Words in a group match each other; stemmed when the module loads
+const ACTIVITY_SYNONYMS = [
+  ['football', 'soccer', 'footy', 'futsal'],
+  ['running', 'runner', 'jogging', 'jogger', 'parkrun'],
+  ['cycling', 'cycle', 'cyclist', 'bike', 'biking', 'bicycle'],
+  ['swimming', 'swimmer', 'swim'],
+  ['climbing', 'climber', 'bouldering', 'boulder'],
+  ['fitness', 'gym', 'workout', 'hiit', 'bootcamp'],
+  ['dance', 'dancing', 'zumba'],
+  ['walking', 'walker', 'hiking', 'hike', 'rambling'],
+  ['rowing', 'rower', 'kayaking', 'canoeing', 'paddling'],
+  ['martial', 'boxing', 'karate', 'judo', 'jiujitsu', 'kickboxing'],
+  ['senior', 'older', 'elderly', 'retired'],
+  ['kids', 'children', 'child', 'junior', 'youth'],
+  ['women', 'woman', 'ladies', 'female'],
+  ['beginner', 'novice', 'newcomer'],
+  ['accessible', 'accessibility', 'wheelchair', 'disabled'],
+];
+
+// ---------- Terms ----------
+function normalise(text) {
+  return String(text == null ? '' : text)
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase();
+}
+
+// Light suffix stripping — enough for plurals and -ing / -ed forms
+function stem(word) {
+  let w = word;
+  if (w.length <= 3) return w;
+  if (w.endsWith('ies') && w.length > 4) w = w.slice(0, -3) + 'y';
+  else if (/(ss|sh|ch|x|z)es$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  const base = w.endsWith('ing') ? w.slice(0, -3) : w.endsWith('ed') ? w.slice(0, -2) : null;
+  if (base && base.length >= 3 && /[aeiouy]/.test(base)) {
+    // running → run, swimming → swim (but not ball, class)
+    w = /([^aeiouls])\1$/.test(base) ? base.slice(0, -1) : base;
+  }
+  return w;
+}
+
+// Words with their position in the text, for snippets
+function words(text) {
+  return [...String(text == null ? '' : text).matchAll(/[\p{L}\p{N}]+/gu)]
+    .map(m => ({ word: m[0], index: m.index, term: stem(normalise(m[0])) }));
+}
+
+function queryTerms(q) {
+  const all = words(q).map(w => w.term);
+  const kept = all.filter(t => !STOP_WORDS.has(t));
+  // "the club" on its own still searches for something
+  return [...new Set(kept.length ? kept : all)];
+}
+
+const SYNONYMS = new Map();
+for (const group of ACTIVITY_SYNONYMS) {
+  const stems = group.map(w => stem(w));
+  for (const s of stems) SYNONYMS.set(s, stems.filter(o => o !== s));
+}
+
+// Damerau–Levenshtein distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+      row.push(d);
+      best = Math.min(best, d);
+    }
+    if (best > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  return term.length >= 4 ? 1 : 0;
+}
+
+// Query term → Map(indexed term → match weight)
+function expandTerm(term, vocabulary, { prefix = false } = {}) {
+  const out = new Map();
+  const add = (t, weight) => { if (vocabulary.has(t) && !(out.get(t) >= weight)) out.set(t, weight); };
+
+  add(term, MATCH_WEIGHTS.exact);
+  for (const s of SYNONYMS.get(term) || []) add(s, MATCH_WEIGHTS.synonym);
+
+  const typos = allowedTypos(term);
+  for (const t of vocabulary) {
+    if (prefix && term.length >= 3 && t.length > term.length && t.startsWith(term)) add(t, MATCH_WEIGHTS.prefix);
+    if (typos && t[0] === term[0]) {
+      const d = editDistance(term, t, typos);
+      if (d > 0 && d <= typos) add(t, d === 1 ? MATCH_WEIGHTS.typo1 : MATCH_WEIGHTS.typo2);
+    }
+  }
+  return out;
+}
+
+// ---------- Index ----------
+const indexes = new WeakMap();
+
+function indexClub(club) {
+  const fields = FIELDS.map(([name, weight, read]) => {
+    const text = String(read(club) || '');
+    return { name, weight, text, terms: new Set(words(text).map(w => w.term)) };
+  });
+  return { code: club.club_code, fields };
+}
+
+// Memoised per club list: lib/club-cache.js keeps one array per sheet read
+function searchIndex(clubs) {
+  let index = indexes.get(clubs);
+  if (!index) {
+    const docs = new Map();
+    const vocabulary = new Set();
+    for (const club of clubs) {
+      const doc = indexClub(club);
+      docs.set(doc.code, doc);
+      for (const field of doc.fields) for (const t of field.terms) vocabulary.add(t);
+    }
+    index = { docs, vocabulary };
+    indexes.set(clubs, index);
+  }
+  return index;
+}
+
+// ---------- Search ----------
+// Map(club_code → { score, field, terms }) for clubs matching every term.
+// `field` is the best-scoring field outside TITLE_FIELDS, for snippets.
+function searchClubs(index, q) {
+  const terms = queryTerms(q);
+  const hits = new Map();
+  if (!terms.length) return hits;
+
+  const expansions = terms.map((t, i) => expandTerm(t, index.vocabulary, { prefix: i === terms.length - 1 }));
+  const phrase = normalise(q).trim();
+
+  for (const doc of index.docs.values()) {
+    let score = 0;
+    const matched = new Set();
+    const fieldScores = new Map();
+
+    for (const expansion of expansions) {
+      let best = 0;
+      for (const field of doc.fields) {
+        for (const [t, weight] of expansion) {
+          if (!field.terms.has(t)) continue;
+          matched.add(t);
+          const s = field.weight * weight;
+          fieldScores.set(field.name, Math.max(fieldScores.get(field.name) || 0, s));
+          if (s > best) best = s;
+        }
+      }
+      if (!best) { score = 0; break; }
+      score += best;
+    }
+    if (!score) continue;
+
+    // Whole query in the name ("Hackney Harriers")
+    if (normalise(doc.fields[0].text).includes(phrase)) score += 5;
+
+    const field = [...fieldScores.entries()]
+      .filter(([name]) => !TITLE_FIELDS.includes(name))
+      .sort((a, b) => b[1] - a[1])[0];
+    hits.set(doc.code, { score: Math.round(score * 100) / 100, field: field ? field[0] : null, terms: matched });
+  }
+  return hits;
+}
+
+// ---------- Snippets ----------
+const SNIPPET_LENGTH = 160;
+
+// Escaped text around the first match with matched words in <mark>, or null
+function highlight(index, code, hit) {
+  if (!hit || !hit.field) return null;
+  const doc = index.docs.get(code);
+  const field = doc && doc.fields.find(f => f.name === hit.field);
+  if (!field) return null;
+
+  const text = field.text;
+  const list = words(text);
+  const first = list.find(w => hit.terms.has(w.term));
+  if (!first) return null;
+
+  let start = Math.max(0, first.index - 50);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < first.index ? space + 1 : first.index;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > first.index) end = space;
+  }
+
+  let html = '';
+  let pos = start;
+  for (const w of list) {
+    if (w.index < start || w.index + w.word.length > end || !hit.terms.has(w.term)) continue;
+    html += escapeHtml(text.slice(pos, w.index)) + `<mark>${escapeHtml(w.word)}</mark>`;
+    pos = w.index + w.word.length;
+  }
+  html += escapeHtml(text.slice(pos, end));
+  return {
+    field: field.name,
+    html: `${start > 0 ? '…' : ''}${html.trim()}${end < text.length ? '…' : ''}`,
+  };
+}
+
+module.exports = {
+  FIELDS,
+  ACTIVITY_SYNONYMS,
+  normalise,
+  stem,
+  queryTerms,
+  editDistance,
+  searchIndex,
+  searchClubs,
+  highlight,
+};
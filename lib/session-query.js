@@ -0,0 +1,200 @@
+// lib/session-query.js - Cross-club timetable: upcoming session occurrences with filters
+//
+// Query parameters (all optional):
+//   from                     first date, YYYY-MM-DD (default: today, Europe/London)
+//   days                     window length in days (default DEFAULT_DAYS, max MAX_DAYS)
+//   day                      weekday(s): "tue", "tuesday", "sat,sun", "weekend", "today", "tomorrow"
+//   after, before            start-time window, HH:MM (before is exclusive)
+//   time_of_day              morning | afternoon | evening (shorthand for after/before)
+//   activity, location       exact match, as in /api/clubs
+//   q                        text search over club name / activity / location / session type
+//   page, limit              1-based page, page size (max MAX_LIMIT)
+//
+// Sessions whose day couldn't be parsed are never listed; the count is
+// returned as `unscheduled` so gaps in the sheet stay visible.
+
+const { parseWeekdays, occursOn, todayLocal, addDays, weekdayOf } = require('./sessions');
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 31;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const TIMES_OF_DAY = {
+  morning: ['00:00', '12:00'],
+  afternoon: ['12:00', '17:00'],
+  evening: ['17:00', '24:00'],
+};
+
+// ---------- Params ----------
+function parseTime(v) {
+  const m = /^(\d{1,2})(?::(\d{2}))?$/.exec(String(v || '').trim());
+  if (!m || +m[1] > 24 || (m[2] && +m[2] > 59)) return null;
+  return `${m[1].padStart(2, '0')}:${m[2] || '00'}`;
+}
+
+function parseSessionQuery(query = {}, today = todayLocal()) {
+  const str = k => (query[k] ?? '').toString().trim();
+  const int = (k, fallback) => {
+    const n = parseInt(str(k), 10);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+
+  const from = /^\d{4}-\d{2}-\d{2}$/.test(str('from')) ? str('from') : today;
+  const days = Math.min(int('days', DEFAULT_DAYS), MAX_DAYS);
+
+  // Day filter: relative words resolve against today, everything else via the session parser
+  const dayText = str('day').toLowerCase();
+  let weekdays = [];
+  if (dayText === 'today') weekdays = [weekdayOf(today)];
+  else if (dayText === 'tomorrow') weekdays = [weekdayOf(addDays(today, 1))];
+  else if (dayText) weekdays = parseWeekdays(dayText.replace(/,/g, ' '));
+
+  const timeOfDay = TIMES_OF_DAY[str('time_of_day').toLowerCase()] ? str('time_of_day').toLowerCase() : '';
+  const [windowStart, windowEnd] = TIMES_OF_DAY[timeOfDay] || [];
+  return {
+    from,
+    days,
+    day: dayText,
+    weekdays,
+    after: parseTime(str('after')) || windowStart || null,
+    before: parseTime(str('before')) || windowEnd || null,
+    time_of_day: timeOfDay,
+    activity: str('activity'),
+    location: str('location'),
+    q: str('q').toLowerCase(),
+    page: int('page', 1),
+    limit: Math.min(int('limit', DEFAULT_LIMIT), MAX_LIMIT),
+  };
+}
+
+// ---------- Occurrences ----------
+function matchesClub(c, p) {
+  if (p.activity && c.activity_type !== p.activity) return false;
+  if (p.location && c.location !== p.location) return false;
+  return true;
+}
+
+function matchesSession(c, s, p) {
+  if (p.after && (!s.start_time || s.start_time < p.after)) return false;
+  if (p.before && (!s.start_time || s.start_time >= p.before)) return false;
+  if (p.q) {
+    const blob = [c.club_name, c.activity_type, c.location, s.type].join(' ').toLowerCase();
+    if (!blob.includes(p.q)) return false;
+  }
+  return true;
+}
+
+function occurrence(c, s, date) {
+  return {
+    date,
+    weekday: weekdayOf(date),
+    start_time: s.start_time,
+    end_time: s.end_time,
+    time_label: s.time_label,
+    day_label: s.day_label,
+    type: s.type,
+    recurrence: s.recurrence,
+    booking_url: s.url || '',
+    club: {
+      club_code: c.club_code,
+      club_name: c.club_name,
+      activity_type: c.activity_type,
+      location: c.location,
+      address: c.address,
+      club_logo_emoji: c.club_logo_emoji,
+      confidence_score: c.confidence_score,
+      url: `/club/${encodeURIComponent(c.club_code)}`,
+    },
+  };
+}
+
+// Every matching occurrence in the window, earliest first
+function listOccurrences(clubs, p, today = todayLocal()) {
+  const dates = [];
+  for (let i = 0; i < p.days; i++) {
+    const date = addDays(p.from, i);
+    if (!p.weekdays.length || p.weekdays.includes(weekdayOf(date))) dates.push(date);
+  }
+
+  const out = [];
+  let unscheduled = 0;
+  for (const c of clubs) {
+    if (!matchesClub(c, p)) continue;
+    for (const s of c.sessions || []) {
+      if (!s.recurrence) {
+        unscheduled++;
+        continue;
+      }
+      if (!matchesSession(c, s, p)) continue;
+      for (const date of dates) {
+        if (occursOn(s, date, today)) out.push(occurrence(c, s, date));
+      }
+    }
+  }
+
+  // Untimed sessions sort after timed ones on the same day
+  out.sort((a, b) =>
+    a.date.localeCompare(b.date) ||
+    (a.start_time || '99').localeCompare(b.start_time || '99') ||
+    String(a.club.club_name).localeCompare(String(b.club.club_name)));
+  return { occurrences: out, unscheduled };
+}
+
+// ---------- Facets ----------
+// Counts of occurrences per activity / location, each ignoring its own filter
+function computeFacets(clubs, p, today) {
+  const count = (key, field) => {
+    const counts = new Map();
+    for (const o of listOccurrences(clubs, { ...p, [key]: '' }, today).occurrences) {
+      const v = o.club[field];
+      if (v) counts.set(v, (counts.get(v) || 0) + 1);
+    }
+    return [...counts.entries()]
+      .map(([value, n]) => ({ value, count: n }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  };
+  return { activity: count('activity', 'activity_type'), location: count('location', 'location') };
+}
+
+// Full query: params → { sessions, total, page, limit, pages, from, to, unscheduled, facets }
+function querySessions(clubs, query = {}, today = todayLocal()) {
+  const p = parseSessionQuery(query, today);
+  const { occurrences, unscheduled } = listOccurrences(clubs, p, today);
+
+  const total = occurrences.length;
+  const pages = Math.max(1, Math.ceil(total / p.limit));
+  const page = Math.min(p.page, pages);
+  const start = (page - 1) * p.limit;
+
+  return {
+    sessions: occurrences.slice(start, start + p.limit),
+    total,
+    page,
+    limit: p.limit,
+    pages,
+    from: p.from,
+    to: addDays(p.from, p.days - 1),
+    filters: {
+      day: p.weekdays,
+      after: p.after,
+      before: p.before,
+      activity: p.activity,
+      location: p.location,
+      q: p.q,
+    },
+    unscheduled,
+    facets: computeFacets(clubs, p, today),
+  };
+}
+
+module.exports = {
+  DEFAULT_DAYS,
+  MAX_DAYS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  TIMES_OF_DAY,
+  parseSessionQuery,
+  listOccurrences,
+  querySessions,
+};
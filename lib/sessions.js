@@ -0,0 +1,302 @@
+// lib/sessions.js - Structured sessions from the free-text session columns
+//
+// Each sheet session is three cells: time ("6:30pm – 8pm"), date ("Tuesdays",
+// "Mon-Fri", "First Sunday monthly", "12/11/2026") and type ("Intervals" — or,
+// in older rows, a booking URL). parseSession() keeps the original text and adds:
+//
+//   type          session type, '' when the cell held a URL
+//   url           booking link for this session (falls back to the club's)
+//   weekdays      ['TU', …] iCalendar day codes (the date's own day for one-offs)
+//   date_iso      'YYYY-MM-DD' for one-off sessions, else null
+//   start_time    'HH:MM' (24h) or null
+//   end_time      'HH:MM' or null
+//   recurrence    'weekly' | 'fortnightly' | 'monthly' | 'once' | null (unparsed)
+//   week_of_month 1–4, or -1 for "last", when recurrence is 'monthly'
+//
+// Recurring sessions also get `cycle_start` (see cycleStart()) when the club
+// sets it: a fixed first date that pins the phase of fortnightly sessions.
+//
+// All dates and times are local to TIMEZONE.
+
+const TIMEZONE = 'Europe/London';
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_PATTERN = '(sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:rs?|rsday)?|fri(?:day)?|sat(?:urday)?)s?';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, last: -1 };
+
+// ---------- Days ----------
+function dayIndex(token) {
+  return ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].indexOf(token.slice(0, 3).toLowerCase());
+}
+
+function parseWeekdays(text) {
+  const t = String(text || '').toLowerCase();
+  if (/\b(daily|every ?day)\b/.test(t)) return [...DAY_CODES];
+  const days = new Set();
+  if (/\bweekdays\b/.test(t)) ['MO', 'TU', 'WE', 'TH', 'FR'].forEach(d => days.add(d));
+  if (/\bweekends?\b/.test(t)) ['SA', 'SU'].forEach(d => days.add(d));
+
+  // Ranges: "Mon-Fri", "Monday to Thursday"
+  const rangeRe = new RegExp(`\\b${DAY_PATTERN}\\s*(?:-|–|to)\\s*${DAY_PATTERN}\\b`, 'g');
+  let m;
+  let rest = t;
+  while ((m = rangeRe.exec(t))) {
+    let i = dayIndex(m[1]);
+    const end = dayIndex(m[2]);
+    for (let guard = 0; guard < 7; guard++) {
+      days.add(DAY_CODES[i]);
+      if (i === end) break;
+      i = (i + 1) % 7;
+    }
+    rest = rest.replace(m[0], ' ');
+  }
+
+  const singleRe = new RegExp(`\\b${DAY_PATTERN}\\b`, 'g');
+  while ((m = singleRe.exec(rest))) {
+    const i = dayIndex(m[1]);
+    if (i !== -1) days.add(DAY_CODES[i]);
+  }
+
+  // Keep Monday-first order
+  return ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'].filter(d => days.has(d));
+}
+
+// ---------- Dates ----------
+function pad(n) { return String(n).padStart(2, '0'); }
+
+function isoDate(y, m, d) {
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return `${y}-${pad(m)}-${pad(d)}`;
+}
+
+// Today's date in TIMEZONE as 'YYYY-MM-DD'
+function todayLocal(now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone: TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(now);
+  const get = type => parts.find(p => p.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+// One-off dates: 2026-11-12, 12/11/2026 (UK order), 12 Nov 2026, 12th November
+function parseDate(text, today = todayLocal()) {
+  const t = String(text || '').trim().toLowerCase();
+  let m = /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/.exec(t);
+  if (m) return isoDate(+m[1], +m[2], +m[3]);
+
+  m = /\b(\d{1,2})[/.](\d{1,2})[/.](\d{2,4})\b/.exec(t);
+  if (m) return isoDate(m[3].length === 2 ? 2000 + +m[3] : +m[3], +m[2], +m[1]);
+
+  m = /\b(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,})\.?(?:\s+(\d{4}))?\b/.exec(t);
+  if (m && MONTHS.includes(m[2].slice(0, 3))) {
+    const month = MONTHS.indexOf(m[2].slice(0, 3)) + 1;
+    const thisYear = +today.slice(0, 4);
+    if (m[3]) return isoDate(+m[3], month, +m[1]);
+    // No year: the next time that date comes round
+    const candidate = isoDate(thisYear, month, +m[1]);
+    return candidate && candidate < today ? isoDate(thisYear + 1, month, +m[1]) : candidate;
+  }
+  return null;
+}
+
+function addDays(iso, n) {
+  const [y, m, d] = iso.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + n));
+  return `${dt.getUTCFullYear()}-${pad(dt.getUTCMonth() + 1)}-${pad(dt.getUTCDate())}`;
+}
+
+function weekdayOf(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return DAY_CODES[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+// ---------- Times ----------
+function toMinutes(h, min, meridiem) {
+  let hour = h;
+  if (meridiem === 'pm' && hour < 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+  if (hour > 23 || min > 59) return null;
+  return hour * 60 + min;
+}
+
+function formatMinutes(total) {
+  return `${pad(Math.floor(total / 60) % 24)}:${pad(total % 60)}`;
+}
+
+// "18:30", "6.30pm - 8pm", "7pm–9pm", "10am", "noon"
+function parseTimes(text) {
+  const t = String(text || '').toLowerCase().replace(/\bnoon\b/g, '12pm').replace(/\bmidday\b/g, '12pm');
+  const re = /\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\b/g;
+  const found = [];
+  let m;
+  while ((m = re.exec(t)) && found.length < 2) {
+    // Bare numbers only count as times next to an am/pm partner ("6-8pm")
+    found.push({ h: +m[1], min: m[2] ? +m[2] : 0, meridiem: m[3] || null, explicit: !!(m[2] || m[3]) });
+  }
+  if (!found.length) return { start: null, end: null };
+
+  // "6-8pm": the start borrows the end's am/pm
+  if (found.length === 2 && !found[0].meridiem && found[1].meridiem) {
+    const borrowed = found[1].meridiem === 'pm' && found[0].h > found[1].h % 12 ? 'am' : found[1].meridiem;
+    found[0].meridiem = borrowed;
+    found[0].explicit = true;
+  }
+
+  const [a, b] = found;
+  if (!a.explicit) return { start: null, end: null };
+  const start = toMinutes(a.h, a.min, a.meridiem);
+  const end = b && b.explicit ? toMinutes(b.h, b.min, b.meridiem) : null;
+  return {
+    start: start === null ? null : formatMinutes(start),
+    end: end === null || start === null || end <= start ? null : formatMinutes(end),
+  };
+}
+
+// ---------- Sessions ----------
+function isUrl(v) { return /^https?:\/\//i.test(String(v || '').trim()); }
+
+function parseSession({ time = '', date = '', type = '' }, { booking_url = '' } = {}, today = todayLocal()) {
+  const dateText = String(date || '');
+  const typeText = String(type || '').trim();
+  const session = {
+    time: String(time || ''),
+    date: dateText,
+    type: isUrl(typeText) ? '' : typeText,
+    url: isUrl(typeText) ? typeText : (booking_url || ''),
+    weekdays: [],
+    date_iso: null,
+    start_time: null,
+    end_time: null,
+    recurrence: null,
+    week_of_month: null,
+  };
+
+  // Times usually live in the time cell, but "Tuesday 7pm" in the date cell happens too
+  const times = parseTimes(session.time || dateText.replace(/\d{1,2}[/.]\d{1,2}[/.]\d{2,4}|\d{4}-\d{1,2}-\d{1,2}/g, ''));
+  session.start_time = times.start;
+  session.end_time = times.end;
+
+  const oneOff = parseDate(dateText, today);
+  if (oneOff) {
+    session.date_iso = oneOff;
+    session.weekdays = [weekdayOf(oneOff)];
+    session.recurrence = 'once';
+    return session;
+  }
+
+  session.weekdays = parseWeekdays(dateText);
+  if (!session.weekdays.length) return session;
+
+  const lower = dateText.toLowerCase();
+  const ordinal = /\b(first|1st|second|2nd|third|3rd|fourth|4th|last)\b/.exec(lower);
+  if (ordinal || /\bmonthly\b/.test(lower)) {
+    session.recurrence = 'monthly';
+    session.week_of_month = ordinal ? ORDINALS[ordinal[1]] : 1;
+  } else if (/\b(fortnightly|every other|alternate)\b/.test(lower)) {
+    session.recurrence = 'fortnightly';
+  } else {
+    session.recurrence = 'weekly';
+  }
+  return session;
+}
+
+// First date on/after `from` (YYYY-MM-DD) the session runs, or null
+function nextOccurrence(session, from = todayLocal()) {
+  if (session.recurrence === 'once') return session.date_iso >= from ? session.date_iso : null;
+  if (!session.weekdays || !session.weekdays.length) return null;
+
+  for (let i = 0; i < 62; i++) {
+    const day = addDays(from, i);
+    if (!session.weekdays.includes(weekdayOf(day))) continue;
+    if (session.recurrence === 'fortnightly' && session.cycle_start) {
+      if (inPhase(session.cycle_start, day)) return day;
+      continue;
+    }
+    if (session.recurrence !== 'monthly') return day;
+    const dom = +day.slice(8);
+    const nth = Math.ceil(dom / 7);
+    const isLast = addDays(day, 7).slice(5, 7) !== day.slice(5, 7);
+    if (session.week_of_month === nth || (session.week_of_month === -1 && isLast)) return day;
+  }
+  return null;
+}
+
+function daysBetween(a, b) {
+  const toUtc = iso => Date.UTC(+iso.slice(0, 4), +iso.slice(5, 7) - 1, +iso.slice(8, 10));
+  return Math.round((toUtc(b) - toUtc(a)) / 86400000);
+}
+
+// Monday of the week containing `iso`
+function weekStart(iso) {
+  return addDays(iso, -((DAY_CODES.indexOf(weekdayOf(iso)) + 6) % 7));
+}
+
+// Whether two dates fall an even number of weeks apart
+function inPhase(anchor, day) {
+  return Math.abs(daysBetween(weekStart(anchor), weekStart(day)) / 7) % 2 === 0;
+}
+
+// The first date on or after `reference` ('YYYY-MM-DD') a recurring session
+// runs, or null. Fortnightly sessions run in the weeks an even number of
+// weeks from it; the calendar feed uses it as DTSTART, so it must not move
+// between requests — callers pass a date from the sheet, never today.
+function cycleStart(session, reference) {
+  if (!reference || !session.recurrence || session.recurrence === 'once') return null;
+  return nextOccurrence({ ...session, cycle_start: null }, reference);
+}
+
+// Whether the session runs on `day`. Fortnightly sessions without a
+// cycle_start are anchored on their next occurrence from `today`.
+function occursOn(session, day, today = todayLocal()) {
+  if (session.recurrence === 'once') return session.date_iso === day;
+  if (!session.recurrence || !session.weekdays.includes(weekdayOf(day))) return false;
+  if (session.recurrence === 'weekly') return true;
+  if (session.recurrence === 'monthly') return nextOccurrence(session, day) === day;
+  const anchor = session.cycle_start || nextOccurrence(session, today);
+  return !!anchor && inPhase(anchor, day);
+}
+
+// "Tuesday & Thursday", "Weekly · Saturday", "Wed 12 Nov 2026"
+function describeDays(session) {
+  if (session.recurrence === 'once' && session.date_iso) {
+    const [y, m, d] = session.date_iso.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d))
+      .toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
+  const names = (session.weekdays || []).map(code => DAY_NAMES[DAY_CODES.indexOf(code)]);
+  if (!names.length) return session.date || '';
+  const list = names.length > 1 ? `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}` : names[0];
+  if (session.recurrence === 'fortnightly') return `Every other ${list}`;
+  if (session.recurrence === 'monthly') {
+    const nth = { 1: 'First', 2: 'Second', 3: 'Third', 4: 'Fourth', '-1': 'Last' }[session.week_of_month];
+    return `${nth} ${list} of the month`;
+  }
+  return list;
+}
+
+// "18:30–20:00", "18:30", or the original text when it couldn't be parsed
+function describeTime(session) {
+  if (!session.start_time) return session.time || '';
+  return session.end_time ? `${session.start_time}–${session.end_time}` : session.start_time;
+}
+
+module.exports = {
+  TIMEZONE,
+  DAY_CODES,
+  DAY_NAMES,
+  parseSession,
+  parseWeekdays,
+  parseDate,
+  parseTimes,
+  nextOccurrence,
+  cycleStart,
+  occursOn,
+  describeDays,
+  describeTime,
+  todayLocal,
+  addDays,
+  daysBetween,
+  weekdayOf,
+};
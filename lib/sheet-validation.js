@@ -0,0 +1,269 @@
+// lib/sheet-validation.js - Data-quality checks for the "Dynamic Club Page Hub" rows
+//
+// Works on the raw cell values (not the coerced club objects) so that e.g. a
+// fee of "£25" is reported instead of silently becoming 0.
+
+const {
+  CONFIDENCE_LEVELS,
+  FIELDS,
+  resolveColumnSources,
+  columnLetter,
+  safeGet,
+  isTruthy,
+} = require('./club-schema');
+const { requestedCode, makeSlug } = require('./club-codes');
+const { parseSession, parseDate, todayLocal, daysBetween } = require('./sessions');
+const { parseCoordinate, findDistrict } = require('./geo');
+const { parseTierList, parsePeriod } = require('./pricing');
+
+const URL_FIELDS = ['page_url', 'booking_url', 'website', 'review_link', 'shop_link', 'image_url'];
+const PHONE_FIELDS = ['phone', 'whatsapp'];
+const NUMERIC_FIELDS = FIELDS
+  .filter(f => (f.type === 'float' || f.type === 'int') && !/^testimonial_/.test(f.key))
+  .map(f => f.key);
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@.]{2,}$/;
+const INSTAGRAM_RE = /^@?[A-Za-z0-9._]{1,30}$/;
+
+// ---------- Value checks ----------
+function isValidUrl(v) {
+  try {
+    const u = new URL(v);
+    return (u.protocol === 'http:' || u.protocol === 'https:') && u.hostname.includes('.');
+  } catch (e) {
+    return false;
+  }
+}
+
+function isValidPhone(v) {
+  const compact = String(v).replace(/[\s().-]/g, '');
+  return /^\+?\d{7,15}$/.test(compact);
+}
+
+function isNumeric(v) {
+  return /^-?\d+(\.\d+)?$/.test(String(v).trim());
+}
+
+// ---------- Row checks ----------
+function checkRow(row, sources) {
+  const findings = [];
+  const cell = key => {
+    const { index } = sources[key];
+    return index < 0 ? '' : safeGet(row, index);
+  };
+  const add = (severity, check, key, message) => {
+    const { index } = sources[key];
+    findings.push({
+      severity,
+      check,
+      field: key,
+      column: index < 0 ? null : columnLetter(index),
+      message,
+      value: cell(key),
+    });
+  };
+
+  // Confidence override — blank means the computed label is used
+  const confidence = String(cell('confidence_override'));
+  if (confidence && !CONFIDENCE_LEVELS.includes(confidence)) {
+    add('error', 'confidence', 'confidence_override', `Confidence override must be blank or one of: ${CONFIDENCE_LEVELS.join(', ')}`);
+  }
+
+  // Freshness dates feed the computed label (and date_added the new-clubs
+  // feed); unreadable ones score nothing
+  const today = todayLocal();
+  for (const key of ['last_verified', 'sessions_updated', 'date_added']) {
+    const v = cell(key);
+    if (!v) continue;
+    const iso = parseDate(v, today);
+    if (!iso) add('warning', 'freshness', key, `${key} is not a date (try 2026-10-19 or 19/10/2026)`);
+    else if (daysBetween(today, iso) > 1) add('warning', 'freshness', key, `${key} is in the future`);
+  }
+  // Pins which weeks fortnightly sessions run; may be in the future
+  const cycle = cell('sessions_start_date');
+  if (cycle && !parseDate(cycle, today)) {
+    add('warning', 'session', 'sessions_start_date', 'sessions_start_date is not a date (try 2026-10-19 or 19/10/2026)');
+  }
+
+  // Fees and other numeric columns
+  for (const key of NUMERIC_FIELDS) {
+    const v = cell(key);
+    if (v !== '' && !isNumeric(v)) {
+      add('error', 'numeric', key, `${key} is not a plain number (read as 0)`);
+    }
+  }
+
+  // Pricing: extra tiers are "Name | £amount | period" lines (lib/pricing.js)
+  const currency = String(cell('currency')).trim();
+  if (currency && !/^[A-Za-z]{3}$/.test(currency)) {
+    add('error', 'pricing', 'currency', 'Currency must be a three-letter code such as GBP (read as GBP)');
+  }
+  for (const line of String(cell('price_tiers')).split(/[\n;]+/).map(l => l.trim()).filter(Boolean)) {
+    const period = line.split('|')[2];
+    if (!parseTierList(line).length) {
+      add('warning', 'pricing', 'price_tiers', `Price tier "${line}" not recognised (try "Student | £15 | month")`);
+    } else if (period && period.trim() && !parsePeriod(period)) {
+      add('warning', 'pricing', 'price_tiers', `Price tier "${line}": period not recognised, read as per month (try week, month, year, session or once)`);
+    }
+  }
+
+  // Contact details
+  const email = cell('email');
+  if (email && !EMAIL_RE.test(String(email))) {
+    add('error', 'email', 'email', 'Malformed email address');
+  }
+  for (const key of PHONE_FIELDS) {
+    const v = cell(key);
+    if (v && !isValidPhone(v)) add('error', 'phone', key, 'Malformed phone number');
+  }
+  for (const key of URL_FIELDS) {
+    const v = cell(key);
+    if (v && !isValidUrl(v)) add('error', 'url', key, 'Malformed URL (must start with http:// or https://)');
+  }
+  const instagram = cell('instagram');
+  if (instagram && !INSTAGRAM_RE.test(String(instagram)) && !isValidUrl(instagram)) {
+    add('warning', 'url', 'instagram', 'Instagram should be a @handle or a profile URL');
+  }
+  const logo = cell('club_logo_emoji');
+  if (/^https?:/i.test(String(logo)) && !isValidUrl(logo)) {
+    add('error', 'url', 'club_logo_emoji', 'Logo looks like a URL but is malformed');
+  }
+
+  // Location: a pin needs both halves; a postcode we can't place never shows up "near me"
+  const lat = cell('latitude');
+  const lng = cell('longitude');
+  if (lat !== '' && parseCoordinate(lat, 90) === null) add('error', 'geo', 'latitude', 'Latitude must be a number between -90 and 90');
+  if (lng !== '' && parseCoordinate(lng, 180) === null) add('error', 'geo', 'longitude', 'Longitude must be a number between -180 and 180');
+  if ((lat === '') !== (lng === '')) {
+    add('warning', 'geo', lat === '' ? 'latitude' : 'longitude', 'Latitude and longitude must both be filled');
+  }
+  const postcode = cell('postcode');
+  if (postcode && !findDistrict(postcode)) {
+    add('warning', 'geo', 'postcode', 'Postcode district is not in the offline lookup table; fill latitude / longitude instead');
+  }
+
+  // Sessions: a time with no day/date can't be shown or scheduled, and text
+  // the parser can't read is left out of the calendar feed
+  for (let n = 1; sources[`session_${n}_time`]; n++) {
+    const time = cell(`session_${n}_time`);
+    const date = cell(`session_${n}_date`);
+    if (time && !date) {
+      add('warning', 'session', `session_${n}_date`, `Session ${n} has a time but no date`);
+      continue;
+    }
+    if (!date) continue;
+    const session = parseSession({ time, date });
+    if (!session.recurrence) {
+      add('warning', 'session', `session_${n}_date`, `Session ${n} day/date not recognised (try "Tuesdays", "Mon-Fri" or "12/11/2026")`);
+    } else if (!session.start_time) {
+      add('warning', 'session', `session_${n}_time`, `Session ${n} start time not recognised (try "18:30" or "6:30pm - 8pm")`);
+    }
+  }
+
+  // Testimonial ratings are out of 5
+  for (let n = 1; sources[`testimonial_${n}_rating`]; n++) {
+    const v = cell(`testimonial_${n}_rating`);
+    if (v === '') continue;
+    const rating = Number(v);
+    if (!isNumeric(v) || rating < 0 || rating > 5) {
+      add('error', 'rating', `testimonial_${n}_rating`, `Testimonial ${n} rating must be between 0 and 5`);
+    }
+  }
+
+  return findings;
+}
+
+// ---------- Sheet ----------
+// rows: values.get() result, header row first.
+// Returns { checked_rows, active_rows, summary, headers, clubs } where `clubs`
+// lists every row that has findings (or every row with { includeClean: true }).
+function validateSheet(rows, { includeClean = false } = {}) {
+  const [header, ...data] = rows || [];
+  const sources = resolveColumnSources(header);
+  const cell = (row, key) => (sources[key].index < 0 ? '' : safeGet(row, sources[key].index));
+
+  const results = data.map((raw, i) => {
+    const row = raw || [];
+    const clubId = String(cell(row, 'club_id'));
+    const clubName = String(cell(row, 'club_name'));
+    return {
+      row: i + 2, // 1-based, after the header row
+      club_id: clubId,
+      club_name: clubName,
+      club_code: requestedCode({
+        club_code: cell(row, 'club_code'),
+        club_id: clubId,
+        club_name: clubName || 'Unknown Club',
+      }),
+      previous_codes: String(cell(row, 'previous_codes')).split(/[\s,]+/).map(makeSlug).filter(Boolean),
+      active: isTruthy(cell(row, 'active')),
+      findings: checkRow(row, sources),
+    };
+  });
+
+  // Duplicate routing codes among active clubs — the API keeps them reachable
+  // with a numbered suffix, but those URLs shift as rows are added or removed
+  const byCode = new Map();
+  for (const r of results) {
+    if (!r.active) continue;
+    if (!byCode.has(r.club_code)) byCode.set(r.club_code, []);
+    byCode.get(r.club_code).push(r);
+  }
+  for (const [code, group] of byCode) {
+    if (group.length < 2) continue;
+    for (const r of group) {
+      const others = group.filter(o => o !== r).map(o => o.row);
+      r.findings.push({
+        severity: 'warning',
+        check: 'duplicate_slug',
+        field: 'club_id',
+        column: sources.club_id.index < 0 ? null : columnLetter(sources.club_id.index),
+        message: `Club code "${code}" is also used by active row(s) ${others.join(', ')}; set a unique club_code`,
+        value: code,
+      });
+    }
+  }
+
+  // Old codes that now belong to another active club never redirect
+  for (const r of results) {
+    if (!r.active) continue;
+    for (const alias of r.previous_codes) {
+      if (!byCode.has(alias) || byCode.get(alias).includes(r)) continue;
+      r.findings.push({
+        severity: 'warning',
+        check: 'alias_conflict',
+        field: 'previous_codes',
+        column: sources.previous_codes.index < 0 ? null : columnLetter(sources.previous_codes.index),
+        message: `Previous code "${alias}" is the current code of row ${byCode.get(alias)[0].row}, so it won't redirect`,
+        value: alias,
+      });
+    }
+  }
+
+  const summary = { errors: 0, warnings: 0, by_check: {} };
+  for (const r of results) {
+    for (const f of r.findings) {
+      summary[f.severity === 'error' ? 'errors' : 'warnings']++;
+      summary.by_check[f.check] = (summary.by_check[f.check] || 0) + 1;
+    }
+  }
+
+  // Header problems: fields found only by position, or not at all
+  const headers = { fallback: [], missing: [] };
+  for (const [key, info] of Object.entries(sources)) {
+    if (info.source === 'fallback') headers.fallback.push({ field: key, column: columnLetter(info.index) });
+    if (info.source === 'missing') headers.missing.push({ field: key });
+  }
+
+  const flagged = results.filter(r => r.findings.length);
+  return {
+    checked_rows: results.length,
+    active_rows: results.filter(r => r.active).length,
+    clubs_with_findings: flagged.length,
+    summary,
+    headers,
+    clubs: includeClean ? results : flagged,
+  };
+}
+
+module.exports = { validateSheet, checkRow, isValidUrl, isValidPhone, EMAIL_RE };
@@ -0,0 +1,60 @@
+// lib/submission-store/file.js - Moderation queue as a local JSON Lines file
+//
+// For offline development alongside CLUB_DATA_SOURCE=file. One record per
+// line, appended. The default path is under the OS temp dir because the
+// deployed filesystem is read-only everywhere else.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// spec: one of the queue layouts in ./records.js
+function createFileStore(env = process.env, spec) {
+  const file = env[spec.fileEnv]
+    ? path.resolve(process.cwd(), env[spec.fileEnv])
+    : path.join(os.tmpdir(), spec.defaultFile);
+
+  return {
+    type: 'file',
+
+    checkConfig() {
+      const dir = path.dirname(file);
+      return fs.existsSync(dir) ? [] : [`${spec.fileEnv} directory not found: ${dir}`];
+    },
+
+    describe() {
+      return { type: 'file', file };
+    },
+
+    async add(record) {
+      await fs.promises.appendFile(file, JSON.stringify(record) + '\n', 'utf8');
+      return record;
+    },
+
+    async list() {
+      let text;
+      try {
+        text = await fs.promises.readFile(file, 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      return text
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    },
+
+    // Merges `changes` into one record; resolves to the updated record or null
+    async update(id, changes) {
+      const records = await this.list();
+      const i = records.findIndex(r => r[spec.idKey] === id);
+      if (i === -1) return null;
+      records[i] = { ...records[i], ...changes };
+      await fs.promises.writeFile(file, records.map(r => JSON.stringify(r)).join('\n') + '\n', 'utf8');
+      return records[i];
+    },
+  };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,100 @@
+// lib/submission-store/google-sheets.js - Moderation queue in its own tab of the club spreadsheet
+//
+// Needs GOOGLE_SERVICE_ACCOUNT with edit access to the sheet and GOOGLE_SHEET_ID
+// (or the queue's own sheet id, e.g. SUBMISSIONS_SHEET_ID, for a separate
+// spreadsheet). Rows are only ever written to the queue's tab (e.g.
+// SUBMISSIONS_SHEET_NAME), never to the live club tab.
+
+const { SHEET_NAME } = require('../club-schema');
+const { toRow, fromRow } = require('./records');
+
+// spec: one of the queue layouts in ./records.js
+function createGoogleSheetsStore(env = process.env, spec) {
+  const spreadsheetId = env[spec.sheetIdEnv] || env.GOOGLE_SHEET_ID;
+  const tab = (env[spec.tabEnv] || spec.defaultTab).trim();
+  let client = null;
+
+  // Separate from the read-only data-source client: only this store can write
+  function getClient() {
+    if (client) return client;
+    const { google } = require('googleapis');
+    const credentials = JSON.parse(env.GOOGLE_SERVICE_ACCOUNT);
+    const auth = new google.auth.GoogleAuth({
+      credentials,
+      scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+    });
+    client = google.sheets({ version: 'v4', auth });
+    return client;
+  }
+
+  function assertSafeTab() {
+    if (tab === SHEET_NAME) {
+      throw new Error(`${spec.tabEnv} must not be the live "${SHEET_NAME}" tab`);
+    }
+  }
+
+  async function ensureHeader() {
+    const resp = await getClient().spreadsheets.values.get({ spreadsheetId, range: `'${tab}'!1:1` });
+    if ((resp.data.values || []).length) return;
+    await getClient().spreadsheets.values.update({
+      spreadsheetId,
+      range: `'${tab}'!A1`,
+      valueInputOption: 'RAW',
+      requestBody: { values: [spec.columns] },
+    });
+  }
+
+  return {
+    type: 'google-sheets',
+
+    checkConfig() {
+      const problems = [];
+      if (!env.GOOGLE_SERVICE_ACCOUNT) problems.push('Missing GOOGLE_SERVICE_ACCOUNT environment variable');
+      if (!spreadsheetId) problems.push(`Missing GOOGLE_SHEET_ID (or ${spec.sheetIdEnv}) environment variable`);
+      if (tab === SHEET_NAME) problems.push(`${spec.tabEnv} must not be the live "${SHEET_NAME}" tab`);
+      return problems;
+    },
+
+    describe() {
+      return { type: 'google-sheets', spreadsheet_id: spreadsheetId || null, tab };
+    },
+
+    async add(record) {
+      assertSafeTab();
+      await ensureHeader();
+      await getClient().spreadsheets.values.append({
+        spreadsheetId,
+        range: `'${tab}'!A1`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: { values: [toRow(spec, record)] },
+      });
+      return record;
+    },
+
+    async list() {
+      const resp = await getClient().spreadsheets.values.get({ spreadsheetId, range: `'${tab}'` });
+      const [, ...rows] = resp.data.values || [];
+      return rows.filter(r => r && r[0]).map(r => fromRow(spec, r));
+    },
+
+    // Merges `changes` into one record; resolves to the updated record or null
+    async update(id, changes) {
+      assertSafeTab();
+      const resp = await getClient().spreadsheets.values.get({ spreadsheetId, range: `'${tab}'` });
+      const rows = resp.data.values || [];
+      const i = rows.findIndex((r, n) => n > 0 && r && r[0] === id);
+      if (i === -1) return null;
+      const record = { ...fromRow(spec, rows[i]), ...changes };
+      await getClient().spreadsheets.values.update({
+        spreadsheetId,
+        range: `'${tab}'!A${i + 1}`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [toRow(spec, record)] },
+      });
+      return record;
+    },
+  };
+}
+
+module.exports = { createGoogleSheetsStore };
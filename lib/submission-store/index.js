@@ -0,0 +1,46 @@
+// lib/submission-store/index.js - Picks where moderated user content is queued
+//
+//   SUBMISSIONS_STORE=sheets   "Submissions" tab (SUBMISSIONS_SHEET_NAME) of the club spreadsheet
+//   SUBMISSIONS_STORE=file     JSON Lines file (SUBMISSIONS_FILE)
+//
+// Reviews use the same adapters: REVIEWS_STORE (falls back to
+// SUBMISSIONS_STORE), REVIEWS_SHEET_NAME (default "Reviews"), REVIEWS_FILE.
+//
+// Defaults to match CLUB_DATA_SOURCE, so `CLUB_DATA_SOURCE=file vercel dev`
+// never needs Google credentials.
+
+const { createGoogleSheetsStore } = require('./google-sheets');
+const { createFileStore } = require('./file');
+const { SUBMISSIONS, REVIEWS } = require('./records');
+
+const ADAPTERS = {
+  sheets: createGoogleSheetsStore,
+  'google-sheets': createGoogleSheetsStore,
+  file: createFileStore,
+};
+
+const current = {};   // spec name → { name, store }
+
+function getStore(spec, env) {
+  const fallback = (env.CLUB_DATA_SOURCE || '').trim().toLowerCase() === 'file' ? 'file' : 'sheets';
+  const name = (env[spec.storeEnv] || env.SUBMISSIONS_STORE || fallback).trim().toLowerCase();
+  const cached = current[spec.name];
+  if (cached && cached.name === name && env === process.env) return cached.store;
+
+  const create = ADAPTERS[name];
+  if (!create) throw new Error(`Unknown ${spec.storeEnv} "${name}" (expected: ${Object.keys(ADAPTERS).join(', ')})`);
+
+  const store = create(env, spec);
+  if (env === process.env) current[spec.name] = { name, store };
+  return store;
+}
+
+function getSubmissionStore(env = process.env) {
+  return getStore(SUBMISSIONS, env);
+}
+
+function getReviewStore(env = process.env) {
+  return getStore(REVIEWS, env);
+}
+
+module.exports = { getSubmissionStore, getReviewStore };
@@ -0,0 +1,90 @@
+// lib/submission-store/records.js - Record layouts of the moderation queues
+//
+// Each queue (club submissions, reviews) is described by a spec: its id
+// column, where it lives (env var names and defaults) and its COLUMNS. Both
+// stores keep the same record shape. In the Sheets tab every record is one
+// row under a header of `columns`; `json` columns are JSON text.
+
+const SUBMISSIONS = {
+  name: 'submissions',
+  idKey: 'submission_id',
+  storeEnv: 'SUBMISSIONS_STORE',
+  sheetIdEnv: 'SUBMISSIONS_SHEET_ID',
+  tabEnv: 'SUBMISSIONS_SHEET_NAME',
+  defaultTab: 'Submissions',
+  fileEnv: 'SUBMISSIONS_FILE',
+  defaultFile: 'nbrh-submissions.jsonl',
+  columns: [
+    'submission_id',
+    'received_at',
+    'status',        // pending | approved | rejected
+    'kind',          // new | claim
+    'club_code',     // existing club for claims, proposed code for new clubs
+    'club_name',
+    'contact_name',
+    'contact_email',
+    'contact_role',
+    'message',
+    'fields',        // proposed values, keyed by the club-schema field key
+    'warnings',      // non-blocking validation findings
+    'reviewed_at',
+    'reviewed_by',
+    'review_note',
+  ],
+  // JSON column → value when the cell is empty
+  json: { fields: {}, warnings: [] },
+};
+
+const REVIEWS = {
+  name: 'reviews',
+  idKey: 'review_id',
+  storeEnv: 'REVIEWS_STORE',
+  sheetIdEnv: 'REVIEWS_SHEET_ID',
+  tabEnv: 'REVIEWS_SHEET_NAME',
+  defaultTab: 'Reviews',
+  fileEnv: 'REVIEWS_FILE',
+  defaultFile: 'nbrh-reviews.jsonl',
+  columns: [
+    'review_id',
+    'received_at',
+    'status',        // pending | approved | rejected
+    'club_code',     // canonical code when the review was written
+    'club_name',
+    'rating',        // 1–5
+    'author',
+    'text',
+    'ip_hash',       // salted hash, only for spotting floods — never the address
+    'reviewed_at',
+    'reviewed_by',
+    'review_note',
+  ],
+  json: {},
+};
+
+function toRow(spec, record) {
+  return spec.columns.map(key => {
+    const v = record[key];
+    if (key in spec.json) return JSON.stringify(v || spec.json[key]);
+    return v == null ? '' : String(v);
+  });
+}
+
+function fromRow(spec, row) {
+  const record = {};
+  spec.columns.forEach((key, i) => {
+    const v = row[i] == null ? '' : String(row[i]);
+    if (key in spec.json) {
+      try {
+        record[key] = v ? JSON.parse(v) : spec.json[key];
+      } catch (e) {
+        // Hand-edited cell — keep the text so a moderator can still read it
+        record[key] = Array.isArray(spec.json[key]) ? [] : { _raw: v };
+      }
+    } else {
+      record[key] = v;
+    }
+  });
+  return record;
+}
+
+module.exports = { SUBMISSIONS, REVIEWS, toRow, fromRow };
@@ -0,0 +1,186 @@
+// lib/submissions.js - Validation for club submissions and claims
+//
+// A submission is either a new club ("new") or a claim on an existing page
+// ("claim"), optionally proposing field changes. Proposed values use the same
+// keys as lib/club-schema.js FIELDS and are checked by turning them into a
+// sheet-shaped row and running the sheet validator over it, so the moderator
+// sees exactly what the sheet would.
+//
+// Nothing here writes to the live club rows — records go to the moderation
+// queue (lib/submission-store) and are applied from the admin dashboard
+// (api/admin/submissions.js, lib/club-admin.js).
+
+const crypto = require('crypto');
+const { FIELDS, resolveColumnSources } = require('./club-schema');
+const { makeSlug, resolveClubCode } = require('./club-codes');
+const { checkRow, EMAIL_RE } = require('./sheet-validation');
+
+const KINDS = ['new', 'claim'];
+
+// Set by moderators, never proposed by a club
+const MODERATOR_FIELDS = [
+  'club_id',
+  'active',
+  'page_url',
+  'star_rating',
+  'legacy_confidence',
+  'confidence_override',
+  'last_verified',
+  'sessions_updated',
+  'date_added',
+  'ranking_position',
+  'ranking_category',
+  'member_growth',
+  'verified',
+  'club_code',
+  'previous_codes',
+];
+
+const EDITABLE_FIELDS = FIELDS.map(f => f.key).filter(k => !MODERATOR_FIELDS.includes(k));
+const SESSION_SLOTS = FIELDS.filter(f => /^session_\d+_time$/.test(f.key)).length;
+const REQUIRED_FOR_NEW = ['club_name', 'activity_type', 'location'];
+
+const MAX_FIELD_LENGTH = 4000;
+const MAX_CONTACT_LENGTH = 200;
+
+// Hidden form input; only bots fill it in
+const HONEYPOT = 'url_confirm';
+
+// ---------- Input ----------
+function str(v) {
+  return v == null ? '' : String(v).trim();
+}
+
+// `fields` plus the `sessions: [{ time, date, type }]` shorthand → flat field map
+function collectFields(body) {
+  const fields = {};
+  const raw = body.fields && typeof body.fields === 'object' && !Array.isArray(body.fields) ? body.fields : {};
+  for (const [key, value] of Object.entries(raw)) fields[key] = str(value);
+
+  if (Array.isArray(body.sessions)) {
+    body.sessions.slice(0, SESSION_SLOTS).forEach((s, i) => {
+      if (!s || typeof s !== 'object') return;
+      for (const part of ['time', 'date', 'type']) {
+        if (s[part] != null) fields[`session_${i + 1}_${part}`] = str(s[part]);
+      }
+    });
+  }
+  return fields;
+}
+
+// Sheet findings that concern a submitted field (or its session slot)
+function relevantTo(keys) {
+  const slots = new Set(keys.map(k => (/^(session_\d+)_/.exec(k) || [])[1]).filter(Boolean));
+  return f => keys.includes(f.field) || slots.has((/^(session_\d+)_/.exec(f.field) || [])[1]);
+}
+
+// ---------- Validation ----------
+// Returns { errors, warnings, submission }. `errors` block the submission;
+// `warnings` are stored with it for the moderator.
+function validateSubmission(body, clubs = []) {
+  const errors = [];
+  const warnings = [];
+  const error = (field, message) => errors.push({ field, message });
+  const input = body && typeof body === 'object' ? body : {};
+
+  const kind = str(input.kind).toLowerCase();
+  if (!KINDS.includes(kind)) error('kind', `kind must be one of: ${KINDS.join(', ')}`);
+
+  // Contact
+  const contactName = str(input.contact_name);
+  const contactEmail = str(input.contact_email);
+  const contactRole = str(input.contact_role);
+  const message = str(input.message);
+  if (!contactName) error('contact_name', 'Your name is required');
+  else if (contactName.length > MAX_CONTACT_LENGTH) error('contact_name', 'Name is too long');
+  if (!contactEmail) error('contact_email', 'Your email address is required');
+  else if (!EMAIL_RE.test(contactEmail) || contactEmail.length > MAX_CONTACT_LENGTH) {
+    error('contact_email', 'Enter a valid email address');
+  }
+  if (contactRole.length > MAX_CONTACT_LENGTH) error('contact_role', 'Role is too long');
+  if (message.length > MAX_FIELD_LENGTH) error('message', 'Message is too long');
+
+  // Proposed fields
+  const fields = collectFields(input);
+  for (const [key, value] of Object.entries(fields)) {
+    if (!EDITABLE_FIELDS.includes(key)) {
+      error(`fields.${key}`, MODERATOR_FIELDS.includes(key)
+        ? `${key} is set by the directory team and can't be proposed`
+        : `Unknown field ${key}`);
+      delete fields[key];
+    } else if (value.length > MAX_FIELD_LENGTH) {
+      error(`fields.${key}`, `${key} is too long (max ${MAX_FIELD_LENGTH} characters)`);
+    } else if (!value) {
+      delete fields[key];
+    }
+  }
+
+  const header = FIELDS.map(f => f.key);
+  const sources = resolveColumnSources(header);
+  const row = header.map(key => fields[key] || '');
+  for (const f of checkRow(row, sources).filter(relevantTo(Object.keys(fields)))) {
+    const finding = { field: `fields.${f.field}`, message: f.message };
+    if (f.severity === 'error') errors.push(finding);
+    else warnings.push(finding);
+  }
+
+  // Target club
+  let club = null;
+  if (kind === 'claim') {
+    const code = makeSlug(input.club_code);
+    if (!code) {
+      error('club_code', 'club_code is required to claim a club');
+    } else {
+      club = resolveClubCode(clubs, code).club;
+      if (!club) error('club_code', `No listed club has the code "${code}"`);
+    }
+    if (!Object.keys(fields).length && !message) {
+      warnings.push({ field: 'fields', message: 'Claim has no proposed changes' });
+    }
+  } else if (kind === 'new') {
+    for (const key of REQUIRED_FOR_NEW) {
+      if (!fields[key]) error(`fields.${key}`, `${key} is required for a new club`);
+    }
+    const existing = fields.club_name ? resolveClubCode(clubs, makeSlug(fields.club_name)).club : null;
+    if (existing) {
+      error('fields.club_name', `"${existing.club_name}" is already listed — claim /club/${existing.club_code} instead`);
+    }
+  }
+
+  if (errors.length) return { errors, warnings, submission: null };
+
+  return {
+    errors,
+    warnings,
+    submission: {
+      submission_id: crypto.randomUUID(),
+      received_at: new Date().toISOString(),
+      status: 'pending',
+      kind,
+      club_code: club ? club.club_code : makeSlug(fields.club_name),
+      club_name: club ? club.club_name : fields.club_name,
+      contact_name: contactName,
+      contact_email: contactEmail,
+      contact_role: contactRole,
+      message,
+      fields,
+      warnings,
+      reviewed_at: '',
+      reviewed_by: '',
+      review_note: '',
+    },
+  };
+}
+
+function isSpam(body) {
+  return !!(body && str(body[HONEYPOT]));
+}
+
+module.exports = {
+  KINDS,
+  MODERATOR_FIELDS,
+  EDITABLE_FIELDS,
+  HONEYPOT,
+  validateSubmission,
+  isSpam,
+};
@@ -0,0 +1,104 @@
+// lib/usage-store/file.js - Rate-limit windows and usage counters in a local JSON file
+//
+// For `vercel dev` and single-server deployments that want counts to
+// survive a restart. Every write rewrites the file; writes from this process
+// are queued so concurrent requests don't lose counts. The default path is
+// under the OS temp dir because the deployed filesystem is read-only
+// everywhere else. Windows are filed under their length, like the memory
+// store, so each is pruned by its own length.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { oldestKeptDay, windowEnded, usageRows, windowKey } = require('./records');
+
+function createFileStore(env = process.env) {
+  const file = env.USAGE_FILE
+    ? path.resolve(process.cwd(), env.USAGE_FILE)
+    : path.join(os.tmpdir(), 'nbrh-usage.json');
+  let queue = Promise.resolve();
+
+  async function read() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      return { windows: data.windows || {}, usage: data.usage || {} };
+    } catch (err) {
+      if (err.code === 'ENOENT') return { windows: {}, usage: {} };
+      throw err;
+    }
+  }
+
+  // Runs change(data) → result on the latest contents, then saves
+  function update(change) {
+    const run = queue.then(async () => {
+      const data = await read();
+      const result = change(data);
+      await fs.promises.writeFile(file, JSON.stringify(data), 'utf8');
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    type: 'file',
+
+    checkConfig() {
+      const dir = path.dirname(file);
+      return fs.existsSync(dir) ? [] : [`USAGE_FILE directory not found: ${dir}`];
+    },
+
+    describe() {
+      return { type: 'file', file, shared: false };
+    },
+
+    async hit(key, windowMs, now = Date.now()) {
+      return update(data => {
+        // Windows that have ended are no use to anyone (nor are counts from
+        // files written before windows were grouped)
+        for (const [length, group] of Object.entries(data.windows)) {
+          if (!group || typeof group !== 'object') {
+            delete data.windows[length];
+            continue;
+          }
+          for (const id of Object.keys(group)) {
+            if (windowEnded(id, Number(length), now)) delete group[id];
+          }
+          if (!Object.keys(group).length) delete data.windows[length];
+        }
+        const { id, start } = windowKey(key, windowMs, now);
+        const group = data.windows[windowMs] = data.windows[windowMs] || {};
+        group[id] = (group[id] || 0) + 1;
+        return { count: group[id], start };
+      });
+    },
+
+    async count(key, windowMs, now = Date.now()) {
+      await queue;
+      const { id, start } = windowKey(key, windowMs, now);
+      const group = (await read()).windows[windowMs];
+      return { count: (group && group[id]) || 0, start };
+    },
+
+    async record({ day, client, endpoint, limited }) {
+      return update(data => {
+        const oldest = oldestKeptDay(day);
+        for (const key of Object.keys(data.usage)) {
+          if (key.split('|')[0] < oldest) delete data.usage[key];
+        }
+        const key = [day, client, endpoint].join('|');
+        const counts = data.usage[key] || { requests: 0, limited: 0 };
+        counts.requests++;
+        if (limited) counts.limited++;
+        data.usage[key] = counts;
+      });
+    },
+
+    async usage(since) {
+      await queue;
+      return usageRows((await read()).usage, since);
+    },
+  };
+}
+
+module.exports = { createFileStore };
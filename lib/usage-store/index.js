@@ -0,0 +1,33 @@
+// lib/usage-store/index.js - Picks where API rate-limit windows and usage counters live
+//
+//   USAGE_STORE=memory   in the function instance (default)
+//   USAGE_STORE=file     JSON file (USAGE_FILE, default nbrh-usage.json in the OS temp dir)
+//
+// A store is { checkConfig, describe, hit(key, windowMs, now), count(key,
+// windowMs, now), record(entry), usage(since) } — see ./memory.js. A shared
+// store (Redis, a database) plugs in here as another adapter so limits hold
+// across instances.
+
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+
+const ADAPTERS = {
+  memory: createMemoryStore,
+  file: createFileStore,
+};
+
+let current = null;   // { name, store }
+
+function getUsageStore(env = process.env) {
+  const name = (env.USAGE_STORE || 'memory').trim().toLowerCase();
+  if (current && current.name === name && env === process.env) return current.store;
+
+  const create = ADAPTERS[name];
+  if (!create) throw new Error(`Unknown USAGE_STORE "${name}" (expected: ${Object.keys(ADAPTERS).join(', ')})`);
+
+  const store = create(env);
+  if (env === process.env) current = { name, store };
+  return store;
+}
+
+module.exports = { getUsageStore };
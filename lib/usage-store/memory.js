@@ -0,0 +1,82 @@
+// lib/usage-store/memory.js - Rate-limit windows and usage counters in the function instance
+//
+// The default. Counts reset on every cold start and aren't shared between
+// instances, so limits are per instance and usage is only what this
+// instance has seen — fine locally and for a single long-lived server.
+// Ended windows are evicted once per window and usage older than
+// RETENTION_DAYS once a day, so a long-lived instance doesn't grow forever.
+// Windows are grouped by length so a 60s API window never prunes a 15 minute
+// login lockout.
+
+const { oldestKeptDay, windowEnded, usageRows, windowKey } = require('./records');
+
+function createMemoryStore() {
+  const windows = new Map();   // windowMs → Map("key@start" → count)
+  const usage = new Map();     // "day|client|endpoint" → { requests, limited }
+  let prunedAt = 0;
+  let prunedDay = '';
+
+  function pruneWindows(now) {
+    for (const [windowMs, group] of windows) {
+      for (const id of group.keys()) {
+        if (windowEnded(id, windowMs, now)) group.delete(id);
+      }
+      if (!group.size) windows.delete(windowMs);
+    }
+    prunedAt = now;
+  }
+
+  function pruneUsage(day) {
+    const oldest = oldestKeptDay(day);
+    for (const key of usage.keys()) {
+      if (key.split('|')[0] < oldest) usage.delete(key);
+    }
+    prunedDay = day;
+  }
+
+  return {
+    type: 'memory',
+
+    checkConfig() {
+      return [];
+    },
+
+    describe() {
+      return { type: 'memory', shared: false };
+    },
+
+    // Counts one request in the fixed window containing `now`
+    async hit(key, windowMs, now = Date.now()) {
+      if (now - prunedAt >= windowMs) pruneWindows(now);
+      const { id, start } = windowKey(key, windowMs, now);
+      if (!windows.has(windowMs)) windows.set(windowMs, new Map());
+      const group = windows.get(windowMs);
+      const count = (group.get(id) || 0) + 1;
+      group.set(id, count);
+      return { count, start };
+    },
+
+    // The current window's count without adding to it
+    async count(key, windowMs, now = Date.now()) {
+      const { id, start } = windowKey(key, windowMs, now);
+      const group = windows.get(windowMs);
+      return { count: (group && group.get(id)) || 0, start };
+    },
+
+    async record({ day, client, endpoint, limited }) {
+      if (day !== prunedDay) pruneUsage(day);
+      const key = [day, client, endpoint].join('|');
+      const counts = usage.get(key) || { requests: 0, limited: 0 };
+      counts.requests++;
+      if (limited) counts.limited++;
+      usage.set(key, counts);
+    },
+
+    // [{ day, client, endpoint, requests, limited }] from `since` (YYYY-MM-DD) on
+    async usage(since) {
+      return usageRows(usage, since);
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,36 @@
+// lib/usage-store/records.js - Shared shapes for the usage stores
+//
+// Windows are fixed and aligned to the clock (a 60s window starts on the
+// minute), so every instance and store agrees on when a window resets.
+// Usage is counted per UTC day, client and endpoint.
+
+// Usage rows older than this are dropped
+const RETENTION_DAYS = 90;
+
+// First day (YYYY-MM-DD) still kept when today is `day`
+function oldestKeptDay(day) {
+  return new Date(Date.parse(day) - RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+}
+
+// Whether window id "key@start" has ended by `now`
+function windowEnded(id, windowMs, now) {
+  return Number(id.slice(id.lastIndexOf('@') + 1)) + windowMs <= now;
+}
+
+// { id, start } of the window containing `now`
+function windowKey(key, windowMs, now) {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { id: `${key}@${start}`, start };
+}
+
+// Map("day|client|endpoint" → counts) → sorted rows from `since` on
+function usageRows(usage, since = '') {
+  const rows = [];
+  for (const [key, counts] of usage instanceof Map ? usage : Object.entries(usage)) {
+    const [day, client, endpoint] = key.split('|');
+    if (day >= since) rows.push({ day, client, endpoint, requests: counts.requests, limited: counts.limited });
+  }
+  return rows.sort((a, b) => a.day.localeCompare(b.day) || a.client.localeCompare(b.client) || a.endpoint.localeCompare(b.endpoint));
+}
+
+module.exports = { RETENTION_DAYS, oldestKeptDay, windowEnded, windowKey, usageRows };
@@ -0,0 +1,239 @@
+/* sw.js — Service worker: offline shells and cached club data.
+   Registered by js/offline.js; served from the site root so its scope is
+   the whole directory.
+
+   Pages      network first; offline falls back to the precached shell
+              (/club/:code → club.html, which then reads cached club data)
+   Club data  network first with a timeout, for /api/clubs (the last
+              response only) and /api/club-data (each club visited, up to
+              MAX_CLUBS). A cached copy is used when the network fails or is
+              slower than NETWORK_TIMEOUT_MS; the network answer still lands
+              in the cache, and open pages are told only if it differs from
+              the copy they were shown.
+   Fonts/CDN  cache first
+
+   Responses served from the cache carry `X-SW-Cache: offline | stale`;
+   js/offline.js turns that into the "offline — showing data from …" banner. */
+
+const VERSION = 'v1';
+const SHELL_CACHE = `nbrh-shell-${VERSION}`;
+const DATA_CACHE = `nbrh-data-${VERSION}`;
+const STATIC_CACHE = `nbrh-static-${VERSION}`;
+
+const SHELL = [
+  '/',
+  '/club.html',
+  '/compare.html',
+  '/whats-on.html',
+  '/js/club-render.js',
+  '/js/favourites.js',
+  '/js/offline.js',
+  '/manifest.webmanifest',
+  '/icon.svg',
+];
+
+// Shell used for a navigation when offline, by path
+const FALLBACKS = [
+  [/^\/club\/[^/]+\/?$/, '/club.html'],
+  [/^\/club\.html$/, '/club.html'],
+  [/^\/compare(\.html)?\/?$/, '/compare.html'],
+  [/^\/whats-on(\.html)?\/?$/, '/whats-on.html'],
+];
+
+const STATIC_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+const NETWORK_TIMEOUT_MS = 4000;
+const MAX_CLUBS = 40;
+
+/* ══════════════════════════════════════════
+   LIFECYCLE
+══════════════════════════════════════════ */
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL.map(url => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  const keep = [SHELL_CACHE, DATA_CACHE, STATIC_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('nbrh-') && !keep.includes(k)).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/* ══════════════════════════════════════════
+   ROUTING
+══════════════════════════════════════════ */
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) {
+    if (STATIC_HOSTS.includes(url.hostname)) event.respondWith(cacheFirst(request));
+    return;
+  }
+
+  // Partner embeds run inside other sites' pages; never answer them with a shell
+  if (url.pathname.startsWith('/embed/')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(page(event, url));
+  } else if (url.pathname === '/api/clubs' || url.pathname === '/api/club-data') {
+    event.respondWith(data(event, url));
+  } else if (SHELL.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
+
+/* ══════════════════════════════════════════
+   PAGES
+══════════════════════════════════════════ */
+async function page(event, url) {
+  try {
+    const res = await fetch(event.request);
+    if (res.ok) {
+      if (url.pathname === '/') {
+        const copy = res.clone();
+        event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.put('/', copy)));
+      } else if (/^\/club\/[^/]+\/?$/.test(url.pathname)) {
+        event.waitUntil(storeInlineClub(res.clone()));
+      }
+    }
+    return res;
+  } catch (err) {
+    const [, shell] = FALLBACKS.find(([re]) => re.test(url.pathname)) || [null, '/'];
+    const cached = await caches.match(shell, { cacheName: SHELL_CACHE });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// A server-rendered club page inlines the same JSON as /api/club-data —
+// keep it, so the club.html shell can show this club offline
+async function storeInlineClub(res) {
+  const html = await res.text();
+  const match = html.match(/<script id="clubData" type="application\/json">([\s\S]*?)<\/script>/);
+  if (!match) return;
+  let club;
+  try {
+    club = JSON.parse(match[1]);
+  } catch (err) {
+    return;
+  }
+  if (!club || !club.club_code) return;
+
+  const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+  const modified = res.headers.get('Last-Modified');
+  if (modified) headers['Last-Modified'] = modified;
+  await putData(`/api/club-data?code=${encodeURIComponent(club.club_code)}`, new Response(JSON.stringify(club), { headers }));
+}
+
+/* ══════════════════════════════════════════
+   CLUB DATA
+══════════════════════════════════════════ */
+async function data(event, url) {
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(url.pathname + url.search) || (url.pathname === '/api/clubs' ? await lastClubs(cache) : null);
+
+  const network = fetch(event.request).then(async res => {
+    if (res.ok) await putData(url.pathname + url.search, res.clone());
+    return res;
+  });
+  event.waitUntil(network.catch(() => {}));
+
+  if (!cached) return network;
+
+  // Exact match only: a different /api/clubs query is a fallback, never a quick answer
+  const exact = cached.headers.get('X-SW-Url') === url.pathname + url.search;
+  const timeout = new Promise(resolve => setTimeout(() => resolve(null), NETWORK_TIMEOUT_MS));
+
+  try {
+    const res = await (exact ? Promise.race([network, timeout]) : network);
+    if (res) return res;
+  } catch (err) {
+    return marked(cached, 'offline');
+  }
+
+  // Slow network: answer from the cache now, tell the page when the real
+  // answer lands. Unchanged data must not notify — the page would refetch,
+  // hit the same slow network and be told again, for as long as it stays slow.
+  const shown = cached.clone();
+  event.waitUntil(network.then(async res => {
+    if (res.ok && await changed(shown, res.clone())) await notify(url);
+  }).catch(() => {}));
+  return marked(cached, 'stale');
+}
+
+// Compares ETags (every data endpoint sends one), else the bodies
+async function changed(before, after) {
+  const a = before.headers.get('ETag');
+  const b = after.headers.get('ETag');
+  if (a && b) return a !== b;
+  return (await before.text()) !== (await after.text());
+}
+
+async function putData(key, res) {
+  const cache = await caches.open(DATA_CACHE);
+  const keys = await cache.keys();
+  const path = new URL(key, self.location.origin).pathname;
+  const same = keys.filter(req => new URL(req.url).pathname === path);
+
+  // Only the last /api/clubs answer is kept; club pages up to MAX_CLUBS, oldest out
+  const drop = path === '/api/clubs' ? same : same.slice(0, Math.max(0, same.length - MAX_CLUBS + 1));
+  await Promise.all(drop.filter(req => req.url !== new URL(key, self.location.origin).href).map(req => cache.delete(req)));
+
+  const headers = new Headers(res.headers);
+  headers.set('X-SW-Url', key);
+  const body = await res.blob();
+  await cache.put(key, new Response(body, { status: res.status, statusText: res.statusText, headers }));
+}
+
+async function lastClubs(cache) {
+  const keys = await cache.keys();
+  const req = keys.find(r => new URL(r.url).pathname === '/api/clubs');
+  return req ? cache.match(req) : null;
+}
+
+async function marked(res, state) {
+  const headers = new Headers(res.headers);
+  headers.set('X-SW-Cache', state);
+  return new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers });
+}
+
+async function notify(url) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'data-updated', path: url.pathname, url: url.pathname + url.search }));
+}
+
+/* ══════════════════════════════════════════
+   GENERIC STRATEGIES
+══════════════════════════════════════════ */
+async function networkFirst(request, cacheName) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const copy = res.clone();
+      caches.open(cacheName).then(cache => cache.put(request, copy));
+    }
+    return res;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok || res.type === 'opaque') {
+    const copy = res.clone();
+    caches.open(STATIC_CACHE).then(cache => cache.put(request, copy));
+  }
+  return res;
+}
@@ -0,0 +1,67 @@
+// test/admin-auth.test.js - Wrong admin tokens lock the caller's IP out
+const { call, adminHeaders } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkLockout, noteFailedLogin } = require('../lib/admin-auth');
+const { checkApiAccess } = require('../lib/api-access');
+const { createMemoryStore } = require('../lib/usage-store/memory');
+const login = require('../api/admin/login');
+const usage = require('../api/admin/usage');
+
+const MAX = 10;
+
+function from(ip, headers = {}) {
+  return { 'x-real-ip': ip, ...headers };
+}
+
+function response() {
+  return {
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(value) { this.body = value; return this; },
+  };
+}
+
+test('the login form locks an IP out after too many wrong tokens', async () => {
+  for (let i = 0; i < MAX; i++) {
+    const res = await call(login, { method: 'POST', headers: from('203.0.113.1'), body: { token: `guess-${i}` } });
+    assert.equal(res.status, 401);
+  }
+  const locked = await call(login, { method: 'POST', headers: from('203.0.113.1'), body: { token: process.env.ADMIN_TOKEN } });
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers['retry-after']) > 0);
+
+  const other = await call(login, { method: 'POST', headers: from('203.0.113.2'), body: { token: process.env.ADMIN_TOKEN } });
+  assert.equal(other.status, 200);
+});
+
+test('guessing bearer tokens on admin endpoints counts towards the same lockout', async () => {
+  const wrong = from('203.0.113.3', { authorization: 'Bearer nope' });
+  for (let i = 0; i < MAX; i++) assert.equal((await call(usage, { headers: wrong })).status, 401);
+  assert.equal((await call(usage, { headers: from('203.0.113.3', adminHeaders()) })).status, 429);
+  assert.equal((await call(login, { headers: wrong })).status, 429);
+});
+
+test('the right token does not count as a failure', async () => {
+  for (let i = 0; i < MAX + 2; i++) {
+    assert.equal((await call(usage, { headers: from('203.0.113.4', adminHeaders()) })).status, 200);
+  }
+});
+
+test('ordinary API traffic does not prune a lockout window', async () => {
+  const store = createMemoryStore();
+  const req = { headers: from('203.0.113.5') };
+  const start = Date.parse('2026-10-19T10:00:00Z');
+
+  for (let i = 0; i < MAX; i++) await noteFailedLogin(req, { store, now: start + i * 1000 });
+  for (const later of [61, 200, 600]) {
+    assert.ok(await checkApiAccess(req, response(), 'clubs', { store, now: start + later * 1000 }));
+    const res = response();
+    assert.equal(await checkLockout(req, res, { store, now: start + (later + 1) * 1000 }), false, `${later}s in`);
+    assert.equal(res.statusCode, 429);
+  }
+  assert.equal(await checkLockout(req, response(), { store, now: start + 15 * 60 * 1000 }), true);
+});
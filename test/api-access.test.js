@@ -0,0 +1,73 @@
+// test/api-access.test.js - Who a request is limited as, and the usage stores
+const { call } = require('./helpers');
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { clientIp } = require('../lib/rate-limit');
+const { identifyClient } = require('../lib/api-access');
+const { createMemoryStore } = require('../lib/usage-store/memory');
+const { createFileStore } = require('../lib/usage-store/file');
+const { getUsageStore } = require('../lib/usage-store');
+
+const calendar = require('../api/club-calendar');
+
+const ENV = { API_RATE_LIMIT: '60', USAGE_IP_SALT: 'salt' };
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nbrh-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('the client IP is the platform\'s, not a hop the caller made up', () => {
+  assert.equal(clientIp({ headers: { 'x-real-ip': '203.0.113.9', 'x-forwarded-for': '1.1.1.1, 203.0.113.9' } }), '203.0.113.9');
+  assert.equal(clientIp({ headers: { 'x-forwarded-for': '1.1.1.1, 203.0.113.9' } }), '203.0.113.9');
+  assert.equal(clientIp({ headers: {}, socket: { remoteAddress: '127.0.0.1' } }), '127.0.0.1');
+});
+
+test('same-origin headers do not buy a bigger budget', () => {
+  const plain = identifyClient({ headers: { 'x-real-ip': '203.0.113.9' } }, ENV);
+  const forged = identifyClient({
+    headers: { 'x-real-ip': '203.0.113.9', 'sec-fetch-site': 'same-origin', origin: 'https://example.org', referer: 'https://example.org/' },
+  }, ENV);
+  assert.deepEqual(forged, plain);
+  assert.equal(plain.limit, 60);
+});
+
+test('a spoofed first X-Forwarded-For hop does not get a fresh window', () => {
+  const a = identifyClient({ headers: { 'x-forwarded-for': '10.0.0.1, 203.0.113.9' } }, ENV);
+  const b = identifyClient({ headers: { 'x-forwarded-for': '10.0.0.2, 203.0.113.9' } }, ENV);
+  assert.equal(a.rateKey, b.rateKey);
+});
+
+test('the memory store drops usage older than the retention period', async () => {
+  const store = createMemoryStore();
+  await store.record({ day: '2026-01-01', client: 'ip:a', endpoint: 'clubs', limited: false });
+  await store.record({ day: '2026-06-01', client: 'ip:a', endpoint: 'clubs', limited: false });
+  assert.deepEqual((await store.usage('')).map(r => r.day), ['2026-06-01']);
+});
+
+test('each store prunes a window by its own length, not the caller\'s', async () => {
+  const start = Date.parse('2026-10-19T10:00:00Z');
+  const stores = { memory: createMemoryStore(), file: createFileStore({ USAGE_FILE: path.join(tempDir, 'usage.json') }) };
+  for (const [name, store] of Object.entries(stores)) {
+    await store.hit('long', 15 * 60 * 1000, start);
+    await store.hit('short', 60 * 1000, start);
+    await store.hit('short', 60 * 1000, start + 61 * 1000);
+    assert.equal((await store.count('long', 15 * 60 * 1000, start + 62 * 1000)).count, 1, name);
+    assert.equal((await store.count('short', 60 * 1000, start)).count, 0, `${name}: ended short window is pruned`);
+    await store.hit('short', 60 * 1000, start + 15 * 60 * 1000);
+    assert.equal((await store.count('long', 15 * 60 * 1000, start)).count, 0, `${name}: ended long window is pruned`);
+  }
+});
+
+test('the calendar feed is rate limited and metered like the other data endpoints', async () => {
+  const res = await call(calendar, { query: { code: 'hackney-harriers' }, headers: { 'x-real-ip': '203.0.113.20' } });
+  assert.equal(res.status, 200);
+  assert.ok(res.headers['x-ratelimit-limit']);
+  assert.match(res.headers['access-control-expose-headers'], /X-RateLimit-Remaining/);
+
+  const rows = await getUsageStore().usage('');
+  assert.ok(rows.some(r => r.endpoint === 'calendar'));
+});
@@ -0,0 +1,104 @@
+// test/api.test.js - v2 responses against the OpenAPI document, and v1 as a compatibility layer over v2
+const { call } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildSpec } = require('../lib/openapi');
+const { validateValue, validateRequest, validateResponse } = require('../lib/openapi-validate');
+const { legacyFields } = require('../lib/club-v1');
+
+const v1Clubs = require('../api/clubs');
+const v1ClubData = require('../api/club-data');
+const v2Clubs = require('../api/v2/clubs');
+const v2Club = require('../api/v2/club');
+const v2OpenApi = require('../api/v2/openapi');
+
+const SPEC = buildSpec();
+
+function assertValid(path, { status, body }) {
+  assert.deepEqual(validateResponse(SPEC, path, status, body), [], `GET ${path} ${status}`);
+}
+
+// ---------- Spec ----------
+test('/api/v2/openapi.json serves the document the validator uses', async () => {
+  const res = await call(v2OpenApi);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.openapi, SPEC.openapi);
+  assert.deepEqual(Object.keys(res.body.paths), Object.keys(SPEC.paths));
+});
+
+test('query parameters are coerced to their schema types', () => {
+  const { params, errors } = validateRequest(SPEC, '/api/v2/clubs', { page: '2', beginners: 'yes', bogus: 'x' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(params, { page: 2, beginners: true });
+  assert.ok(validateRequest(SPEC, '/api/v2/clubs', { page: 'two' }).errors.length);
+});
+
+// ---------- v2 ----------
+test('/api/v2/clubs matches the spec, with and without filters', async () => {
+  for (const query of [{}, { q: 'running' }, { sort: 'priceLow', max_price: '30' }, { page: '2', limit: '1' }]) {
+    const res = await call(v2Clubs, { query });
+    assert.equal(res.status, 200, JSON.stringify(query));
+    assertValid('/api/v2/clubs', res);
+  }
+});
+
+test('/api/v2/clubs rejects bad parameters with a documented 400', async () => {
+  const res = await call(v2Clubs, { query: { limit: 'lots' } });
+  assert.equal(res.status, 400);
+  assertValid('/api/v2/clubs', res);
+});
+
+test('/api/v2/clubs/{code} matches the spec for found, moved and missing clubs', async () => {
+  const found = await call(v2Club, { query: { code: 'hackney-harriers' } });
+  assert.equal(found.status, 200);
+  assert.equal(found.body.data.code, 'hackney-harriers');
+  assertValid('/api/v2/clubs/{code}', found);
+
+  const moved = await call(v2Club, { query: { code: 'hackney-runners' } });
+  assert.equal(moved.status, 301);
+  assert.equal(moved.headers.location, '/api/v2/clubs/hackney-harriers');
+  assertValid('/api/v2/clubs/{code}', moved);
+
+  const missing = await call(v2Club, { query: { code: 'no-such-club' } });
+  assert.equal(missing.status, 404);
+  assertValid('/api/v2/clubs/{code}', missing);
+});
+
+// ---------- v1 ----------
+// The flat aliases v1 has always carried, on top of the parsed club
+const V1_LEGACY = {
+  type: 'object',
+  required: Object.keys(legacyFields({ pricing: {}, community: {}, tags: { who: [], vibe: [], accessibility: [], facilities: [] } })),
+  properties: {
+    monthly_fee: { type: 'number' },
+    description: { type: 'string' },
+    total_members: { type: 'integer', nullable: true },
+    age_groups: { type: 'string' },
+    skill_levels: { type: 'string' },
+    tags: { type: 'string' },
+    facilities: { type: 'string' },
+    instructor_name: { type: 'string' },
+    instructor_bio: { type: 'string' },
+  },
+};
+
+test('/api/clubs and /api/club-data keep the v1 fields, derived from the v2 record', async () => {
+  const list = await call(v1Clubs);
+  assert.equal(list.status, 200);
+  assert.ok(list.body.clubs.length > 0);
+
+  for (const club of list.body.clubs) {
+    assert.deepEqual(validateValue(SPEC, V1_LEGACY, club, club.club_code, []), []);
+
+    const v2 = (await call(v2Club, { query: { code: club.club_code } })).body.data;
+    assert.equal(club.monthly_fee, v2.pricing.monthly_fee || 0);
+    assert.equal(club.description, v2.bio || '');
+    assert.equal(club.total_members, v2.community.members);
+
+    const detail = await call(v1ClubData, { query: { code: club.club_code } });
+    assert.equal(detail.status, 200);
+    assert.deepEqual(validateValue(SPEC, V1_LEGACY, detail.body, club.club_code, []), []);
+  }
+});
@@ -0,0 +1,55 @@
+// test/club-export.test.js - CSV quoting, the sitemap and the feed
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EXPORT_FIELDS, csvCell, toCsv, sitemapXml, feedEntries, feedXml } = require('../lib/club-export');
+const { parseCsv } = require('../lib/data-source/file');
+
+// ---------- CSV ----------
+test('cells a spreadsheet would run as a formula get a leading apostrophe', () => {
+  assert.equal(csvCell('=HYPERLINK("http://evil.example","x")'), `"'=HYPERLINK(""http://evil.example"",""x"")"`);
+  assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(csvCell('+cmd|x'), "'+cmd|x");
+  assert.equal(csvCell('-2+3'), "'-2+3");
+  assert.equal(csvCell('\tx'), "'\tx");
+  assert.equal(csvCell('\rx'), `"'\rx"`);
+});
+
+test('phone numbers, negative numbers and plain text are left alone', () => {
+  assert.equal(csvCell('+44 20 7946 0000'), '+44 20 7946 0000');
+  assert.equal(csvCell('-1.5'), '-1.5');
+  assert.equal(csvCell('(020) 7946-0000'), '(020) 7946-0000');
+  assert.equal(csvCell('Run = fun'), 'Run = fun');
+  assert.equal(csvCell(0), '0');
+  assert.equal(csvCell(null), '');
+});
+
+test('commas, quotes and newlines are quoted per RFC 4180 and read back', () => {
+  assert.equal(csvCell('a, "b"\nc'), '"a, ""b""\nc"');
+  const csv = toCsv([{ club_code: 'x', club_name: 'Say "hi", =1' }]);
+  const [header, row] = parseCsv(csv);
+  assert.deepEqual(header, EXPORT_FIELDS.map(f => f.key));
+  assert.equal(row[header.indexOf('club_name')], 'Say "hi", =1');
+  assert.ok(csv.endsWith('\r\n'));
+});
+
+// ---------- Sitemap / feed ----------
+const CLUBS = [
+  { club_code: 'a&b', club_name: 'A & B', date_added: '2026-01-10', activity_type: 'Running', location: 'Bow' },
+  { club_code: 'c', club_name: 'C', date_added: '2025-05-01', verified: true, last_verified: '2026-03-01' },
+  { club_code: 'd', club_name: 'D' },
+];
+
+test('the sitemap lists every club with its latest date, escaped', () => {
+  const xml = sitemapXml(CLUBS, { origin: 'https://example.org', fetchedAt: Date.parse('2026-10-19') });
+  assert.match(xml, /<loc>https:\/\/example\.org\/club\/a%26b<\/loc>\n    <lastmod>2026-01-10<\/lastmod>/);
+  assert.match(xml, /club\/c<\/loc>\n    <lastmod>2026-03-01<\/lastmod>/);
+  assert.match(xml, /club\/d<\/loc>\n    <lastmod>2026-10-19<\/lastmod>/);
+});
+
+test('the feed has one entry per dated club, newest first, escaped', () => {
+  assert.deepEqual(feedEntries(CLUBS).map(e => [e.club.club_code, e.kind, e.date]), [['c', 'verified', '2026-03-01'], ['a&b', 'added', '2026-01-10']]);
+  const xml = feedXml(CLUBS, { origin: 'https://example.org' });
+  assert.match(xml, /<title>New club: A &amp; B<\/title>/);
+  assert.match(xml, /<updated>2026-03-01T00:00:00Z<\/updated>/);
+});
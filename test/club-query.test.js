@@ -0,0 +1,57 @@
+// test/club-query.test.js - Filters, sorting, facets and pagination on /api/clubs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseClubQuery, queryClubs, MAX_LIMIT } = require('../lib/club-query');
+
+const CLUBS = [
+  { club_code: 'a', club_name: 'Alder', activity_type: 'Running', location: 'Hackney', confidence_score: 'Uncertain', member_count: 40, pricing: { effective_monthly_cost: 20 } },
+  { club_code: 'b', club_name: 'Birch', activity_type: 'Running', location: 'Bow', confidence_score: 'Verified', member_count: 10, pricing: { effective_monthly_cost: 0 }, is_beginner_friendly: true },
+  { club_code: 'c', club_name: 'Cedar', activity_type: 'Rowing', location: 'Hackney', confidence_score: 'Verified', member_count: 80, pricing: { effective_monthly_cost: null }, featured: true },
+  { club_code: 'd', club_name: 'Dogwood', activity_type: 'Swimming', location: 'Bow', confidence_score: 'Unconfirmed', member_count: 5, pricing: { effective_monthly_cost: 45 } },
+];
+
+function codes(query) {
+  return queryClubs(CLUBS, query).clubs.map(c => c.club_code);
+}
+
+test('parameters are parsed, clamped and fall back to defaults', () => {
+  const p = parseClubQuery({ limit: '1000', page: '-1', beginners: 'yes', min_price: 'cheap', sort: 'distance' });
+  assert.equal(p.limit, MAX_LIMIT);
+  assert.equal(p.page, 1);
+  assert.equal(p.beginners, true);
+  assert.equal(p.min_price, null);
+  assert.equal(p.sort, 'default', 'distance needs near');
+  assert.equal(parseClubQuery({ sort: 'relevance' }).sort, 'default', 'relevance needs q');
+});
+
+test('the default order is featured, then confidence, then members', () => {
+  assert.deepEqual(codes({}), ['c', 'b', 'a', 'd']);
+});
+
+test('filters combine', () => {
+  assert.deepEqual(codes({ activity: 'Running' }), ['b', 'a']);
+  assert.deepEqual(codes({ activity: 'Running', location: 'Hackney' }), ['a']);
+  assert.deepEqual(codes({ beginners: '1' }), ['b']);
+  assert.deepEqual(codes({ min_members: '40' }), ['c', 'a']);
+  assert.deepEqual(codes({ confidence: 'Verified' }), ['c', 'b']);
+});
+
+test('price filters and sorts use the effective monthly cost, unpriced clubs last', () => {
+  assert.deepEqual(codes({ max_price: '25' }), ['c', 'b', 'a']);
+  assert.deepEqual(codes({ min_price: '10' }), ['c', 'b', 'a', 'd']);
+  assert.deepEqual(codes({ sort: 'priceLow' }), ['b', 'a', 'd', 'c']);
+  assert.deepEqual(codes({ sort: 'priceHigh' }), ['d', 'a', 'b', 'c']);
+});
+
+test('pages are clamped to the results', () => {
+  const res = queryClubs(CLUBS, { limit: '3', page: '9', sort: 'name' });
+  assert.deepEqual([res.page, res.pages, res.total], [2, 2, 4]);
+  assert.deepEqual(res.clubs.map(c => c.club_code), ['d']);
+});
+
+test('facets count each value with the other filters applied', () => {
+  const { facets } = queryClubs(CLUBS, { activity: 'Running', location: 'Bow' });
+  assert.deepEqual(facets.activity, [{ value: 'Running', count: 1 }, { value: 'Swimming', count: 1 }]);
+  assert.deepEqual(facets.location, [{ value: 'Bow', count: 1 }, { value: 'Hackney', count: 1 }]);
+});
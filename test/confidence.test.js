@@ -0,0 +1,36 @@
+// test/confidence.test.js - Computed confidence labels and where the manual override comes from
+const { FIXTURE } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFileSource } = require('../lib/data-source/file');
+const { SHEET_RANGE, parseActiveClubs } = require('../lib/club-schema');
+const { computeConfidence } = require('../lib/confidence');
+
+async function fixtureClubs() {
+  const rows = await createFileSource({ CLUB_DATA_FILE: FIXTURE }).getRows(SHEET_RANGE);
+  return Object.fromEntries(parseActiveClubs(rows).map(c => [c.club_code, c]));
+}
+
+test('hand-kept labels in column L do not override the computed label', async () => {
+  const peckham = (await fixtureClubs())['peckham-yoga-collective'];
+  assert.equal(peckham.legacy_confidence, 'Likely Active');
+  assert.equal(peckham.confidence.override, null);
+  assert.equal(peckham.confidence_score, peckham.confidence.computed);
+});
+
+test('the confidence_override column pins the label', async () => {
+  const camden = (await fixtureClubs())['camden-5-a-side'];
+  assert.equal(camden.confidence.override, 'Uncertain');
+  assert.equal(camden.confidence_score, 'Uncertain');
+});
+
+test('stale clubs drift down and unknown overrides are ignored', () => {
+  const today = '2026-10-19';
+  const fresh = computeConfidence({ verified: true, last_verified: '2026-10-01', email: 'a@b.c', website: 'x', booking_url: 'x', sessions_updated: '2026-10-01' }, { today });
+  const stale = computeConfidence({ verified: true, last_verified: '2024-01-01' }, { today });
+  assert.equal(fresh.label, 'Verified');
+  assert.notEqual(stale.label, 'Verified');
+  assert.equal(computeConfidence({ confidence_override: 'Great' }, { today }).override, null);
+});
@@ -0,0 +1,92 @@
+// test/data-source.test.js - The file adapter and the endpoints that read through it
+const { FIXTURE, call, adminHeaders } = require('./helpers');
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFileSource, parseCsv, toCsv, sliceRange } = require('../lib/data-source/file');
+const { getDataSource } = require('../lib/data-source');
+const { SHEET_NAME, SHEET_RANGE, parseActiveClubs } = require('../lib/club-schema');
+
+const clubs = require('../api/clubs');
+const clubData = require('../api/club-data');
+const connection = require('../api/test');
+const debugHeaders = require('../api/debug-headers');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nbrh-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function tempFile(name, text) {
+  const file = path.join(tempDir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+// ---------- Adapter ----------
+test('CSV parser handles quotes, escaped quotes and newlines in cells', () => {
+  const rows = parseCsv('a,b,c\r\n"x, y","say ""hi""","line 1\nline 2"\n');
+  assert.deepEqual(rows, [['a', 'b', 'c'], ['x, y', 'say "hi"', 'line 1\nline 2']]);
+  assert.deepEqual(parseCsv(toCsv(rows)), rows);
+});
+
+test('A1 ranges slice rows and columns like the Sheets API', () => {
+  const rows = [['a', 'b', 'c'], ['1', '2', '3'], ['4', '5', '6']];
+  assert.deepEqual(sliceRange(rows, `${SHEET_NAME}!1:1`), [['a', 'b', 'c']]);
+  assert.deepEqual(sliceRange(rows, `${SHEET_NAME}!A1:B2`), [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(sliceRange(rows, SHEET_NAME), rows);
+});
+
+test('the fixture CSV, a JSON array of rows and JSON objects parse to the same clubs', async () => {
+  const rows = await createFileSource({ CLUB_DATA_FILE: FIXTURE }).getRows(SHEET_RANGE);
+  const [header, ...data] = rows;
+  const arrays = tempFile('rows.json', JSON.stringify(rows));
+  const objects = tempFile('objects.json', JSON.stringify(data.map(r => Object.fromEntries(header.map((h, i) => [h, r[i] || ''])))));
+
+  const expected = parseActiveClubs(rows).map(c => c.club_code);
+  assert.ok(expected.length > 0);
+  for (const file of [arrays, objects]) {
+    const parsed = parseActiveClubs(await createFileSource({ CLUB_DATA_FILE: file }).getRows(SHEET_RANGE));
+    assert.deepEqual(parsed.map(c => c.club_code), expected);
+  }
+});
+
+test('CLUB_DATA_SOURCE=file picks the file adapter and reports a missing file', () => {
+  assert.equal(getDataSource().type, 'file');
+  assert.deepEqual(getDataSource({ CLUB_DATA_SOURCE: 'file', CLUB_DATA_FILE: FIXTURE }).checkConfig(), []);
+  const problems = getDataSource({ CLUB_DATA_SOURCE: 'file', CLUB_DATA_FILE: 'missing.csv' }).checkConfig();
+  assert.match(problems[0], /not found/);
+  assert.throws(() => getDataSource({ CLUB_DATA_SOURCE: 'carrier-pigeon' }), /Unknown CLUB_DATA_SOURCE/);
+});
+
+// ---------- Endpoints ----------
+test('/api/clubs lists the active fixture clubs', async () => {
+  const { status, body } = await call(clubs);
+  assert.equal(status, 200);
+  const codes = body.clubs.map(c => c.club_code);
+  assert.ok(codes.includes('hackney-harriers'));
+  assert.ok(!codes.includes('retired-rowing'), 'inactive clubs are hidden');
+});
+
+test('/api/club-data returns one fixture club with its sessions', async () => {
+  const { status, body } = await call(clubData, { query: { code: 'hackney-harriers' } });
+  assert.equal(status, 200);
+  assert.equal(body.club_name, 'Hackney Harriers');
+  assert.ok(body.sessions.length > 0);
+
+  assert.equal((await call(clubData, { query: { code: 'no-such-club' } })).status, 404);
+});
+
+test('/api/test and /api/debug-headers read the fixture for admins', async () => {
+  const conn = await call(connection, { headers: adminHeaders() });
+  assert.equal(conn.status, 200);
+  assert.equal(conn.body.data_source.type, 'file');
+
+  const headers = await call(debugHeaders, { headers: adminHeaders() });
+  assert.equal(headers.status, 200);
+  assert.ok(JSON.stringify(headers.body).includes('club_name'));
+
+  assert.equal((await call(debugHeaders)).status, 401);
+});
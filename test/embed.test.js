@@ -0,0 +1,71 @@
+// test/embed.test.js - Partner embed config and escaping in the embed HTML
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { parseEmbedConfig, configQuery, embedPath, renderClubCard, renderClubList, renderDocument, CONTENT_SECURITY_POLICY } = require('../lib/embed');
+
+const EVIL = '"><script>alert(1)</script>';
+const ORIGIN = 'https://example.org';
+
+function config(query = {}) {
+  return parseEmbedConfig(query).config;
+}
+
+// ---------- Config ----------
+test('only hex colours reach the CSS, and bad values fall back to defaults', () => {
+  const { config: c, errors } = parseEmbedConfig({ code: 'x', accent: 'red;}body{display:none', bg: 'FFF', limit: 'lots', theme: 'neon' });
+  assert.deepEqual(errors.map(e => e.field), ['theme', 'accent', 'limit']);
+  assert.equal(c.view, 'club');
+  assert.equal(c.colours.bg, '#fff');
+  assert.equal(c.colours.accent, '#ff1b6e');
+  assert.equal(c.theme, 'dark');
+});
+
+test('equivalent embeds share one canonical URL', () => {
+  assert.equal(embedPath(config({ code: 'Hackney-Harriers', theme: 'dark', fields: 'activity,location,fee,confidence,sessions,book' })), '/embed/club/hackney-harriers');
+  assert.equal(configQuery(config({ activity: 'Running', limit: '50', accent: '#00F' })), 'activity=Running&limit=20&accent=%2300f');
+  assert.equal(configQuery(config({ fields: 'none' })), 'fields=none');
+});
+
+// ---------- Markup ----------
+test('sheet values are escaped in text and attributes on the club card', () => {
+  const html = renderClubCard({
+    club_code: 'x"y',
+    club_name: EVIL,
+    activity_type: '<b>Run</b>',
+    club_logo_emoji: `https://example.org/a.png${EVIL}`,
+    booking_url: `https://example.org/book?a=1&b=${EVIL}`,
+    email: `a@b.c${EVIL}`,
+    sessions: [{ day_label: EVIL, time_label: '<i>', type: '&' }],
+  }, config({ code: 'x', fields: 'activity,sessions,contact,book' }), { origin: ORIGIN });
+
+  assert.ok(!html.includes('<script>'));
+  assert.ok(!html.includes('<b>') && !html.includes('<i>'));
+  assert.ok(!/="[^"]*"><script/.test(html));
+  assert.match(html, /&quot;&gt;&lt;script&gt;/);
+  assert.match(html, /href="https:\/\/example\.org\/club\/x%22y"/);
+  assert.match(html, /href="https:\/\/example\.org\/book\?a=1&amp;b=&quot;&gt;/);
+});
+
+test('only http(s) booking links and https logos are used', () => {
+  const html = renderClubCard({ club_code: 'x', club_name: 'X', booking_url: 'javascript:alert(1)', club_logo_emoji: 'http://example.org/a.png' }, config({ code: 'x' }), { origin: ORIGIN });
+  assert.ok(!html.includes('javascript:'));
+  assert.ok(!html.includes('<img'));
+});
+
+test('the list view escapes clubs and the filter heading', () => {
+  const html = renderClubList([{ club_code: 'a', club_name: EVIL }], config({ activity: EVIL }), { origin: ORIGIN, total: 9 });
+  assert.ok(!html.includes('<script>'));
+  assert.match(html, /See all 9 on The NBRH/);
+  assert.match(html, /href="https:\/\/example\.org\/\?activity=%22%3E%3Cscript%3E/);
+});
+
+test('the document title is escaped and the only script matches the CSP hash', () => {
+  const html = renderDocument('', config(), { title: EVIL });
+  assert.match(html, /<title>&quot;&gt;&lt;script&gt;/);
+  const scripts = [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)].map(m => m[1]);
+  assert.equal(scripts.length, 1);
+  const hash = crypto.createHash('sha256').update(scripts[0]).digest('base64');
+  assert.ok(CONTENT_SECURITY_POLICY.includes(`'sha256-${hash}'`));
+});
@@ -0,0 +1,92 @@
+// test/favourites.test.js - Saved clubs and their export codes (js/favourites.js, run in a stub window)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'js', 'favourites.js'), 'utf8');
+
+// A fresh window with its own localStorage; resolves to { Favourites, window, changes }
+function load(stored = {}) {
+  const items = new Map(Object.entries(stored));
+  const window = Object.assign(new EventTarget(), {
+    localStorage: {
+      getItem: k => (items.has(k) ? items.get(k) : null),
+      setItem: (k, v) => items.set(k, String(v)),
+    },
+    location: { href: 'https://example.org/compare' },
+  });
+  let changes = 0;
+  window.addEventListener('favourites:change', () => changes++);
+  vm.runInNewContext(SOURCE, { self: window, CustomEvent, TextEncoder, TextDecoder, btoa, atob, URL, console });
+  return { Favourites: window.Favourites, window, changes: () => changes };
+}
+
+// Arrays made inside the stub window aren't this realm's, so deepStrictEqual
+// needs them copied out
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test('clubs are saved once, in order, and only with valid codes', () => {
+  const { Favourites, changes } = load();
+  assert.equal(Favourites.add({ club_code: 'Hackney-Harriers', club_name: 'Hackney Harriers' }), true);
+  assert.equal(Favourites.add({ code: 'bow-bouldering', name: 'Bow' }), true);
+  assert.equal(Favourites.add({ club_code: 'hackney-harriers' }), true);
+  assert.equal(Favourites.add({ club_code: '"><img src=x>' }), false);
+  assert.deepEqual(plain(Favourites.codes()), ['hackney-harriers', 'bow-bouldering']);
+  assert.equal(changes(), 2);
+
+  assert.equal(Favourites.toggle({ club_code: 'bow-bouldering' }), false);
+  assert.equal(Favourites.has('BOW-BOULDERING'), false);
+});
+
+test('the list is capped at MAX_SAVED', () => {
+  const { Favourites } = load();
+  for (let i = 0; i < Favourites.MAX_SAVED; i++) assert.equal(Favourites.add({ club_code: `club-${i}` }), true);
+  assert.equal(Favourites.add({ club_code: 'one-too-many' }), false);
+  assert.equal(Favourites.codes().length, Favourites.MAX_SAVED);
+});
+
+test('corrupt or hostile storage reads as the valid entries only', () => {
+  assert.deepEqual(plain(load({ 'nbrh:favourites': 'not json' }).Favourites.codes()), []);
+  const stored = JSON.stringify([{ code: 'ok-club' }, { code: '<script>' }, null, 'x']);
+  assert.deepEqual(plain(load({ 'nbrh:favourites': stored }).Favourites.codes()), ['ok-club']);
+});
+
+test('renamed clubs move to their new code, without duplicates', () => {
+  const { Favourites } = load();
+  Favourites.add({ club_code: 'hackney-runners', club_name: 'Hackney Runners' });
+  Favourites.update('hackney-runners', { club_code: 'hackney-harriers', club_name: 'Hackney Harriers' });
+  assert.deepEqual(plain(Favourites.list().map(f => [f.code, f.name])), [['hackney-harriers', 'Hackney Harriers']]);
+
+  Favourites.add({ club_code: 'old-code' });
+  Favourites.update('old-code', { club_code: 'hackney-harriers' });
+  assert.deepEqual(plain(Favourites.codes()), ['hackney-harriers']);
+});
+
+test('export codes round-trip to another device, merging with what is there', () => {
+  const a = load().Favourites;
+  a.add({ club_code: 'hackney-harriers' });
+  a.add({ club_code: 'bow-bouldering' });
+  const code = a.exportCode();
+  assert.match(code, /^nbrh1\.[A-Za-z0-9_-]+$/);
+
+  const b = load().Favourites;
+  b.add({ club_code: 'bow-bouldering' });
+  assert.equal(b.importCode(code), 1);
+  assert.deepEqual(plain(b.codes()), ['bow-bouldering', 'hackney-harriers']);
+  assert.equal(load().Favourites.exportCode(), '');
+});
+
+test('import also takes a compare link or a plain list, and rejects anything else', () => {
+  const { Favourites } = load();
+  assert.deepEqual(plain(Favourites.decode('/compare?clubs=a-club,b-club')), ['a-club', 'b-club']);
+  assert.deepEqual(plain(Favourites.decode('https://example.org/compare?clubs=a-club')), ['a-club']);
+  assert.deepEqual(plain(Favourites.decode('A-Club, b-club a-club')), ['a-club', 'b-club']);
+  assert.deepEqual(plain(Favourites.decode('')), []);
+  for (const bad of ['nbrh1.!!!', 'a-club,<script>', '/compare']) {
+    assert.throws(() => Favourites.decode(bad), /not a valid favourites code/, bad);
+  }
+});
@@ -0,0 +1,45 @@
+// test/helpers.js - Runs API handlers in-process against the fixture spreadsheet
+//
+// Required before any handler so the file data source, test-mode response
+// checks and a rate limit the suite can't hit are in place when modules load.
+
+const path = require('path');
+
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'clubs.csv');
+
+process.env.NODE_ENV = 'test';
+process.env.CLUB_DATA_SOURCE = 'file';
+process.env.CLUB_DATA_FILE = FIXTURE;
+process.env.USAGE_STORE = 'memory';
+process.env.API_RATE_LIMIT = '100000';
+process.env.ADMIN_TOKEN = process.env.ADMIN_TOKEN || 'test-admin-token';
+
+// Calls a Vercel-style handler; resolves to { status, headers, body } with
+// JSON bodies parsed
+async function call(handler, { method = 'GET', query = {}, headers = {}, body } = {}) {
+  const sent = {};
+  let status = 200;
+  let payload;
+
+  const req = { method, query, headers, body, url: '/', socket: { remoteAddress: '127.0.0.1' } };
+  const res = {
+    setHeader(name, value) { sent[name.toLowerCase()] = value; return this; },
+    getHeader(name) { return sent[name.toLowerCase()]; },
+    status(code) { status = code; return this; },
+    json(value) { sent['content-type'] = sent['content-type'] || 'application/json'; payload = JSON.stringify(value); return this; },
+    send(value) { payload = value; return this; },
+    end(value) { if (value !== undefined) payload = value; return this; },
+  };
+
+  await handler(req, res);
+
+  let parsed = payload;
+  if (typeof payload === 'string' && /json/.test(sent['content-type'] || '')) parsed = JSON.parse(payload);
+  return { status, headers: sent, body: parsed };
+}
+
+function adminHeaders() {
+  return { authorization: `Bearer ${process.env.ADMIN_TOKEN}` };
+}
+
+module.exports = { FIXTURE, call, adminHeaders };
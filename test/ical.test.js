@@ -0,0 +1,30 @@
+// test/ical.test.js - Calendar feed recurrence stays put between fetches
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseSession, cycleStart, occursOn } = require('../lib/sessions');
+const { buildClubCalendar } = require('../lib/ical');
+
+function fortnightly(reference) {
+  const session = parseSession({ time: '18:30', date: 'Every other Tuesday' });
+  session.cycle_start = cycleStart(session, reference);
+  return session;
+}
+
+function dtstart(calendar) {
+  return calendar.match(/DTSTART;TZID=[^:]+:(\d{8})/)[1];
+}
+
+test('fortnightly DTSTART is the fixed cycle start, whatever day the feed is fetched', () => {
+  const club = { club_code: 'x', club_name: 'X', sessions: [fortnightly('2026-09-01')] };
+  const starts = ['2026-10-19', '2026-10-26', '2026-11-02'].map(today => dtstart(buildClubCalendar(club, { today, fetchedAt: 0 })));
+  assert.deepEqual(starts, ['20260901', '20260901', '20260901']);
+  assert.match(buildClubCalendar(club, { fetchedAt: 0 }), /RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU/);
+});
+
+test('What\'s On agrees with the feed on which weeks a fortnightly session runs', () => {
+  const session = fortnightly('2026-09-01');
+  assert.equal(occursOn(session, '2026-10-27', '2026-10-19'), true);
+  assert.equal(occursOn(session, '2026-11-03', '2026-10-19'), false);
+  assert.equal(occursOn(session, '2026-11-03', '2026-10-28'), false);
+});
@@ -0,0 +1,57 @@
+// test/og-image.test.js - Share card SVG, gradients and the PNG with the bundled fonts
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { WIDTH, HEIGHT, parseGradient, gradientVector, wrapText, renderSvg, renderPng } = require('../lib/og-image');
+
+// ---------- Gradient ----------
+test('sheet gradients become SVG stops, and unreadable ones the brand gradient', () => {
+  assert.deepEqual(parseGradient('linear-gradient(90deg, #111 0%, rgba(0,0,0,0.5), #fff 100%)'), {
+    angle: 90,
+    stops: [['#111', 0], ['rgba(0,0,0,0.5)', 0.5], ['#fff', 1]],
+  });
+  assert.equal(parseGradient('linear-gradient(to top left, red, blue)').angle, 315);
+  assert.equal(parseGradient('url(x)'), parseGradient(''));
+  assert.deepEqual(gradientVector(90), { x1: '0', y1: '0.5', x2: '1', y2: '0.5' });
+});
+
+// ---------- Text ----------
+test('long names wrap to the line limit with an ellipsis', () => {
+  assert.deepEqual(wrapText('Hackney Harriers', 24, 2), ['Hackney Harriers']);
+  const lines = wrapText('The Extremely Long Name Of A Running Club In East London', 24, 2);
+  assert.equal(lines.length, 2);
+  assert.ok(lines[1].endsWith('…'));
+  assert.ok(lines.every(l => l.length <= 24));
+});
+
+test('sheet text is escaped in the SVG', () => {
+  const svg = renderSvg({
+    club_name: '</text><script>alert(1)</script>',
+    activity_type: 'Run & <b>',
+    club_logo_emoji: '"/>',
+    hero_background_gradient: 'linear-gradient(red "onload="x, blue)',
+    confidence_score: 'Verified',
+  }, { origin: 'https://example.org' });
+  assert.ok(!svg.includes('<script>'));
+  assert.ok(!svg.includes('<b>'));
+  assert.ok(!svg.includes('"onload="'));
+  assert.match(svg, /Run &amp; &lt;b&gt;/);
+  assert.match(svg, />example\.org<\/text>/);
+});
+
+// ---------- PNG ----------
+test('the PNG renders with the fonts shipped in lib/fonts', t => {
+  const fonts = path.join(__dirname, '..', 'lib', 'fonts');
+  assert.ok(fs.existsSync(path.join(fonts, 'DejaVuSans.ttf')));
+  assert.ok(fs.existsSync(path.join(fonts, 'DejaVuSans-Bold.ttf')));
+  const vercel = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'vercel.json'), 'utf8'));
+  assert.equal(vercel.functions['api/og-image.js'].includeFiles, 'lib/fonts/**');
+
+  const png = renderPng(renderSvg({ club_name: 'Hackney Harriers', activity_type: 'Running' }));
+  if (!png) return t.skip('@resvg/resvg-js not installed; the endpoint serves SVG');
+  assert.equal(png.subarray(1, 4).toString(), 'PNG');
+  assert.equal(png.readUInt32BE(16), WIDTH);
+  assert.equal(png.readUInt32BE(20), HEIGHT);
+});
@@ -0,0 +1,65 @@
+// test/pricing.test.js - Price tiers and the effective monthly cost
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildPricing, parseTierList, formatPrice, toOffers } = require('../lib/pricing');
+
+test('the effective monthly cost is the cheapest regular tier, drop-ins counted weekly', () => {
+  const pricing = buildPricing({ monthly_fee_amount: '30', annual_fee_amount: '300', pay_per_session_price: '5' });
+  assert.deepEqual(pricing.tiers.map(t => [t.id, t.monthly_equivalent]), [['monthly', 30], ['annual', 25], ['drop_in', 21.67]]);
+  assert.equal(pricing.effective_monthly_cost, 21.67);
+  assert.equal(pricing.is_free, false);
+  assert.equal(pricing.summary, '£30/month');
+});
+
+test('concessions and trials never set the effective cost', () => {
+  const pricing = buildPricing({ monthly_fee_amount: '40', concession_fee_amount: '10', free_trial: 'yes' });
+  assert.equal(pricing.effective_monthly_cost, 40);
+  assert.equal(pricing.free_trial, 'Free trial available');
+  assert.deepEqual(pricing.tiers.map(t => t.kind), ['membership', 'concession', 'trial']);
+});
+
+test('free clubs cost 0 and say so', () => {
+  const pricing = buildPricing({ monthly_fee_text: 'Free' });
+  assert.equal(pricing.effective_monthly_cost, 0);
+  assert.equal(pricing.is_free, true);
+  assert.equal(pricing.summary, 'Free');
+  assert.equal(buildPricing({ price_tiers: 'Members | free | month' }).effective_monthly_cost, 0);
+});
+
+test('unpriced clubs have no effective cost, not a free one', () => {
+  for (const club of [{}, { monthly_fee_text: 'Varies' }, { monthly_fee_amount: 'n/a' }, { free_trial: 'First session free' }]) {
+    const pricing = buildPricing(club);
+    assert.equal(pricing.effective_monthly_cost, null, JSON.stringify(club));
+    assert.equal(pricing.is_free, false);
+  }
+  assert.equal(buildPricing({ monthly_fee_text: 'Varies' }).summary, 'Varies');
+});
+
+test('fee text alone gives a tier', () => {
+  assert.equal(buildPricing({ monthly_fee_text: '£6 per session' }).effective_monthly_cost, 26);
+  assert.equal(buildPricing({ monthly_fee_text: '£25/month' }).effective_monthly_cost, 25);
+});
+
+test('price_tiers lines become named tiers in the club currency', () => {
+  assert.deepEqual(parseTierList('Student | £15 | month; Ten-class pass | 80 | once; broken line'), [
+    { name: 'Student', amount: 15, period: 'month', kind: 'concession', description: null },
+    { name: 'Ten-class pass', amount: 80, period: 'once', kind: 'drop_in', description: null },
+  ]);
+  const pricing = buildPricing({ price_tiers: 'Adult | 20 | month', currency: 'eur' });
+  assert.equal(pricing.currency, 'EUR');
+  assert.equal(pricing.summary, '€20/month');
+  assert.equal(formatPrice(7.5, 'CHF'), '7.50 CHF');
+});
+
+test('each priced tier becomes a schema.org Offer', () => {
+  const offers = toOffers(buildPricing({ pay_per_session_price: '5' }), { url: 'https://example.org/book' });
+  assert.deepEqual(offers, [{
+    '@type': 'Offer',
+    name: 'Drop-in',
+    price: '5.00',
+    priceCurrency: 'GBP',
+    url: 'https://example.org/book',
+    priceSpecification: { '@type': 'UnitPriceSpecification', price: '5.00', priceCurrency: 'GBP', unitCode: 'C62', unitText: 'session' },
+  }]);
+});
@@ -0,0 +1,91 @@
+// test/reviews.test.js - Review validation, paging and the per-IP limit on new reviews
+const { call } = require('./helpers');
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nbrh-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+process.env.REVIEWS_FILE = path.join(tempDir, 'reviews.jsonl');
+
+const { validateReview, pageReviews, reviewStats, MAX_TEXT_LENGTH, MAX_AUTHOR_LENGTH } = require('../lib/reviews');
+const { hashIp } = require('../lib/rate-limit');
+const { getUsageStore } = require('../lib/usage-store');
+const reviews = require('../api/reviews');
+
+const REVIEW = { club_code: 'hackney-harriers', rating: 5, text: 'Friendly group, good pace for beginners.', author: 'Sam' };
+
+function post(ip, body = REVIEW) {
+  return call(reviews, { method: 'POST', headers: { 'x-real-ip': ip }, body });
+}
+
+const CLUBS = [{ club_code: 'hackney-harriers', club_name: 'Hackney Harriers', previous_codes: ['hackney-runners'] }];
+
+function errorFields(body) {
+  return validateReview(body, CLUBS).errors.map(e => e.field);
+}
+
+// ---------- Validation ----------
+test('ratings are whole numbers from 1 to 5', () => {
+  for (const rating of [1, '5', ' 3 ']) assert.deepEqual(errorFields({ ...REVIEW, rating }), [], String(rating));
+  for (const rating of [0, 6, 4.5, '', 'five', null]) assert.deepEqual(errorFields({ ...REVIEW, rating }), ['rating'], String(rating));
+});
+
+test('review text and author names are held to their length bounds', () => {
+  assert.deepEqual(errorFields({ ...REVIEW, text: 'Too short' }), ['text']);
+  assert.deepEqual(errorFields({ ...REVIEW, text: 'x'.repeat(MAX_TEXT_LENGTH) }), []);
+  assert.deepEqual(errorFields({ ...REVIEW, text: 'x'.repeat(MAX_TEXT_LENGTH + 1) }), ['text']);
+  assert.deepEqual(errorFields({ ...REVIEW, author: 'S' }), ['author']);
+  assert.deepEqual(errorFields({ ...REVIEW, author: 'S'.repeat(MAX_AUTHOR_LENGTH + 1) }), ['author']);
+  assert.deepEqual(errorFields({}), ['club_code', 'rating', 'text', 'author']);
+});
+
+test('a valid review is queued as pending under the club\'s current code', () => {
+  const { review } = validateReview({ ...REVIEW, club_code: 'Hackney-Runners', author: '  Sam   Smith ', text: `${REVIEW.text}\r\nThanks!` }, CLUBS, { ipHash: 'h' });
+  assert.equal(review.status, 'pending');
+  assert.equal(review.club_code, 'hackney-harriers');
+  assert.equal(review.author, 'Sam Smith');
+  assert.equal(review.text, `${REVIEW.text}\nThanks!`);
+  assert.equal(review.ip_hash, 'h');
+  assert.deepEqual(errorFields({ ...REVIEW, club_code: 'nowhere' }), ['club_code']);
+});
+
+// ---------- Paging ----------
+test('pageReviews clamps page and limit', () => {
+  const list = Array.from({ length: 12 }, (_, i) => ({ review_id: String(i), rating: 4 }));
+  const first = pageReviews(list);
+  assert.deepEqual([first.page, first.limit, first.pages, first.reviews.length], [1, 5, 3, 5]);
+
+  const last = pageReviews(list, { page: '99' });
+  assert.deepEqual([last.page, last.reviews.map(r => r.review_id)], [3, ['10', '11']]);
+  assert.equal(pageReviews(list, { limit: '1000' }).limit, 50);
+  for (const bad of ['0', '-2', 'abc']) {
+    const page = pageReviews(list, { page: bad, limit: bad });
+    assert.deepEqual([page.page, page.limit], [1, 5], bad);
+  }
+  assert.deepEqual(pageReviews([], { page: '3' }), { reviews: [], total: 0, page: 1, limit: 5, pages: 1 });
+});
+
+test('review stats average the rated reviews only', () => {
+  assert.deepEqual(reviewStats([{ rating: 5 }, { rating: 4 }, { rating: 4 }, { rating: null }]), { review_count: 4, average_rating: 4.3 });
+  assert.deepEqual(reviewStats([]), { review_count: 0, average_rating: null });
+});
+
+// ---------- Rate limit ----------
+test('new reviews are limited per IP, and invalid ones do not count', async () => {
+  for (let i = 0; i < 3; i++) assert.equal((await post('203.0.113.30', { ...REVIEW, text: 'short' })).status, 422);
+  for (let i = 0; i < 5; i++) assert.equal((await post('203.0.113.30')).status, 201);
+  const limited = await post('203.0.113.30');
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers['retry-after']) > 0);
+  assert.equal((await post('203.0.113.31')).status, 201);
+});
+
+test('the review limit is counted in the shared usage store', async () => {
+  const key = `review:${hashIp('203.0.113.32', '')}`;
+  for (let i = 0; i < 5; i++) await getUsageStore().hit(key, 60 * 60 * 1000);
+  assert.equal((await post('203.0.113.32')).status, 429);
+});
@@ -0,0 +1,76 @@
+// test/sanitise.test.js - Sheet content made safe for markup, URLs and CSS
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { safeUrl, safeGradient, heroBackground, markdown, markdownToText, sanitiseClub } = require('../lib/sanitise');
+const { generateStructuredData } = require('../lib/club-seo');
+
+// ---------- URLs ----------
+test('safeUrl keeps absolute http(s) URLs, normalised, and drops the rest', () => {
+  assert.equal(safeUrl(' https://example.org/a b '), 'https://example.org/a%20b');
+  assert.equal(safeUrl('https://example.org/"onmouseover="x'), 'https://example.org/%22onmouseover=%22x');
+  assert.equal(safeUrl('javascript:alert(1)'), '');
+  assert.equal(safeUrl('JaVaScRiPt:alert(1)'), '');
+  assert.equal(safeUrl('data:text/html,<script>'), '');
+  assert.equal(safeUrl('/club/x'), '');
+  assert.equal(safeUrl('not a url'), '');
+  assert.equal(safeUrl(null), '');
+  assert.equal(safeUrl('mailto:a@b.c'), '');
+  assert.equal(safeUrl('mailto:a@b.c', { schemes: ['mailto:'] }), 'mailto:a@b.c');
+});
+
+test('an unsafe page_url never reaches the club or its JSON-LD', () => {
+  for (const page_url of ['javascript:alert(1)', 'http://[bad', '"><script>']) {
+    const club = sanitiseClub({ club_name: 'X', page_url });
+    assert.equal(club.page_url, '');
+    assert.equal(generateStructuredData(club).url, '');
+  }
+  assert.equal(sanitiseClub({ page_url: 'https://example.org/x' }).page_url, 'https://example.org/x');
+});
+
+test('every URL field and session link is checked', () => {
+  const club = sanitiseClub({
+    booking_url: 'javascript:x', website: 'vbscript:x', review_link: 'ftp://x', shop_link: 'file:///etc', image_url: 'data:x',
+    sessions: [{ url: 'javascript:x' }, { url: 'https://example.org/book' }],
+  });
+  for (const key of ['booking_url', 'website', 'review_link', 'shop_link', 'image_url']) assert.equal(club[key], '', key);
+  assert.deepEqual(club.sessions.map(s => s.url), ['', 'https://example.org/book']);
+});
+
+// ---------- CSS ----------
+test('safeGradient rebuilds gradients from known tokens and rejects anything else', () => {
+  assert.equal(safeGradient('linear-gradient(135deg, #FF1B6E 0%, #7b2ff7 100%);'), 'linear-gradient(135deg, #ff1b6e 0%, #7b2ff7 100%)');
+  assert.equal(safeGradient('radial-gradient(circle, rgba(0, 0, 0, 0.5), white)'), 'radial-gradient(circle, rgba(0, 0, 0, 0.5), white)');
+  assert.equal(safeGradient('#abc'), '#abc');
+  assert.equal(safeGradient('linear-gradient(red, url(https://evil.example/x))'), '');
+  assert.equal(safeGradient('red; background-image: url(x)'), '');
+  assert.equal(safeGradient('linear-gradient(red, blue)}body{display:none'), '');
+  assert.equal(safeGradient('expression(alert(1))'), '');
+  assert.equal(safeGradient('linear-gradient(red)'), '');
+});
+
+test('the hero prefers a safe photo, quoted so it cannot end the url()', () => {
+  assert.match(heroBackground({ image_url: 'https://example.org/a.jpg' }), /url\("https:\/\/example\.org\/a\.jpg"\)/);
+  assert.equal(heroBackground({ image_url: 'javascript:x', hero_background_gradient: 'red' }), 'background: red');
+  assert.equal(heroBackground({ hero_background_gradient: 'url(x)' }), '');
+});
+
+// ---------- Markdown ----------
+test('markdown escapes text before adding its own markup', () => {
+  assert.equal(markdown('<img src=x onerror=alert(1)> & "quotes"'), '<p>&lt;img src=x onerror=alert(1)&gt; &amp; &quot;quotes&quot;</p>');
+  assert.equal(markdown('**bold** and *it* and _it_'), '<p><strong>bold</strong> and <em>it</em> and <em>it</em></p>');
+  assert.equal(markdown('a\nb\n\n- one\n- two'), '<p>a<br>b</p><ul><li>one</li><li>two</li></ul>');
+  assert.equal(markdown(''), '');
+});
+
+test('markdown links must be safe URLs, and labels are escaped', () => {
+  assert.equal(markdown('[site](https://example.org)'), '<p><a href="https://example.org/" rel="nofollow noopener">site</a></p>');
+  assert.equal(markdown('[mail](mailto:a@b.c)'), '<p><a href="mailto:a@b.c" rel="nofollow noopener">mail</a></p>');
+  assert.equal(markdown('[click](javascript:alert(1))'), '<p>[click](javascript:alert(1))</p>');
+  assert.equal(markdown('[x](javascript:void)'), '<p>x</p>');
+  assert.equal(markdown('[<b>](https://example.org)'), '<p><a href="https://example.org/" rel="nofollow noopener">&lt;b&gt;</a></p>');
+});
+
+test('markdownToText strips the markup for metadata', () => {
+  assert.equal(markdownToText('**Friendly** runs, see [our site](https://example.org)\n- Mondays'), 'Friendly runs, see our site Mondays');
+});
@@ -0,0 +1,63 @@
+// test/search.test.js - Ranked, typo-tolerant search and escaped highlights
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { stem, queryTerms, editDistance, searchIndex, searchClubs, highlight } = require('../lib/search');
+
+const CLUBS = [
+  { club_code: 'hackney-harriers', club_name: 'Hackney Harriers', activity_type: 'Running', location: 'Hackney', club_bio: 'Friendly social runs every week.' },
+  { club_code: 'bow-football', club_name: 'Bow Football Club', activity_type: 'Football', location: 'Bow', club_bio: 'Casual five-a-side for all levels.' },
+  { club_code: 'lea-rowing', club_name: 'Lea Rowing', activity_type: 'Rowing', location: 'Clapton', club_bio: 'Coached sessions, then a **running** warm-down <b>& stretch</b>.' },
+  { club_code: 'soho-swim', club_name: 'Soho Swimmers', activity_type: 'Swimming', location: 'Soho', facilities_list: 'Changing rooms, lockers' },
+];
+
+function codes(q) {
+  const hits = searchClubs(searchIndex(CLUBS), q);
+  return [...hits.entries()].sort((a, b) => b[1].score - a[1].score).map(([code]) => code);
+}
+
+// ---------- Terms ----------
+test('query terms are normalised, stemmed and stripped of stop words', () => {
+  assert.equal(stem('running'), 'run');
+  assert.equal(stem('swimming'), 'swim');
+  assert.equal(stem('classes'), 'class');
+  assert.deepEqual(queryTerms('Running clubs near Hackney'), ['run', 'hackney']);
+  assert.deepEqual(queryTerms('Café'), ['cafe']);
+  assert.deepEqual(queryTerms('the club'), ['the', 'club']);
+});
+
+test('edit distance counts transpositions as one edit and gives up past the limit', () => {
+  assert.equal(editDistance('footbal', 'football', 2), 1);
+  assert.equal(editDistance('fotoball', 'football', 2), 1);
+  assert.equal(editDistance('swim', 'football', 2), 3);
+});
+
+// ---------- Ranking ----------
+test('name and activity matches outrank a mention in the bio', () => {
+  assert.deepEqual(codes('running'), ['hackney-harriers', 'lea-rowing']);
+});
+
+test('every query term has to match', () => {
+  assert.deepEqual(codes('running hackney'), ['hackney-harriers']);
+  assert.deepEqual(codes('running soho'), []);
+});
+
+test('misspellings, synonyms and a partly typed last word still match', () => {
+  assert.deepEqual(codes('footbal'), ['bow-football']);
+  assert.deepEqual(codes('soccer'), ['bow-football']);
+  assert.deepEqual(codes('swimers'), ['soho-swim']);
+  assert.deepEqual(codes('lock'), ['soho-swim']);
+  assert.deepEqual(codes('xyzzy'), []);
+});
+
+// ---------- Highlights ----------
+test('highlights mark matched words in escaped text from outside the card title', () => {
+  const index = searchIndex(CLUBS);
+  const hit = searchClubs(index, 'running').get('lea-rowing');
+  const snippet = highlight(index, 'lea-rowing', hit);
+  assert.equal(snippet.field, 'bio');
+  assert.equal(snippet.html, 'Coached sessions, then a <mark>running</mark> warm-down &lt;b&gt;&amp; stretch&lt;/b&gt;.');
+  assert.ok(!/<b>/.test(snippet.html));
+
+  assert.equal(highlight(index, 'hackney-harriers', searchClubs(index, 'hackney').get('hackney-harriers')), null);
+});
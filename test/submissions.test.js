@@ -0,0 +1,70 @@
+// test/submissions.test.js - Submission validation, the honeypot and the per-IP limit
+const { call } = require('./helpers');
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nbrh-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+process.env.SUBMISSIONS_FILE = path.join(tempDir, 'submissions.jsonl');
+
+const { validateSubmission, isSpam, HONEYPOT } = require('../lib/submissions');
+const submissions = require('../api/submissions');
+
+const CLUBS = [{ club_code: 'hackney-harriers', club_name: 'Hackney Harriers' }];
+const CONTACT = { contact_name: 'Alex', contact_email: 'alex@example.org' };
+const NEW_CLUB = { ...CONTACT, kind: 'new', fields: { club_name: 'Bow Bouldering', activity_type: 'Climbing', location: 'Bow' } };
+
+function post(ip, body = NEW_CLUB) {
+  return call(submissions, { method: 'POST', headers: { 'x-real-ip': ip }, body });
+}
+
+function fields(errors) {
+  return errors.map(e => e.field).sort();
+}
+
+// ---------- Validation ----------
+test('a new club needs contact details and its name, activity and location', () => {
+  const { errors, submission } = validateSubmission(NEW_CLUB, CLUBS);
+  assert.deepEqual(errors, []);
+  assert.equal(submission.status, 'pending');
+  assert.equal(submission.club_code, 'bow-bouldering');
+
+  const missing = validateSubmission({ kind: 'new', contact_email: 'not an email', fields: {} }, CLUBS);
+  assert.deepEqual(fields(missing.errors), ['contact_email', 'contact_name', 'fields.activity_type', 'fields.club_name', 'fields.location']);
+  assert.equal(missing.submission, null);
+});
+
+test('claims must name a listed club, and new clubs must not duplicate one', () => {
+  assert.deepEqual(validateSubmission({ ...CONTACT, kind: 'claim', club_code: 'hackney-harriers', message: 'We run this' }, CLUBS).errors, []);
+  assert.deepEqual(fields(validateSubmission({ ...CONTACT, kind: 'claim', club_code: 'nowhere' }, CLUBS).errors), ['club_code']);
+  assert.deepEqual(fields(validateSubmission({ ...NEW_CLUB, fields: { ...NEW_CLUB.fields, club_name: 'Hackney Harriers' } }, CLUBS).errors), ['fields.club_name']);
+  assert.deepEqual(fields(validateSubmission({ ...CONTACT, kind: 'other' }, CLUBS).errors), ['kind']);
+});
+
+test('moderator-only and unknown fields cannot be proposed', () => {
+  const { errors } = validateSubmission({ ...NEW_CLUB, fields: { ...NEW_CLUB.fields, verified: 'TRUE', shoe_size: '9' } }, CLUBS);
+  assert.deepEqual(fields(errors), ['fields.shoe_size', 'fields.verified']);
+});
+
+test('only a filled-in honeypot marks a submission as spam', () => {
+  assert.equal(isSpam({ ...NEW_CLUB, [HONEYPOT]: 'http://spam.example' }), true);
+  assert.equal(isSpam({ ...NEW_CLUB, [HONEYPOT]: '  ' }), false);
+  assert.equal(isSpam(NEW_CLUB), false);
+  assert.equal(isSpam(null), false);
+});
+
+// ---------- Endpoint ----------
+test('valid submissions are limited per IP, and invalid or spam ones do not count', async () => {
+  assert.equal((await post('203.0.113.40', { ...NEW_CLUB, [HONEYPOT]: 'x' })).status, 202);
+  assert.equal((await post('203.0.113.40', { ...NEW_CLUB, contact_email: '' })).status, 422);
+  for (let i = 0; i < 5; i++) assert.equal((await post('203.0.113.40')).status, 201);
+
+  const limited = await post('203.0.113.40');
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers['retry-after']) > 0);
+  assert.equal((await post('203.0.113.41')).status, 201);
+});